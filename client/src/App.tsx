@@ -2,41 +2,56 @@ import { useState, useEffect } from 'react'
 import './App.css'
 import Navbar from './components/Navbar'
 import RefineGoal from './components/RefineGoal'
-import { TelemetryPanel, type TelemetryLog } from './components/TelemetryPanel'
-import { BACKEND_API_BASE_URL } from './constants'
+import { TelemetryPanel } from './components/TelemetryPanel'
+import { clearSession, getStoredUser, UNAUTHORIZED_EVENT } from './api'
 import GoalHistory from './components/GoalHistory'
 import { MiniEvalPanel } from './components/MiniEvalPanel'
+import TelemetryDashboard from './components/TelemetryDashboard'
+import AuthForm from './components/AuthForm'
+import type { User } from './types'
 
-type Tab = 'coach' | 'eval' | 'history';
+type Tab = 'coach' | 'eval' | 'history' | 'dashboard';
 
 
 function App() {
   const [activeTab, setActiveTab] = useState<Tab>('coach')
-  const [logs, setLogs] = useState<TelemetryLog[]>([])
+  const [telemetryRefreshKey, setTelemetryRefreshKey] = useState(0)
+  const [user, setUser] = useState<User | null>(getStoredUser)
 
   const handleTabChange = (tab: Tab) => {
     setActiveTab(tab)
   }
 
-  const refreshTelemetryLogs = async () => {
-    try {
-      const response = await fetch(`${BACKEND_API_BASE_URL}/telemetry/logs`)
-      const data = await response.json()
-      console.log('Fetched telemetry logs:', data)
-      setLogs(data.data)
-    } catch (error) {
-      console.error('Error fetching telemetry logs:', error)
-    }
+  const refreshTelemetryLogs = () => {
+    setTelemetryRefreshKey((key) => key + 1)
+  }
+
+  const handleSignOut = () => {
+    clearSession()
+    setUser(null)
   }
 
   useEffect(() => {
-    // Fetch telemetry logs from the backend
-    refreshTelemetryLogs()
+    // Drop back to the login screen when the API rejects our token
+    const handleUnauthorized = () => setUser(null)
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized)
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized)
   }, [])
 
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
+        <Navbar />
+        <main className="max-w-7xl mx-auto px-4 py-6 sm:py-8 lg:py-12">
+          <AuthForm onAuthenticated={setUser} />
+        </main>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
-      <Navbar onTabChange={handleTabChange} />
+      <Navbar onTabChange={handleTabChange} username={user.username} onSignOut={handleSignOut} />
       
       <main className="max-w-7xl mx-auto px-4 py-6 sm:py-8 lg:py-12">
         <div className="flex flex-col lg:grid lg:grid-cols-12 gap-6 lg:gap-8">
@@ -45,11 +60,12 @@ function App() {
             {activeTab === 'coach' && <RefineGoal onRefinementComplete={refreshTelemetryLogs} />}
             {activeTab === 'eval' && <MiniEvalPanel />}
             {activeTab === 'history' && <GoalHistory />}
+            {activeTab === 'dashboard' && <TelemetryDashboard />}
           </div>
 
           {/* Sidebar */}
           <div className="w-full lg:col-span-4 order-1 lg:order-2">
-            <TelemetryPanel log={logs} />
+            <TelemetryPanel refreshKey={telemetryRefreshKey} />
           </div>
         </div>
       </main>
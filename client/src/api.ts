@@ -0,0 +1,56 @@
+import { BACKEND_API_BASE_URL } from './constants';
+import type { User } from './types';
+
+const SESSION_KEY = 'goal-coach-session';
+
+/** Fired on window when the API rejects the stored token */
+export const UNAUTHORIZED_EVENT = 'goal-coach:unauthorized';
+
+interface StoredSession {
+  token: string;
+  user: User;
+}
+
+function readSession(): StoredSession | null {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    return raw ? (JSON.parse(raw) as StoredSession) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function getStoredUser(): User | null {
+  return readSession()?.user ?? null;
+}
+
+export function storeSession(token: string, user: User) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token, user }));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * fetch() against the backend API with the signed-in user's token. A 401
+ * clears the stored session and fires UNAUTHORIZED_EVENT so the app can
+ * return to the login screen.
+ * @param path - API path, e.g. `/goals`
+ */
+export async function apiFetch(path: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers);
+  const token = readSession()?.token;
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(`${BACKEND_API_BASE_URL}${path}`, { ...init, headers });
+
+  if (response.status === 401 && token) {
+    clearSession();
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+
+  return response;
+}
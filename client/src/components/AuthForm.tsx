@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { BACKEND_API_BASE_URL } from '../constants';
+import { storeSession } from '../api';
+import type { User } from '../types';
+
+type Mode = 'login' | 'register';
+
+interface AuthFormProps {
+  onAuthenticated: (user: User) => void;
+}
+
+export default function AuthForm({ onAuthenticated }: AuthFormProps) {
+  const [mode, setMode] = useState<Mode>('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${BACKEND_API_BASE_URL}/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        const details: string[] = Array.isArray(data.details) ? data.details : [];
+        setError([data.error || 'Authentication failed', ...details].join(' - '));
+        return;
+      }
+
+      storeSession(data.data.token, data.data.user);
+      onAuthenticated(data.data.user);
+    } catch (err) {
+      console.error('Error authenticating:', err);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
+      <h2 className="text-xl font-bold text-slate-800 mb-2">
+        {mode === 'login' ? 'Sign in' : 'Create an account'}
+      </h2>
+      <p className="text-slate-500 mb-6 text-sm">
+        Your goals, refinement sessions and telemetry are private to your account.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-sm text-slate-700"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (at least 8 characters)"
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-sm text-slate-700"
+        />
+
+        {error && <p className="text-rose-600 text-sm font-medium">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username || !password}
+          className={`w-full py-3 rounded-xl font-bold text-white text-sm transition-all shadow-lg ${
+            isSubmitting || !username || !password
+              ? 'bg-slate-300 cursor-not-allowed shadow-none'
+              : 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-200'
+          }`}
+        >
+          {isSubmitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+      </form>
+
+      <button
+        onClick={() => {
+          setMode(mode === 'login' ? 'register' : 'login');
+          setError(null);
+        }}
+        className="mt-4 text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+      >
+        {mode === 'login' ? 'New here? Create an account' : 'Already have an account? Sign in'}
+      </button>
+    </div>
+  );
+}
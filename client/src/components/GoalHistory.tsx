@@ -1,13 +1,65 @@
-import { useEffect, useState } from 'react';
-import { BACKEND_API_BASE_URL } from '../constants';
+import { useEffect, useRef, useState } from 'react';
+import { apiFetch } from '../api';
+import { GOAL_CATEGORIES, MAX_TAGS } from '../constants';
+import type { FacetCount, Goal, GoalCategory, GoalFacets } from '../types';
+import KeyResultProgress from './KeyResultProgress';
 
-interface Goal {
-  id: string;
-  original_input: string;
+interface DraftKeyResult {
+  id?: string;
+  title: string;
+}
+
+interface GoalDraft {
   refined_goal: string;
-  key_results: string[];
-  confidence_score: number;
-  created_at: string;
+  key_results: DraftKeyResult[];
+  category: GoalCategory;
+  // Comma-separated while editing
+  tags: string;
+}
+
+// Most-used tags offered as filters
+const TAG_FILTER_COUNT = 8;
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Load the next page when the list is scrolled this close to its end
+const LOAD_MORE_THRESHOLD_PX = 80;
+
+interface GoalQuery {
+  category: string | null;
+  tags: string[];
+  search: string;
+  cursor?: string | null;
+}
+
+function goalsPath({ category, tags, search, cursor }: GoalQuery) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (category) params.set('category', category);
+  if (tags.length > 0) params.set('tag', tags.join(','));
+  if (search) params.set('search', search);
+  if (cursor) params.set('cursor', cursor);
+  return `/goals?${params}`;
+}
+
+// Add (delta 1) or take away (delta -1) values from facet counts, most used first
+function adjustCounts(counts: FacetCount[], values: string[], delta: number) {
+  const byValue = new Map(counts.map(({ value, count }) => [value, count]));
+  for (const value of values) {
+    byValue.set(value, (byValue.get(value) ?? 0) + delta);
+  }
+  return [...byValue]
+    .filter(([, count]) => count > 0)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Count a goal's category and tags into the facets, or out of them
+function countGoal(facets: GoalFacets, goal: Goal, delta: number): GoalFacets {
+  return {
+    categories: adjustCounts(facets.categories, goal.category ? [goal.category] : [], delta),
+    tags: adjustCounts(facets.tags, goal.tags, delta),
+  };
 }
 
 interface GoalHistoryProps {
@@ -20,6 +72,25 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
   const [goalsList, setGoalsList] = useState<Goal[]>(goals);
   const [loading, setLoading] = useState(isLoading);
   const [error, setError] = useState<string | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<GoalDraft>({ refined_goal: '', key_results: [], category: 'other', tags: '' });
+  const [editError, setEditError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [facets, setFacets] = useState<GoalFacets | null>(null);
+  const [categoryFilter, setCategoryFilter] = useState<string | null>(null);
+  const [tagFilters, setTagFilters] = useState<string[]>([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState<string | null>(null);
+  // Bumped for every first-page fetch, so pages of an older query are dropped
+  const queryId = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
 
   useEffect(() => {
     // If goals are provided as props, use them
@@ -28,15 +99,20 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
       return;
     }
 
-    // Otherwise, fetch from API (only on mount)
+    // Otherwise, fetch the first page from API (on mount and whenever the filters or search change)
+    const id = ++queryId.current;
     const fetchGoals = async () => {
       setLoading(true);
       try {
-        const response = await fetch(`${BACKEND_API_BASE_URL}/goals`);
+        const response = await apiFetch(goalsPath({ category: categoryFilter, tags: tagFilters, search }));
         const data = await response.json();
+        if (id !== queryId.current) return;
 
         if (data.success) {
           setGoalsList(data.data);
+          setNextCursor(data.next_cursor);
+          setFacets(data.facets);
+          setLoadMoreError(null);
           setError(null);
         } else {
           setError(data.error || 'Failed to fetch goals');
@@ -50,16 +126,58 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
     };
 
     fetchGoals();
-  }, []); // Empty dependency array - run only once on mount
+  }, [categoryFilter, tagFilters, search]);
+
+  const loadMore = async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    const id = queryId.current;
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
+    try {
+      const response = await apiFetch(
+        goalsPath({ category: categoryFilter, tags: tagFilters, search, cursor: nextCursor })
+      );
+      const data = await response.json();
+      if (id !== queryId.current) return;
+
+      if (data.success) {
+        setGoalsList((current) => [...current, ...data.data]);
+        setNextCursor(data.next_cursor);
+      } else {
+        setLoadMoreError(data.error || 'Failed to fetch more goals');
+      }
+    } catch (err) {
+      if (id === queryId.current) setLoadMoreError('Error fetching more goals');
+      console.error('Error fetching more goals:', err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const toggleTagFilter = (tag: string) => {
+    setTagFilters((current) => (current.includes(tag) ? current.filter((t) => t !== tag) : [...current, tag]));
+  };
+
+  const clearFilters = () => {
+    setCategoryFilter(null);
+    setTagFilters([]);
+    setSearchInput('');
+  };
+
+  const isFiltered = Boolean(categoryFilter || tagFilters.length > 0 || search);
 
   const handleDelete = async (id: string) => {
     try {
-      const response = await fetch(`${BACKEND_API_BASE_URL}/goals/${id}`, {
+      const response = await apiFetch(`/goals/${id}`, {
         method: 'DELETE',
       });
 
       if (response.ok) {
-        setGoalsList(goalsList.filter((goal) => goal.id !== id));
+        // Loaded pages stay in place; the cursor still points past the last one
+        const deleted = goalsList.find((goal) => goal.id === id);
+        setGoalsList((current) => current.filter((goal) => goal.id !== id));
+        if (deleted) setFacets((current) => current && countGoal(current, deleted, -1));
         onDelete?.(id);
       }
     } catch (err) {
@@ -68,6 +186,67 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
     }
   };
 
+  const replaceGoal = (updated: Goal) => {
+    setGoalsList((current) => current.map((goal) => (goal.id === updated.id ? updated : goal)));
+  };
+
+  const startEditing = (goal: Goal) => {
+    setEditingId(goal.id);
+    setDraft({
+      refined_goal: goal.refined_goal,
+      key_results: goal.key_results.map((kr) => ({ id: kr.id, title: kr.title })),
+      category: goal.category ?? 'other',
+      tags: goal.tags.join(', '),
+    });
+    setEditError(null);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditError(null);
+  };
+
+  const updateDraftKeyResult = (index: number, value: string) => {
+    setDraft({
+      ...draft,
+      key_results: draft.key_results.map((kr, i) => (i === index ? { ...kr, title: value } : kr)),
+    });
+  };
+
+  const handleUpdate = async (id: string) => {
+    setIsSaving(true);
+    setEditError(null);
+    try {
+      const response = await apiFetch(`/goals/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          refined_goal: draft.refined_goal.trim(),
+          key_results: draft.key_results.map((kr) => ({ ...kr, title: kr.title.trim() })),
+          category: draft.category,
+          tags: draft.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+        }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        const previous = goalsList.find((goal) => goal.id === id);
+        replaceGoal(data.data);
+        if (previous) setFacets((current) => current && countGoal(countGoal(current, previous, -1), data.data, 1));
+        setEditingId(null);
+      } else {
+        setEditError(data.details?.join(', ') || data.error || 'Failed to update goal');
+      }
+    } catch (err) {
+      console.error('Error updating goal:', err);
+      setEditError('Failed to update goal');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -79,7 +258,8 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
     });
   };
 
-  if (loading) {
+  // Skeleton on first load only; refetches for new filters keep the list in place
+  if (loading && !facets) {
     return (
       <div className="lg:col-span-4 space-y-4">
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
@@ -121,10 +301,64 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
           </div>
           <span className="bg-indigo-50 text-indigo-700 text-sm font-bold px-3 py-1 rounded-full">
             {goalsList.length}
+            {nextCursor && '+'}
           </span>
         </div>
 
-        {goalsList.length === 0 ? (
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          maxLength={200}
+          placeholder="Search goals and key results"
+          className="w-full mb-3 p-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all outline-none text-sm text-slate-700"
+        />
+
+        {facets && facets.categories.length > 0 && (
+          <div className="mb-4 space-y-2">
+            <div className="flex flex-wrap gap-1.5">
+              {facets.categories.map(({ value, count }) => (
+                <button
+                  key={value}
+                  onClick={() => setCategoryFilter(categoryFilter === value ? null : value)}
+                  className={`text-xs font-bold capitalize px-2.5 py-1 rounded-full transition-colors ${
+                    categoryFilter === value
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+                  }`}
+                >
+                  {value} <span className="opacity-60">{count}</span>
+                </button>
+              ))}
+            </div>
+            {facets.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1.5">
+                {facets.tags.slice(0, TAG_FILTER_COUNT).map(({ value, count }) => (
+                  <button
+                    key={value}
+                    onClick={() => toggleTagFilter(value)}
+                    className={`text-[11px] font-medium px-2 py-0.5 rounded-full transition-colors ${
+                      tagFilters.includes(value)
+                        ? 'bg-slate-700 text-white'
+                        : 'bg-slate-100 text-slate-500 hover:bg-slate-200'
+                    }`}
+                  >
+                    #{value} <span className="opacity-60">{count}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            {isFiltered && (
+              <button onClick={clearFilters} className="text-xs font-bold text-indigo-600 hover:text-indigo-700">
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {goalsList.length === 0 && isFiltered ? (
+          <p className="text-center py-8 text-slate-500 font-medium text-sm">No goals match these filters</p>
+        ) : goalsList.length === 0 ? (
           <div className="text-center py-12">
             <svg
               xmlns="http://www.w3.org/2000/svg"
@@ -144,7 +378,16 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
             <p className="text-slate-400 text-xs mt-1">Refine and save your first goal to get started</p>
           </div>
         ) : (
-          <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+          <div
+            className="space-y-3 max-h-96 overflow-y-auto pr-2"
+            onScroll={(e) => {
+              const list = e.currentTarget;
+              // After a failed page, only the retry button loads more
+              if (!loadMoreError && list.scrollHeight - list.scrollTop - list.clientHeight < LOAD_MORE_THRESHOLD_PX) {
+                loadMore();
+              }
+            }}
+          >
             {goalsList.map((goal) => (
               <div
                 key={goal.id}
@@ -155,32 +398,106 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
                     <p className="text-xs font-bold text-indigo-600 uppercase tracking-widest mb-1">
                       Goal
                     </p>
-                    <p className="text-slate-800 font-bold text-sm leading-snug line-clamp-2">
-                      {goal.refined_goal}
-                    </p>
-                  </div>
-                  <button
-                    onClick={() => handleDelete(goal.id)}
-                    className="flex-shrink-0 p-2 rounded-lg text-slate-400 hover:text-rose-600 hover:bg-rose-50 transition-all opacity-0 group-hover:opacity-100"
-                    title="Delete goal"
-                  >
-                    <svg
-                      xmlns="http://www.w3.org/2000/svg"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                      strokeWidth={2}
-                      stroke="currentColor"
-                      className="w-5 h-5"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        d="M6 18L18 6M6 6l12 12"
+                    {editingId === goal.id ? (
+                      <textarea
+                        value={draft.refined_goal}
+                        onChange={(e) => setDraft({ ...draft, refined_goal: e.target.value })}
+                        className="w-full h-20 p-2 bg-white border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none resize-none text-sm text-slate-800"
                       />
-                    </svg>
-                  </button>
+                    ) : (
+                      <p className="text-slate-800 font-bold text-sm leading-snug line-clamp-2">
+                        {goal.refined_goal}
+                      </p>
+                    )}
+                  </div>
+                  {editingId !== goal.id && (
+                    <div className="flex flex-shrink-0 opacity-0 group-hover:opacity-100 transition-all">
+                      <button
+                        onClick={() => startEditing(goal)}
+                        className="p-2 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all"
+                        title="Edit goal"
+                      >
+                        <svg
+                          xmlns="http://www.w3.org/2000/svg"
+                          fill="none"
+                          viewBox="0 0 24 24"
+                          strokeWidth={2}
+                          stroke="currentColor"
+                          className="w-5 h-5"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            d="m16.862 4.487 1.687-1.688a1.875 1.875 0 1 1 2.652 2.652L10.582 16.07a4.5 4.5 0 0 1-1.897 1.13L6 18l.8-2.685a4.5 4.5 0 0 1 1.13-1.897l8.932-8.931Z"
+                          />
+                        </svg>
+                      </button>
+                      <button
+                        onClick={() => handleDelete(goal.id)}
+                        className="p-2 rounded-lg text-slate-400 hover:text-rose-600 hover:bg-rose-50 transition-all"
+                        title="Delete goal"
+                      >
+                        <svg
+                          xmlns="http://www.w3.org/2000/svg"
+                          fill="none"
+                          viewBox="0 0 24 24"
+                          strokeWidth={2}
+                          stroke="currentColor"
+                          className="w-5 h-5"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            d="M6 18L18 6M6 6l12 12"
+                          />
+                        </svg>
+                      </button>
+                    </div>
+                  )}
                 </div>
 
+                {editingId === goal.id ? (
+                  <div className="flex gap-2 mb-3">
+                    <select
+                      value={draft.category}
+                      onChange={(e) => setDraft({ ...draft, category: e.target.value as GoalCategory })}
+                      className="p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 outline-none text-xs text-slate-700 capitalize"
+                    >
+                      {GOAL_CATEGORIES.map((category) => (
+                        <option key={category} value={category}>
+                          {category}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      value={draft.tags}
+                      onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                      placeholder={`Tags, comma-separated (up to ${MAX_TAGS})`}
+                      className="flex-1 min-w-0 p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-xs text-slate-700"
+                    />
+                  </div>
+                ) : (
+                  (goal.category || goal.tags.length > 0) && (
+                    <div className="flex flex-wrap items-center gap-1.5 mb-3">
+                      {goal.category && (
+                        <span className="bg-indigo-50 text-indigo-700 text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-full">
+                          {goal.category}
+                        </span>
+                      )}
+                      {goal.tags.map((tag) => (
+                        <button
+                          key={tag}
+                          onClick={() => !tagFilters.includes(tag) && toggleTagFilter(tag)}
+                          className="text-[11px] font-medium text-slate-400 hover:text-indigo-600"
+                          title={`Show goals tagged ${tag}`}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )
+                )}
+
                 <div className="flex items-center gap-2 mb-3">
                   <div className="flex gap-0.5">
                     {[...Array(10)].map((_, i) => (
@@ -192,34 +509,135 @@ export default function GoalHistory({ goals = [], isLoading = false, onDelete }:
                       />
                     ))}
                   </div>
+                  {goal.prompt_version && (
+                    <span
+                      className="text-[10px] font-bold px-2 py-0.5 rounded-full bg-slate-100 text-slate-500"
+                      title="Version of the coaching prompt that produced this goal"
+                    >
+                      prompt {goal.prompt_version}
+                    </span>
+                  )}
                   <span className="text-xs font-bold text-slate-500 ml-auto">
                     {goal.confidence_score}/10
                   </span>
                 </div>
 
                 <div className="mb-3 pb-3 border-t border-slate-100 pt-3">
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-tighter mb-2">
-                    Key Results
-                  </p>
-                  <div className="space-y-1.5">
-                    {goal.key_results && Array.isArray(goal.key_results) ? (
-                      goal.key_results.map((kr, idx) => (
-                        <div key={idx} className="flex gap-2 items-start">
-                          <span className="flex-shrink-0 w-4 h-4 rounded-full bg-indigo-100 flex items-center justify-center text-indigo-600 font-bold text-[10px] mt-0.5">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-xs font-bold text-slate-400 uppercase tracking-tighter">
+                      Key Results
+                    </p>
+                    <span
+                      className={`text-[10px] font-bold px-2 py-0.5 rounded-full ${
+                        goal.completion === 100 ? 'bg-emerald-50 text-emerald-700' : 'bg-indigo-50 text-indigo-700'
+                      }`}
+                    >
+                      {goal.completion}% complete
+                    </span>
+                  </div>
+                  {editingId === goal.id ? (
+                    <div className="space-y-1.5">
+                      {draft.key_results.map((kr, idx) => (
+                        <div key={idx} className="flex gap-2 items-center">
+                          <span className="flex-shrink-0 w-4 h-4 rounded-full bg-indigo-100 flex items-center justify-center text-indigo-600 font-bold text-[10px]">
                             {idx + 1}
                           </span>
-                          <p className="text-slate-600 text-xs">{kr}</p>
+                          <input
+                            value={kr.title}
+                            onChange={(e) => updateDraftKeyResult(idx, e.target.value)}
+                            className="flex-1 p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-xs text-slate-700"
+                          />
+                          <button
+                            onClick={() =>
+                              setDraft({ ...draft, key_results: draft.key_results.filter((_, i) => i !== idx) })
+                            }
+                            disabled={draft.key_results.length <= 3}
+                            className="text-xs font-bold text-slate-400 hover:text-rose-600 disabled:opacity-30 disabled:cursor-not-allowed"
+                            title="Remove key result"
+                          >
+                            ✕
+                          </button>
                         </div>
-                      ))
-                    ) : null}
-                  </div>
+                      ))}
+                      {draft.key_results.length < 5 && (
+                        <button
+                          onClick={() => setDraft({ ...draft, key_results: [...draft.key_results, { title: '' }] })}
+                          className="text-xs font-bold text-indigo-600 hover:text-indigo-700"
+                        >
+                          + Add key result
+                        </button>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="space-y-2.5">
+                      {goal.key_results && Array.isArray(goal.key_results) ? (
+                        goal.key_results.map((kr, idx) => (
+                          <KeyResultProgress
+                            key={kr.id}
+                            goalId={goal.id}
+                            keyResult={kr}
+                            index={idx}
+                            onGoalUpdated={replaceGoal}
+                          />
+                        ))
+                      ) : null}
+                    </div>
+                  )}
                 </div>
 
+                {editingId === goal.id && (
+                  <div className="mb-3 space-y-2">
+                    {editError && (
+                      <div className="bg-rose-50 border border-rose-200 p-2 rounded-lg">
+                        <p className="text-rose-600 text-xs font-medium">{editError}</p>
+                      </div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={cancelEditing}
+                        className="px-3 py-1.5 rounded-lg font-bold text-slate-500 hover:bg-slate-100 transition-colors text-xs"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleUpdate(goal.id)}
+                        disabled={isSaving}
+                        className={`px-3 py-1.5 rounded-lg font-bold text-white text-xs transition-all ${
+                          isSaving ? 'bg-slate-300 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
+                        }`}
+                      >
+                        {isSaving ? 'Saving...' : 'Save'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 <p className="text-xs text-slate-400">
                   {formatDate(goal.created_at)}
                 </p>
               </div>
             ))}
+            {nextCursor && loadMoreError && (
+              <div className="flex items-center justify-between gap-2 bg-rose-50 border border-rose-200 p-2 rounded-lg">
+                <p className="text-rose-600 text-xs font-medium">{loadMoreError}</p>
+                <button
+                  onClick={loadMore}
+                  disabled={isLoadingMore}
+                  className="flex-shrink-0 text-xs font-bold text-rose-600 hover:text-rose-700 disabled:text-slate-400"
+                >
+                  {isLoadingMore ? 'Retrying...' : 'Retry'}
+                </button>
+              </div>
+            )}
+            {nextCursor && !loadMoreError && (
+              <button
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="w-full py-2 text-xs font-bold text-indigo-600 hover:text-indigo-700 disabled:text-slate-400"
+              >
+                {isLoadingMore ? 'Loading more...' : 'Load more'}
+              </button>
+            )}
           </div>
         )}
       </div>
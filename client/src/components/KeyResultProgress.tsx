@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { apiFetch } from '../api';
+import type { Goal, KeyResult } from '../types';
+
+interface KeyResultProgressProps {
+  goalId: string;
+  keyResult: KeyResult;
+  index: number;
+  onGoalUpdated: (goal: Goal) => void;
+}
+
+export default function KeyResultProgress({ goalId, keyResult, index, onGoalUpdated }: KeyResultProgressProps) {
+  const [isCheckingIn, setIsCheckingIn] = useState(false);
+  const [value, setValue] = useState('');
+  const [target, setTarget] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const isDone = keyResult.status === 'done';
+  const lastCheckIn = keyResult.check_ins[keyResult.check_ins.length - 1];
+
+  const send = async (path: string, method: string, body: object) => {
+    setError(null);
+    try {
+      const response = await apiFetch(`/goals/${goalId}/key-results/${keyResult.id}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onGoalUpdated(data.data);
+        return true;
+      }
+      setError(data.details?.join(', ') || data.error || 'Failed to update key result');
+    } catch (err) {
+      console.error('Error updating key result:', err);
+      setError('Failed to update key result');
+    }
+    return false;
+  };
+
+  const handleToggleDone = () => {
+    send('', 'PATCH', { status: isDone ? 'in_progress' : 'done' });
+  };
+
+  const handleCheckIn = async () => {
+    if (keyResult.target === null && target) {
+      const saved = await send('', 'PATCH', { target: Number(target) });
+      if (!saved) return;
+    }
+
+    const saved = await send('/check-ins', 'POST', {
+      value: Number(value),
+      ...(note.trim() ? { note: note.trim() } : {}),
+    });
+
+    if (saved) {
+      setIsCheckingIn(false);
+      setValue('');
+      setTarget('');
+      setNote('');
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-2 items-start">
+        <button
+          onClick={handleToggleDone}
+          className={`flex-shrink-0 w-4 h-4 rounded-full flex items-center justify-center font-bold text-[10px] mt-0.5 transition-colors ${
+            isDone ? 'bg-emerald-500 text-white' : 'bg-indigo-100 text-indigo-600 hover:bg-indigo-200'
+          }`}
+          title={isDone ? 'Mark as in progress' : 'Mark as done'}
+        >
+          {isDone ? '✓' : index + 1}
+        </button>
+        <p className={`flex-1 text-xs ${isDone ? 'text-slate-400 line-through' : 'text-slate-600'}`}>
+          {keyResult.title}
+        </p>
+        <button
+          onClick={() => setIsCheckingIn(!isCheckingIn)}
+          className="flex-shrink-0 text-[10px] font-bold text-indigo-600 hover:text-indigo-700"
+        >
+          {isCheckingIn ? 'Close' : 'Check in'}
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 pl-6">
+        <div className="flex-1 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+          <div
+            className={`h-full rounded-full transition-all ${isDone ? 'bg-emerald-500' : 'bg-indigo-500'}`}
+            style={{ width: `${keyResult.progress}%` }}
+          />
+        </div>
+        <span className="text-[10px] font-bold text-slate-500">
+          {keyResult.target !== null
+            ? `${keyResult.current}/${keyResult.target}${keyResult.unit ? ` ${keyResult.unit}` : ''}`
+            : `${keyResult.progress}%`}
+        </span>
+      </div>
+
+      {lastCheckIn && !isCheckingIn && (
+        <p className="pl-6 text-[10px] text-slate-400">
+          Last check-in {new Date(lastCheckIn.date).toLocaleDateString()}
+          {lastCheckIn.note ? `: ${lastCheckIn.note}` : ''}
+        </p>
+      )}
+
+      {isCheckingIn && (
+        <div className="pl-6 space-y-1.5">
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min={0}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder="Current value"
+              className="w-24 p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-xs text-slate-700"
+            />
+            {keyResult.target === null && (
+              <input
+                type="number"
+                min={1}
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                placeholder="Target"
+                className="w-20 p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-xs text-slate-700"
+              />
+            )}
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note (optional)"
+              className="flex-1 min-w-0 p-1.5 bg-white border border-slate-200 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none text-xs text-slate-700"
+            />
+            <button
+              onClick={handleCheckIn}
+              disabled={value === ''}
+              className="px-2 py-1 rounded-md bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-300 disabled:cursor-not-allowed font-bold text-white text-xs"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="pl-6 text-[10px] text-rose-600 font-medium">{error}</p>}
+    </div>
+  );
+}
@@ -1,50 +1,347 @@
 
-import React, { useState } from 'react';
-import { BACKEND_API_BASE_URL } from '../constants';
+import React, { useEffect, useRef, useState } from 'react';
+import { apiFetch } from '../api';
+
+export interface EvalCheck {
+  name: string;
+  passed: boolean;
+  score: number;
+  detail: string;
+}
+
+export interface JudgeScore {
+  score: number | null;
+  reasoning: string;
+  model: string | null;
+}
 
 export interface TestResult {
   name: string;
+  group: string;
+  input: string;
   passed: boolean;
-  confidence?: number;
-  errors?: string[];
+  score: number;
+  rejected: boolean;
+  confidence?: number | null;
+  checks: EvalCheck[];
+  judge: JudgeScore | null;
+  latency_ms: number;
   error?: string;
+  error_class?: string | null;
+}
+
+export interface GroupSummary {
+  total: number;
+  passed: number;
+  averageScore: number;
 }
 
 export interface TestSuiteResults {
+  id?: string;
+  created_at?: string;
+  dataset: string;
+  provider: string;
+  model: string;
+  prompt_version: string | null;
+  judge_model: string | null;
+  duration_ms: number;
   total: number;
   passed: number;
   failed: number;
   successRate: number;
+  averageScore: number;
+  averageJudgeScore: number | null;
+  groups: Record<string, GroupSummary>;
   tests: TestResult[];
 }
 
+export type EvalRunSummary = Omit<TestSuiteResults, 'tests'> & { id: string; created_at: string };
+
+type TestSnapshot = {
+  passed: boolean;
+  score: number;
+  confidence: number | null;
+  rejected: boolean;
+  failed_checks: string[];
+  error: string | null;
+};
+
+export interface EvalRunDiff {
+  base: EvalRunSummary;
+  compare: EvalRunSummary;
+  summary: {
+    regressed: number;
+    fixed: number;
+    unchanged: number;
+    added: number;
+    removed: number;
+    success_rate_delta: number | null;
+    average_score_delta: number | null;
+    average_judge_score_delta: number | null;
+  };
+  tests: {
+    name: string;
+    group: string;
+    status: 'regressed' | 'fixed' | 'unchanged' | 'added' | 'removed';
+    base: TestSnapshot | null;
+    compare: TestSnapshot | null;
+    confidence_delta: number | null;
+    score_delta: number | null;
+  }[];
+}
+
+export interface EvalJob {
+  id: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  dataset: string;
+  total: number;
+  completed: number;
+  passed: number;
+  failed: number;
+  position: number | null;
+  progress: {
+    name: string;
+    group: string;
+    status: 'pending' | 'running' | 'passed' | 'failed' | 'skipped';
+    result: TestResult | null;
+  }[];
+  results: TestSuiteResults | null;
+  error: string | null;
+}
+
+const JOB_POLL_INTERVAL_MS = 1000;
+
+const progressIcons: Record<EvalJob['progress'][number]['status'], string> = {
+  pending: '○',
+  running: '◌',
+  passed: '✓',
+  failed: '✗',
+  skipped: '–',
+};
+
+const percent = (score: number) => `${(score * 100).toFixed(0)}%`;
+
+const signed = (value: number | null, format: (value: number) => string = String) =>
+  value === null ? '–' : `${value > 0 ? '+' : ''}${format(value)}`;
+
+const statusStyles: Record<EvalRunDiff['tests'][number]['status'], string> = {
+  regressed: 'bg-red-50 text-red-700',
+  fixed: 'bg-green-50 text-green-700',
+  unchanged: 'text-slate-500',
+  added: 'bg-indigo-50 text-indigo-700',
+  removed: 'bg-slate-100 text-slate-500',
+};
+
+/**
+ * Past eval runs, with a diff of any two of them: tests that flipped between
+ * pass and fail, and confidence and score deltas
+ */
+const RunHistory: React.FC<{ latestRunId?: string }> = ({ latestRunId }) => {
+  const [runs, setRuns] = useState<EvalRunSummary[]>([]);
+  const [baseId, setBaseId] = useState('');
+  const [compareId, setCompareId] = useState('');
+  const [diff, setDiff] = useState<EvalRunDiff | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch('/eval/runs?limit=20')
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) return;
+        setRuns(data.data);
+        // Default to comparing the latest run with the one before it
+        setCompareId(data.data[0]?.id || '');
+        setBaseId(data.data[1]?.id || '');
+        setDiff(null);
+      })
+      .catch(err => console.error('Error loading eval runs:', err));
+  }, [latestRunId]);
+
+  const handleCompare = async () => {
+    setError('');
+
+    try {
+      const response = await apiFetch(`/eval/diff?base=${encodeURIComponent(baseId)}&compare=${encodeURIComponent(compareId)}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setDiff(data.data);
+      } else {
+        setError(data.error || 'Failed to compare runs');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred');
+    }
+  };
+
+  if (runs.length === 0) {
+    return null;
+  }
+
+  const changedFirst = diff
+    ? [...diff.tests].sort((a, b) => Number(a.status === 'unchanged') - Number(b.status === 'unchanged'))
+    : [];
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-slate-800">Run History</h3>
+        <button
+          onClick={handleCompare}
+          disabled={!baseId || !compareId || baseId === compareId}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-slate-200 disabled:text-slate-400"
+        >
+          Compare
+        </button>
+      </div>
+
+      <div className="max-h-56 overflow-y-auto">
+        <table className="w-full text-xs text-slate-600">
+          <thead>
+            <tr className="text-left text-slate-400 uppercase">
+              <th className="py-1 pr-2" title="Base run">Base</th>
+              <th className="py-1 pr-2" title="Run compared with the base">Cmp</th>
+              <th className="py-1 pr-2">Run</th>
+              <th className="py-1 pr-2">Model</th>
+              <th className="py-1 pr-2">Prompt</th>
+              <th className="py-1 pr-2 text-right">Passed</th>
+              <th className="py-1 text-right">Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.id} className="border-t border-slate-200">
+                <td className="py-1 pr-2">
+                  <input type="radio" name="eval-base" checked={baseId === run.id} onChange={() => setBaseId(run.id)} />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="radio" name="eval-compare" checked={compareId === run.id} onChange={() => setCompareId(run.id)} />
+                </td>
+                <td className="py-1 pr-2">
+                  {new Date(run.created_at).toLocaleString()} <span className="text-slate-400">{run.dataset}</span>
+                </td>
+                <td className="py-1 pr-2">{run.provider}/{run.model}</td>
+                <td className="py-1 pr-2">{run.prompt_version || '–'}</td>
+                <td className="py-1 pr-2 text-right">{run.passed}/{run.total}</td>
+                <td className="py-1 text-right font-semibold">{percent(run.averageScore)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <p className="mt-3 text-red-700 text-sm">{error}</p>}
+
+      {diff && (
+        <div className="mt-4 pt-4 border-t border-slate-200">
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-slate-600 mb-3">
+            <span className="font-bold text-red-600">{diff.summary.regressed} regressed</span>
+            <span className="font-bold text-green-600">{diff.summary.fixed} fixed</span>
+            <span>Success rate {signed(diff.summary.success_rate_delta, value => `${value.toFixed(1)}%`)}</span>
+            <span>Score {signed(diff.summary.average_score_delta, value => `${(value * 100).toFixed(1)}%`)}</span>
+            {diff.summary.average_judge_score_delta !== null && (
+              <span>Judge {signed(diff.summary.average_judge_score_delta, value => value.toFixed(1))}</span>
+            )}
+          </div>
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {changedFirst.map(test => (
+              <div
+                key={test.name}
+                className={`flex items-center justify-between px-2 py-1 rounded text-xs ${statusStyles[test.status]}`}
+              >
+                <span>
+                  <span className="font-bold uppercase mr-2">{test.status}</span>
+                  {test.name}
+                  {test.compare && test.compare.failed_checks.length > 0 && (
+                    <span className="ml-2 opacity-75">({test.compare.failed_checks.join(', ')})</span>
+                  )}
+                </span>
+                <span>
+                  Confidence {test.base?.confidence ?? '–'} → {test.compare?.confidence ?? '–'}{' '}
+                  ({signed(test.confidence_delta)}) · Score {signed(test.score_delta, value => `${(value * 100).toFixed(0)}%`)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export const MiniEvalPanel: React.FC = () => {
   const [results, setResults] = useState<TestSuiteResults | null>(null);
-  const [output, setOutput] = useState<string>('');
+  const [datasets, setDatasets] = useState<string[]>(['default']);
+  const [dataset, setDataset] = useState('default');
   const [isRunning, setIsRunning] = useState(false);
+  const [job, setJob] = useState<EvalJob | null>(null);
   const [error, setError] = useState<string>('');
+  const mounted = useRef(true);
+
+  // Stop polling when the panel goes away
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    apiFetch('/eval/datasets')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success && data.data.length > 0) {
+          setDatasets(data.data);
+        }
+      })
+      .catch(err => console.error('Error loading eval datasets:', err));
+  }, []);
 
   const handleRunEval = async () => {
     setIsRunning(true);
     setResults(null);
-    setOutput('');
+    setJob(null);
     setError('');
 
     try {
-      const response = await fetch(`${BACKEND_API_BASE_URL}/eval/run-tests`, {
+      const response = await apiFetch('/eval/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({ dataset })
       });
 
       const data = await response.json();
 
-      if (data.success) {
-        setResults(data.data.results);
-        setOutput(data.data.output);
-      } else {
+      if (!data.success) {
         setError(data.error || 'Failed to run tests');
+        return;
+      }
+
+      // The suite runs as a background job; poll it for per-test progress
+      let current: EvalJob = data.data;
+      setJob(current);
+
+      while (current.status === 'queued' || current.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+        if (!mounted.current) return;
+
+        const pollResponse = await apiFetch(`/eval/jobs/${current.id}`);
+        const pollData = await pollResponse.json();
+        if (!pollData.success) {
+          setError(pollData.error || 'Lost track of the eval job');
+          return;
+        }
+
+        current = pollData.data;
+        setJob(current);
+      }
+
+      if (current.status === 'completed') {
+        setResults(current.results);
+      } else if (current.status === 'failed') {
+        setError(current.error || 'Eval run failed');
       }
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An error occurred');
@@ -53,6 +350,21 @@ export const MiniEvalPanel: React.FC = () => {
     }
   };
 
+  const handleCancel = async () => {
+    if (!job) return;
+
+    try {
+      const response = await apiFetch(`/eval/jobs/${job.id}/cancel`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error || 'Failed to cancel the eval run');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred');
+    }
+  };
+
   return (
     <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
       <div className="flex items-center justify-between mb-6">
@@ -60,17 +372,38 @@ export const MiniEvalPanel: React.FC = () => {
           <h2 className="text-xl font-bold text-slate-800">Mini-Evaluation Suite</h2>
           <p className="text-slate-500 text-sm">Validate model consistency and safety guardrails.</p>
         </div>
-        <button
-          onClick={handleRunEval}
-          disabled={isRunning}
-          className={`px-4 py-2 rounded-lg font-semibold text-sm transition-all ${
-            isRunning 
-              ? 'bg-slate-100 text-slate-400 cursor-not-allowed' 
-              : 'bg-emerald-600 text-white hover:bg-emerald-700 shadow-md hover:shadow-lg'
-          }`}
-        >
-          {isRunning ? 'Evaluating...' : 'Run Test Suite'}
-        </button>
+        <div className="flex items-center gap-2">
+          <select
+            value={dataset}
+            onChange={(e) => setDataset(e.target.value)}
+            disabled={isRunning}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 outline-none"
+            title="Eval dataset"
+          >
+            {datasets.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleRunEval}
+            disabled={isRunning}
+            className={`px-4 py-2 rounded-lg font-semibold text-sm transition-all ${
+              isRunning 
+                ? 'bg-slate-100 text-slate-400 cursor-not-allowed' 
+                : 'bg-emerald-600 text-white hover:bg-emerald-700 shadow-md hover:shadow-lg'
+            }`}
+          >
+            {isRunning ? 'Evaluating...' : 'Run Test Suite'}
+          </button>
+          {isRunning && job && (
+            <button
+              onClick={handleCancel}
+              className="px-4 py-2 rounded-lg font-semibold text-sm text-slate-600 bg-slate-100 hover:bg-slate-200 transition-all"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
       </div>
 
       {error && (
@@ -80,7 +413,52 @@ export const MiniEvalPanel: React.FC = () => {
       )}
 
       <div className="space-y-4">
-        {!results && !isRunning && !error && (
+        {job && !results && (
+          <div className="bg-slate-50 rounded-lg p-4">
+            <div className="flex items-baseline justify-between mb-2">
+              <h3 className="text-lg font-medium text-slate-800">
+                {job.status === 'queued'
+                  ? `Queued${job.position ? ` (#${job.position})` : ''}`
+                  : job.status === 'running'
+                    ? 'Running'
+                    : job.status === 'cancelled'
+                      ? 'Cancelled'
+                      : 'Failed'}
+              </h3>
+              <span className="text-xs text-slate-500">
+                {job.completed}/{job.total} done · {job.passed} passed · {job.failed} failed
+              </span>
+            </div>
+            <div className="h-2 bg-slate-200 rounded-full overflow-hidden mb-3">
+              <div
+                className="h-full bg-emerald-500 transition-all"
+                style={{ width: `${job.total > 0 ? (job.completed / job.total) * 100 : 0}%` }}
+              />
+            </div>
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-1 max-h-64 overflow-y-auto">
+              {job.progress.map((entry, index) => (
+                <li
+                  key={index}
+                  className={`text-xs flex items-center gap-2 ${
+                    entry.status === 'passed'
+                      ? 'text-green-700'
+                      : entry.status === 'failed'
+                        ? 'text-red-700'
+                        : entry.status === 'running'
+                          ? 'text-indigo-600 font-semibold'
+                          : 'text-slate-400'
+                  }`}
+                >
+                  <span className={entry.status === 'running' ? 'animate-pulse' : ''}>{progressIcons[entry.status]}</span>
+                  {entry.name}
+                  {entry.result && <span className="text-slate-400">{percent(entry.result.score)}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!results && !isRunning && !error && !job && (
           <div className="py-12 border-2 border-dashed border-slate-100 rounded-xl text-center">
             <p className="text-slate-400 text-sm italic">Run evaluation to see how the coach handles various inputs.</p>
           </div>
@@ -90,7 +468,12 @@ export const MiniEvalPanel: React.FC = () => {
           <>
             {/* Summary */}
             <div className="bg-slate-50 rounded-lg p-4">
-              <h3 className="text-lg font-medium text-slate-800 mb-3">Test Summary</h3>
+              <div className="flex items-baseline justify-between mb-3">
+                <h3 className="text-lg font-medium text-slate-800">Test Summary</h3>
+                <span className="text-xs text-slate-500">
+                  {results.dataset} · {results.provider}/{results.model} · {(results.duration_ms / 1000).toFixed(1)}s
+                </span>
+              </div>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div className="text-center">
                   <div className="text-2xl font-bold text-slate-700">{results.total}</div>
@@ -111,58 +494,80 @@ export const MiniEvalPanel: React.FC = () => {
                   <div className="text-sm text-slate-500">Success Rate</div>
                 </div>
               </div>
+              <div className="mt-4 pt-4 border-t border-slate-200 flex flex-wrap gap-x-6 gap-y-2 text-sm text-slate-600">
+                <span>
+                  Average score: <span className="font-bold text-slate-800">{percent(results.averageScore)}</span>
+                </span>
+                {results.averageJudgeScore !== null && (
+                  <span title={`Judge: ${results.judge_model}`}>
+                    Judge: <span className="font-bold text-slate-800">{results.averageJudgeScore.toFixed(1)}/10</span>
+                  </span>
+                )}
+                {Object.entries(results.groups).map(([group, summary]) => (
+                  <span key={group}>
+                    <span className="uppercase text-xs font-bold text-slate-400">{group}</span>{' '}
+                    {summary.passed}/{summary.total} · {percent(summary.averageScore)}
+                  </span>
+                ))}
+              </div>
             </div>
 
             {/* Individual Test Results */}
             <div className="bg-slate-50 rounded-lg p-4">
               <h3 className="text-lg font-medium text-slate-800 mb-3">Individual Test Results</h3>
-              <div className="space-y-2 max-h-64 overflow-y-auto">
+              <div className="space-y-2 max-h-96 overflow-y-auto">
                 {results.tests.map((test, index) => (
                   <div
                     key={index}
-                    className={`flex items-center justify-between p-2 rounded ${
+                    className={`p-2 rounded ${
                       test.passed ? 'bg-green-50' : 'bg-red-50'
                     }`}
                   >
-                    <div className="flex items-center space-x-2">
-                      <span className={test.passed ? 'text-green-600' : 'text-red-600'}>
-                        {test.passed ? '✓' : '✗'}
-                      </span>
-                      <span className="text-sm font-medium text-slate-700">{test.name}</span>
-                    </div>
-                    <div className="text-right">
-                      {test.passed && test.confidence && (
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <span className={test.passed ? 'text-green-600' : 'text-red-600'}>
+                          {test.passed ? '✓' : '✗'}
+                        </span>
+                        <span className="text-sm font-medium text-slate-700">{test.name}</span>
+                        <span className="text-[10px] font-bold uppercase px-1.5 py-0.5 rounded bg-white text-slate-400">
+                          {test.group}
+                        </span>
+                      </div>
+                      <div className="text-right">
                         <span className="text-xs text-slate-500">
-                          Confidence: {test.confidence}/10
+                          {test.rejected ? 'Rejected' : test.confidence != null ? `Confidence: ${test.confidence}/10` : ''}
+                          {test.judge?.score != null && ` · Judge: ${test.judge.score}/10`} · {test.latency_ms}ms
+                        </span>
+                        <span className={`ml-2 text-xs font-bold ${test.passed ? 'text-green-700' : 'text-red-700'}`}>
+                          {percent(test.score)}
                         </span>
-                      )}
-                      {!test.passed && test.errors && (
-                        <div className="text-xs text-red-600">
-                          {test.errors.join(', ')}
-                        </div>
-                      )}
-                      {!test.passed && test.error && (
-                        <div className="text-xs text-red-600">
-                          {test.error}
-                        </div>
-                      )}
+                      </div>
                     </div>
+                    {!test.passed && test.error && (
+                      <div className="mt-1 ml-6 text-xs text-red-600">
+                        {test.error_class ? `${test.error_class}: ` : ''}{test.error}
+                      </div>
+                    )}
+                    {test.checks.some(check => !check.passed) && (
+                      <ul className="mt-1 ml-6 space-y-0.5">
+                        {test.checks.filter(check => !check.passed).map(check => (
+                          <li key={check.name} className="text-xs text-red-600">
+                            <span className="font-semibold">{check.name}:</span> {check.detail}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {test.passed && test.judge?.score != null && (
+                      <p className="mt-1 ml-6 text-xs text-slate-500 italic">{test.judge.reasoning}</p>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
-
-            {/* Console Output */}
-            {output && (
-              <div className="bg-slate-50 rounded-lg p-4">
-                <h3 className="text-lg font-medium text-slate-800 mb-3">Console Output</h3>
-                <pre className="text-xs text-slate-600 bg-slate-900 text-green-400 p-3 rounded overflow-x-auto max-h-64">
-                  {output}
-                </pre>
-              </div>
-            )}
           </>
         )}
+
+        <RunHistory latestRunId={results?.id} />
       </div>
     </div>
   );
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
 
-type Tab = 'coach' | 'eval' | 'history';
+type Tab = 'coach' | 'eval' | 'history' | 'dashboard';
 
 interface NavbarProps {
   onTabChange?: (tab: Tab) => void;
+  username?: string;
+  onSignOut?: () => void;
 }
 
-export default function Navbar({ onTabChange }: NavbarProps) {
+export default function Navbar({ onTabChange, username, onSignOut }: NavbarProps) {
   const [activeTab, setActiveTab] = useState<Tab>('coach');
   const [isScrolled, setIsScrolled] = useState(false);
 
@@ -40,21 +42,32 @@ export default function Navbar({ onTabChange }: NavbarProps) {
           <h1 className="text-2xl font-black text-slate-800 tracking-tight">AI Goal Coach</h1>
         </div>
 
-        <nav className="flex bg-slate-100 p-1 rounded-lg">
-          {(['coach', 'eval', 'history'] as const).map((tab) => (
+        {username && (
+          <div className="flex items-center gap-4">
+            <nav className="flex bg-slate-100 p-1 rounded-lg">
+              {(['coach', 'eval', 'history', 'dashboard'] as const).map((tab) => (
+                <button
+                  key={tab}
+                  onClick={() => handleTabChange(tab)}
+                  className={`px-4 py-1.5 rounded-md text-sm font-bold transition-all ${
+                    activeTab === tab 
+                      ? 'bg-white text-indigo-600 shadow-sm' 
+                      : 'text-slate-500 hover:text-slate-700'
+                  }`}
+                >
+                  {tab.charAt(0).toUpperCase() + tab.slice(1)}
+                </button>
+              ))}
+            </nav>
+            <span className="text-sm font-medium text-slate-600">{username}</span>
             <button
-              key={tab}
-              onClick={() => handleTabChange(tab)}
-              className={`px-4 py-1.5 rounded-md text-sm font-bold transition-all ${
-                activeTab === tab 
-                  ? 'bg-white text-indigo-600 shadow-sm' 
-                  : 'text-slate-500 hover:text-slate-700'
-              }`}
+              onClick={onSignOut}
+              className="text-sm font-bold text-slate-500 hover:text-rose-600 transition-colors"
             >
-              {tab.charAt(0).toUpperCase() + tab.slice(1)}
+              Sign out
             </button>
-          ))}
-        </nav>
+          </div>
+        )}
       </div>
     </header>
   );
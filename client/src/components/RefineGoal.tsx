@@ -1,13 +1,33 @@
 import { useState } from 'react';
-import { BACKEND_API_BASE_URL } from '../constants';
+import { apiFetch } from '../api';
+import { readEventStream } from '../sse';
+import RejectionNotice from './RejectionNotice';
+import type { GoalCategory, Rejection } from '../types';
 
 interface RefinementResult {
   userInput: string;
   refined_goal: string;
   key_results: string[];
   confidence_score: number;
+  category: GoalCategory;
+  tags: string[];
+  prompt_version?: string | null;
 }
 
+interface RefinementStreamPayload {
+  attempt?: number;
+  maxRetries?: number;
+  delayMs?: number;
+  text?: string;
+  error?: string;
+  data?: RefinementResult;
+  rejection?: Rejection;
+  session?: { id: string } | null;
+}
+
+// Longest goal or follow-up the server accepts
+const MAX_INPUT_LENGTH = 500;
+
 interface RefineGoalProps {
   onRefinementComplete?: () => void;
 }
@@ -16,33 +36,113 @@ export default function RefineGoal({ onRefinementComplete }: RefineGoalProps) {
   const [userInput, setUserInput] = useState('');
   const [isRefining, setIsRefining] = useState(false);
   const [currentRefinement, setCurrentRefinement] = useState<RefinementResult | null>(null);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [followUps, setFollowUps] = useState<string[]>([]);
+  const [followUp, setFollowUp] = useState('');
+  const [followUpError, setFollowUpError] = useState<string | null>(null);
+  const [followUpRejection, setFollowUpRejection] = useState<Rejection | null>(null);
+  const [refineError, setRefineError] = useState<string | null>(null);
+  const [rejection, setRejection] = useState<Rejection | null>(null);
+  const [progress, setProgress] = useState<string[]>([]);
+  const [partialText, setPartialText] = useState('');
+
+  const streamRefinement = async (path: string, body: object) => {
+    setProgress([]);
+    setPartialText('');
+
+    const response = await apiFetch(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      const payload: RefinementStreamPayload = { error: data.error, rejection: data.rejection };
+      return { event: data.rejection ? 'rejected' : 'error', data: payload };
+    }
+
+    return readEventStream<RefinementStreamPayload>(response, ({ event, data }) => {
+      if (event === 'attempt') {
+        setProgress((lines) => [...lines, `Attempt ${data.attempt} of ${data.maxRetries} started`]);
+        setPartialText('');
+      } else if (event === 'retrying') {
+        const seconds = Math.round((data.delayMs || 0) / 1000);
+        setProgress((lines) => [...lines, `Attempt ${data.attempt} failed (${data.error}). Retrying in ${seconds}s...`]);
+      } else if (event === 'partial') {
+        setPartialText((text) => text + (data.text || ''));
+      }
+    });
+  };
 
   const handleRefine = async () => {
     if (!userInput.trim()) return;
 
     setIsRefining(true);
+    setSessionId(null);
+    setFollowUps([]);
+    setFollowUpError(null);
+    setFollowUpRejection(null);
+    setRefineError(null);
+    setRejection(null);
     try {
-      // Call your backend API to refine the goal
-      const response = await fetch(`${BACKEND_API_BASE_URL}/goals/refine`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          goal: userInput,
-        }),
-      });
+      // Start a refinement session so the user can follow up on the result
+      const outcome = await streamRefinement('/goals/refine/sessions', { goal: userInput });
+      console.log('Refinement outcome:', outcome);
 
-      const data = await response.json();
-      console.log('Refinement data:', data);
-      setCurrentRefinement(data.data);
+      if (outcome?.event === 'result' && outcome.data.data && outcome.data.session) {
+        setCurrentRefinement(outcome.data.data);
+        setSessionId(outcome.data.session.id);
+      } else if (outcome?.event === 'rejected' && outcome.data.rejection) {
+        setCurrentRefinement(null);
+        setRejection(outcome.data.rejection);
+      } else {
+        setRefineError(outcome?.data.error || 'Failed to refine goal');
+      }
       
-      // Refresh telemetry logs after successful refinement
+      // Refresh telemetry logs after refinement
       if (onRefinementComplete) {
         onRefinementComplete();
       }
     } catch (error) {
       console.error('Error refining goal:', error);
+      setRefineError('Failed to refine goal');
+    } finally {
+      setIsRefining(false);
+    }
+  };
+
+  const handleFollowUp = async () => {
+    if (!sessionId || !followUp.trim()) return;
+
+    setIsRefining(true);
+    setFollowUpError(null);
+    setFollowUpRejection(null);
+    try {
+      const outcome = await streamRefinement(
+        `/goals/refine/sessions/${sessionId}/messages`,
+        { message: followUp }
+      );
+
+      if (outcome?.event === 'result' && outcome.data.data) {
+        setCurrentRefinement(outcome.data.data);
+        setFollowUps([...followUps, followUp.trim()]);
+        setFollowUp('');
+      } else if (outcome?.event === 'rejected' && outcome.data.rejection) {
+        setFollowUpRejection(outcome.data.rejection);
+      } else {
+        setFollowUpError(outcome?.data.error || 'Failed to revise goal');
+      }
+
+      if (onRefinementComplete) {
+        onRefinementComplete();
+      }
+    } catch (error) {
+      console.error('Error revising goal:', error);
+      setFollowUpError('Failed to revise goal');
     } finally {
       setIsRefining(false);
     }
@@ -52,7 +152,7 @@ export default function RefineGoal({ onRefinementComplete }: RefineGoalProps) {
     if (!currentRefinement) return;
 
     try {
-      const response = await fetch(`${BACKEND_API_BASE_URL}/goals`, {
+      const response = await apiFetch('/goals', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -62,12 +162,17 @@ export default function RefineGoal({ onRefinementComplete }: RefineGoalProps) {
           refined_goal: currentRefinement.refined_goal,
           key_results: currentRefinement.key_results,
           confidence_score: currentRefinement.confidence_score,
+          category: currentRefinement.category,
+          tags: currentRefinement.tags,
+          prompt_version: currentRefinement.prompt_version,
         }),
       });
 
       if (response.ok) {
         setUserInput('');
         setCurrentRefinement(null);
+        setSessionId(null);
+        setFollowUps([]);
         // You can add a success notification here
       }
     } catch (error) {
@@ -88,6 +193,7 @@ export default function RefineGoal({ onRefinementComplete }: RefineGoalProps) {
             <textarea
               value={userInput}
               onChange={(e) => setUserInput(e.target.value)}
+              maxLength={MAX_INPUT_LENGTH}
               placeholder="e.g., I want to get better at sales"
               className="w-full h-28 sm:h-32 p-3 sm:p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all outline-none resize-none font-medium text-slate-700 text-sm sm:text-base"
             />
@@ -107,101 +213,174 @@ export default function RefineGoal({ onRefinementComplete }: RefineGoalProps) {
           </div>
         </div>
 
+        {refineError && !isRefining && (
+          <div className="bg-rose-50 border border-rose-200 p-4 rounded-2xl">
+            <p className="text-rose-600 text-sm font-medium">{refineError}</p>
+          </div>
+        )}
+
+        {/* Live progress while the model is working */}
+        {isRefining && (progress.length > 0 || partialText) && (
+          <div className="bg-slate-900 text-slate-300 p-4 rounded-2xl font-mono text-xs space-y-2">
+            {progress.map((line, idx) => (
+              <p key={idx} className={line.includes('failed') ? 'text-amber-400' : 'text-indigo-400'}>
+                {line}
+              </p>
+            ))}
+            {partialText && (
+              <p className="text-slate-400 whitespace-pre-wrap break-all">{partialText}</p>
+            )}
+          </div>
+        )}
+
+        {/* Rejected input, with the coach's rephrasings to try instead */}
+        {rejection && !isRefining && (
+          <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <RejectionNotice
+              rejection={rejection}
+              onUseSuggestion={(suggestion) => {
+                setUserInput(suggestion);
+                setRejection(null);
+              }}
+            />
+          </div>
+        )}
+
         {/* Refinement Result Card */}
         {currentRefinement && (
           <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
-            {currentRefinement.confidence_score < 4 ? (
-              <div className="bg-rose-50 border border-rose-200 p-4 sm:p-6 rounded-2xl">
-                <div className="flex items-center gap-3 text-rose-600 mb-2 font-bold">
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                    strokeWidth={2}
-                    stroke="currentColor"
-                    className="w-5 h-5 sm:w-6 sm:h-6"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126ZM12 15.75h.007v.008H12v-.008Z"
-                    />
-                  </svg>
-                  <span className="text-sm sm:text-base">Low Confidence Input</span>
+            <div className="bg-white p-6 sm:p-8 rounded-2xl shadow-sm border-l-4 border-l-indigo-500 border border-slate-200 space-y-4 sm:space-y-6">
+              <div className="flex items-center justify-between">
+                <span className="bg-indigo-50 text-indigo-700 text-[10px] font-bold uppercase tracking-widest px-3 py-1 rounded-full">
+                  AI Refinement Complete
+                </span>
+                <div className="flex items-center gap-1.5">
+                  <span className="text-xs font-bold text-slate-400">COACH CONFIDENCE:</span>
+                  <div className="flex gap-0.5">
+                    {[...Array(10)].map((_, i) => (
+                      <div
+                        key={i}
+                        className={`w-2 h-4 rounded-sm ${
+                          i < currentRefinement.confidence_score ? 'bg-indigo-500' : 'bg-slate-100'
+                        }`}
+                      />
+                    ))}
+                  </div>
                 </div>
-                <p className="text-rose-700 text-sm">
-                  The AI isn't sure this is a goal. Please try describing an objective or an aspiration you'd like to achieve.
-                </p>
               </div>
-            ) : (
-              <div className="bg-white p-6 sm:p-8 rounded-2xl shadow-sm border-l-4 border-l-indigo-500 border border-slate-200 space-y-4 sm:space-y-6">
-                <div className="flex items-center justify-between">
-                  <span className="bg-indigo-50 text-indigo-700 text-[10px] font-bold uppercase tracking-widest px-3 py-1 rounded-full">
-                    AI Refinement Complete
+
+              <div>
+                <h3 className="text-slate-400 font-bold text-xs uppercase tracking-tighter mb-2">
+                  Refined SMART Goal
+                </h3>
+                <p className="text-2xl font-bold text-slate-800 leading-tight">
+                  {currentRefinement.refined_goal}
+                </p>
+                <div className="flex flex-wrap items-center gap-2 mt-3">
+                  <span className="bg-indigo-50 text-indigo-700 text-xs font-bold capitalize px-3 py-1 rounded-full">
+                    {currentRefinement.category}
                   </span>
-                  <div className="flex items-center gap-1.5">
-                    <span className="text-xs font-bold text-slate-400">COACH CONFIDENCE:</span>
-                    <div className="flex gap-0.5">
-                      {[...Array(10)].map((_, i) => (
-                        <div
-                          key={i}
-                          className={`w-2 h-4 rounded-sm ${
-                            i < currentRefinement.confidence_score ? 'bg-indigo-500' : 'bg-slate-100'
-                          }`}
-                        />
-                      ))}
-                    </div>
-                  </div>
+                  {currentRefinement.tags.map((tag) => (
+                    <span key={tag} className="bg-slate-100 text-slate-500 text-xs font-medium px-2.5 py-1 rounded-full">
+                      #{tag}
+                    </span>
+                  ))}
                 </div>
+              </div>
 
-                <div>
-                  <h3 className="text-slate-400 font-bold text-xs uppercase tracking-tighter mb-2">
-                    Refined SMART Goal
-                  </h3>
-                  <p className="text-2xl font-bold text-slate-800 leading-tight">
-                    {currentRefinement.refined_goal}
-                  </p>
+              <div>
+                <h3 className="text-slate-400 font-bold text-xs uppercase tracking-tighter mb-4">
+                  Key Results (3-5 Steps)
+                </h3>
+                <div className="space-y-3">
+                  {currentRefinement.key_results && Array.isArray(currentRefinement.key_results) ? (
+                    currentRefinement.key_results.map((kr, idx) => (
+                      <div
+                        key={idx}
+                        className="flex gap-4 p-4 bg-slate-50 rounded-xl border border-slate-100 hover:border-indigo-200 transition-all group"
+                      >
+                        <span className="flex-shrink-0 w-8 h-8 rounded-full bg-white flex items-center justify-center font-black text-indigo-600 shadow-sm border border-slate-100 group-hover:scale-110 transition-transform">
+                          {idx + 1}
+                        </span>
+                        <p className="text-slate-700 font-medium pt-1">{kr}</p>
+                      </div>
+                    ))
+                  ) : (
+                    <p className="text-slate-500 text-sm">No key results available</p>
+                  )}
                 </div>
+              </div>
 
-                <div>
-                  <h3 className="text-slate-400 font-bold text-xs uppercase tracking-tighter mb-4">
-                    Key Results (3-5 Steps)
+              {sessionId && (
+                <div className="pt-4 sm:pt-6 border-t border-slate-100 space-y-3">
+                  <h3 className="text-slate-400 font-bold text-xs uppercase tracking-tighter">
+                    Not quite right? Tell the coach what to change
                   </h3>
-                  <div className="space-y-3">
-                    {currentRefinement.key_results && Array.isArray(currentRefinement.key_results) ? (
-                      currentRefinement.key_results.map((kr, idx) => (
-                        <div
+                  {followUps.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {followUps.map((message, idx) => (
+                        <span
                           key={idx}
-                          className="flex gap-4 p-4 bg-slate-50 rounded-xl border border-slate-100 hover:border-indigo-200 transition-all group"
+                          className="bg-indigo-50 text-indigo-700 text-xs font-medium px-3 py-1 rounded-full"
                         >
-                          <span className="flex-shrink-0 w-8 h-8 rounded-full bg-white flex items-center justify-center font-black text-indigo-600 shadow-sm border border-slate-100 group-hover:scale-110 transition-transform">
-                            {idx + 1}
-                          </span>
-                          <p className="text-slate-700 font-medium pt-1">{kr}</p>
-                        </div>
-                      ))
-                    ) : (
-                      <p className="text-slate-500 text-sm">No key results available</p>
-                    )}
+                          {message}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex gap-2">
+                    <input
+                      value={followUp}
+                      onChange={(e) => setFollowUp(e.target.value)}
+                      maxLength={MAX_INPUT_LENGTH}
+                      onKeyDown={(e) => e.key === 'Enter' && handleFollowUp()}
+                      placeholder='e.g., "make it 3 months instead of 6"'
+                      className="flex-1 min-w-0 p-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all outline-none text-sm text-slate-700"
+                    />
+                    <button
+                      onClick={handleFollowUp}
+                      disabled={isRefining || !followUp.trim()}
+                      className={`px-4 py-2 rounded-xl font-bold text-white text-sm transition-all ${
+                        isRefining || !followUp.trim()
+                          ? 'bg-slate-300 cursor-not-allowed'
+                          : 'bg-indigo-600 hover:bg-indigo-700'
+                      }`}
+                    >
+                      {isRefining ? 'Revising...' : 'Revise'}
+                    </button>
                   </div>
+                  {followUpError && <p className="text-rose-600 text-xs font-medium">{followUpError}</p>}
+                  {followUpRejection && (
+                    <RejectionNotice
+                      rejection={followUpRejection}
+                      onUseSuggestion={(suggestion) => {
+                        setFollowUp(suggestion);
+                        setFollowUpRejection(null);
+                      }}
+                    />
+                  )}
                 </div>
+              )}
 
-                <div className="pt-4 sm:pt-6 border-t border-slate-100 flex flex-col sm:flex-row justify-end gap-2 sm:gap-3">
-                  <button
-                    onClick={() => setCurrentRefinement(null)}
-                    className="px-4 sm:px-6 py-2 rounded-lg font-bold text-slate-500 hover:bg-slate-100 transition-colors text-sm sm:text-base order-2 sm:order-1"
-                  >
-                    Discard
-                  </button>
-                  <button
-                    onClick={handleSave}
-                    className="px-4 sm:px-8 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-700 font-bold text-white shadow-md hover:shadow-lg transform transition-all active:scale-95 text-sm sm:text-base order-1 sm:order-2"
-                  >
-                    Save Goal
-                  </button>
-                </div>
+              <div className="pt-4 sm:pt-6 border-t border-slate-100 flex flex-col sm:flex-row justify-end gap-2 sm:gap-3">
+                <button
+                  onClick={() => {
+                    setCurrentRefinement(null);
+                    setSessionId(null);
+                    setFollowUps([]);
+                  }}
+                  className="px-4 sm:px-6 py-2 rounded-lg font-bold text-slate-500 hover:bg-slate-100 transition-colors text-sm sm:text-base order-2 sm:order-1"
+                >
+                  Discard
+                </button>
+                <button
+                  onClick={handleSave}
+                  className="px-4 sm:px-8 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-700 font-bold text-white shadow-md hover:shadow-lg transform transition-all active:scale-95 text-sm sm:text-base order-1 sm:order-2"
+                >
+                  Save Goal
+                </button>
               </div>
-            )}
+            </div>
           </div>
         )}
       </section>
@@ -0,0 +1,60 @@
+import type { Rejection, RejectionReason } from '../types';
+
+const TITLES: Record<RejectionReason, string> = {
+  empty_input: 'No Goal Provided',
+  low_confidence: 'Low Confidence Input',
+  blocked_input: 'Input Not Accepted',
+  blocked_output: 'Answer Withheld',
+};
+
+interface RejectionNoticeProps {
+  rejection: Rejection;
+  onUseSuggestion: (suggestion: string) => void;
+}
+
+export default function RejectionNotice({ rejection, onUseSuggestion }: RejectionNoticeProps) {
+  return (
+    <div className="bg-rose-50 border border-rose-200 p-4 sm:p-6 rounded-2xl">
+      <div className="flex items-center gap-3 text-rose-600 mb-2 font-bold">
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          fill="none"
+          viewBox="0 0 24 24"
+          strokeWidth={2}
+          stroke="currentColor"
+          className="w-5 h-5 sm:w-6 sm:h-6"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126ZM12 15.75h.007v.008H12v-.008Z"
+          />
+        </svg>
+        <span className="text-sm sm:text-base">{TITLES[rejection.reason] ?? 'Input Not Accepted'}</span>
+        {rejection.confidence_score !== null && (
+          <span className="ml-auto text-xs font-bold text-rose-400">
+            CONFIDENCE {rejection.confidence_score}/10
+          </span>
+        )}
+      </div>
+      <p className="text-rose-700 text-sm">{rejection.message}</p>
+
+      {rejection.suggestions.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <h3 className="text-rose-400 font-bold text-xs uppercase tracking-tighter">Did you mean</h3>
+          <div className="flex flex-wrap gap-2">
+            {rejection.suggestions.map((suggestion, idx) => (
+              <button
+                key={idx}
+                onClick={() => onUseSuggestion(suggestion)}
+                className="bg-white border border-rose-200 text-rose-700 text-xs font-medium px-3 py-1.5 rounded-full hover:border-indigo-300 hover:text-indigo-700 transition-colors text-left"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,255 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+import TimeSeriesChart from './TimeSeriesChart';
+
+export interface LatencyPercentiles {
+  p50: number | null;
+  p95: number | null;
+  p99: number | null;
+}
+
+export interface TelemetryStats {
+  totalCalls: number;
+  successfulCalls: number;
+  failedCalls: number;
+  cancelledCalls: number;
+  blockedCalls: number;
+  cacheHits: number;
+  judgeCalls: number;
+  averageLatencyMs: number;
+  latencyPercentiles: LatencyPercentiles;
+  totalTokens: number;
+  totalCost: string;
+}
+
+export interface TelemetrySummary extends TelemetryStats {
+  window: { from: string | null; to: string | null };
+  models: (TelemetryStats & { model: string })[];
+}
+
+export interface TelemetryBucket extends TelemetryStats {
+  start: string;
+}
+
+export interface TelemetryTimeseries {
+  interval: 'hour' | 'day';
+  window: { from: string; to: string };
+  buckets: TelemetryBucket[];
+}
+
+type Range = '24h' | '7d' | '30d';
+
+const RANGES: { value: Range; label: string }[] = [
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+];
+
+const formatMs = (value: number) => (value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`);
+const formatCost = (value: number) => `$${value < 0.01 && value > 0 ? value.toFixed(4) : value.toFixed(2)}`;
+const formatCount = (value: number) => (value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(Math.round(value)));
+
+/**
+ * Telemetry dashboard: totals for the selected range and charts of calls,
+ * errors, latency percentiles, tokens and cost per hour or day
+ */
+export default function TelemetryDashboard() {
+  const [range, setRange] = useState<Range>('7d');
+  const [bucketSize, setBucketSize] = useState<'auto' | 'hour' | 'day'>('auto');
+  const [summary, setSummary] = useState<TelemetrySummary | null>(null);
+  const [timeseries, setTimeseries] = useState<TelemetryTimeseries | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchDashboard = async () => {
+      const params = new URLSearchParams({ window: range });
+      const seriesParams = new URLSearchParams(params);
+      if (bucketSize !== 'auto') seriesParams.set('interval', bucketSize);
+
+      try {
+        const [summaryResponse, seriesResponse] = await Promise.all([
+          apiFetch(`/telemetry?${params}`),
+          apiFetch(`/telemetry/timeseries?${seriesParams}`),
+        ]);
+        const [summaryData, seriesData] = await Promise.all([summaryResponse.json(), seriesResponse.json()]);
+        if (cancelled) return;
+
+        if (summaryData.success && seriesData.success) {
+          setSummary(summaryData.data);
+          setTimeseries(seriesData.data);
+          setError(null);
+        } else {
+          const failed = summaryData.success ? seriesData : summaryData;
+          setError(failed.details?.join(', ') || failed.error || 'Failed to fetch telemetry');
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError('Error fetching telemetry');
+        console.error('Error fetching telemetry dashboard:', err);
+      }
+    };
+
+    fetchDashboard();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, bucketSize]);
+
+  const buckets = timeseries?.buckets ?? [];
+  const starts = buckets.map((bucket) => bucket.start);
+  const successRate = summary && summary.totalCalls > 0 ? (summary.successfulCalls / summary.totalCalls) * 100 : null;
+  const percentile = (key: keyof LatencyPercentiles) => buckets.map((bucket) => bucket.latencyPercentiles[key]);
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-slate-800">Telemetry Dashboard</h2>
+          <p className="text-slate-500 text-sm">Model calls, latency and spend over time.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={range}
+            onChange={(e) => setRange(e.target.value as Range)}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 outline-none"
+            title="Time range"
+          >
+            {RANGES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={bucketSize}
+            onChange={(e) => setBucketSize(e.target.value as 'auto' | 'hour' | 'day')}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 outline-none"
+            title="Bucket size"
+          >
+            <option value="auto">Auto</option>
+            <option value="hour">Hourly</option>
+            <option value="day">Daily</option>
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {summary && (
+        <div className="bg-slate-50 rounded-lg p-4 mb-4">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div className="text-center">
+              <div className="text-2xl font-bold text-slate-700">{summary.totalCalls}</div>
+              <div className="text-sm text-slate-500">Calls</div>
+            </div>
+            <div className="text-center">
+              <div className={`text-2xl font-bold ${successRate === null || successRate >= 95 ? 'text-green-600' : 'text-red-600'}`}>
+                {successRate === null ? '—' : `${successRate.toFixed(1)}%`}
+              </div>
+              <div className="text-sm text-slate-500">Success Rate</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-slate-700">
+                {summary.latencyPercentiles.p95 === null ? '—' : formatMs(summary.latencyPercentiles.p95)}
+              </div>
+              <div className="text-sm text-slate-500">P95 Latency</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-slate-700">{formatCount(summary.totalTokens)}</div>
+              <div className="text-sm text-slate-500">Tokens</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-emerald-600">${summary.totalCost}</div>
+              <div className="text-sm text-slate-500">Est. Cost</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {timeseries && (
+        <div className="space-y-4">
+          <TimeSeriesChart
+            title="Calls"
+            kind="bar"
+            starts={starts}
+            interval={timeseries.interval}
+            formatValue={formatCount}
+            series={[
+              { label: 'Successful', color: '#10b981', values: buckets.map((bucket) => bucket.successfulCalls) },
+              { label: 'Failed', color: '#ef4444', values: buckets.map((bucket) => bucket.failedCalls) },
+              { label: 'Cancelled', color: '#94a3b8', values: buckets.map((bucket) => bucket.cancelledCalls) },
+              { label: 'Blocked', color: '#f59e0b', values: buckets.map((bucket) => bucket.blockedCalls) },
+            ]}
+          />
+          <TimeSeriesChart
+            title="Latency"
+            starts={starts}
+            interval={timeseries.interval}
+            formatValue={formatMs}
+            series={[
+              { label: 'p50', color: '#6366f1', values: percentile('p50') },
+              { label: 'p95', color: '#f59e0b', values: percentile('p95') },
+              { label: 'p99', color: '#ef4444', values: percentile('p99') },
+            ]}
+          />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <TimeSeriesChart
+              title="Tokens"
+              kind="bar"
+              starts={starts}
+              interval={timeseries.interval}
+              formatValue={formatCount}
+              series={[{ label: 'Tokens', color: '#6366f1', values: buckets.map((bucket) => bucket.totalTokens) }]}
+            />
+            <TimeSeriesChart
+              title="Cost"
+              kind="bar"
+              starts={starts}
+              interval={timeseries.interval}
+              formatValue={formatCost}
+              series={[{ label: 'Cost', color: '#10b981', values: buckets.map((bucket) => Number(bucket.totalCost)) }]}
+            />
+          </div>
+        </div>
+      )}
+
+      {summary && summary.models.length > 0 && (
+        <div className="bg-slate-50 rounded-lg p-4 mt-4 overflow-x-auto">
+          <h3 className="text-sm font-bold text-slate-700 mb-2">By Model</h3>
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-slate-500">
+              <tr>
+                <th className="py-1 pr-4 font-medium">Model</th>
+                <th className="py-1 pr-4 font-medium text-right">Calls</th>
+                <th className="py-1 pr-4 font-medium text-right">Errors</th>
+                <th className="py-1 pr-4 font-medium text-right">p50 / p95 / p99</th>
+                <th className="py-1 pr-4 font-medium text-right">Tokens</th>
+                <th className="py-1 font-medium text-right">Cost</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-700">
+              {summary.models.map((model) => (
+                <tr key={model.model} className="border-t border-slate-200">
+                  <td className="py-1.5 pr-4 font-mono text-xs">{model.model}</td>
+                  <td className="py-1.5 pr-4 text-right">{model.totalCalls}</td>
+                  <td className="py-1.5 pr-4 text-right">{model.failedCalls}</td>
+                  <td className="py-1.5 pr-4 text-right whitespace-nowrap">
+                    {[model.latencyPercentiles.p50, model.latencyPercentiles.p95, model.latencyPercentiles.p99]
+                      .map((value) => (value === null ? '—' : formatMs(value)))
+                      .join(' / ')}
+                  </td>
+                  <td className="py-1.5 pr-4 text-right">{formatCount(model.totalTokens)}</td>
+                  <td className="py-1.5 text-right">${model.totalCost}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,38 +1,76 @@
-
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { apiFetch } from '../api';
 
 export interface TelemetryLog {
-    timestamp: string;
-    model: string;
-    success: boolean;
-    latencyMs: number;
-        prompt_tokens: number;
-        completion_tokens: number;
-        total_tokens: number;
-
-        input_cost: string;
-        completion_cost: string;
-        total_cost: string;
-    input: string;
-    output: {
-        refined_goal: string;
-        key_results: string[];
-        confidence_score: number;
-    };
-    errorMessage: string | null;
+  id: string;
+  timestamp: string;
+  model: string;
+  success: boolean;
+  outcome?: 'success' | 'error' | 'cancelled';
+  latency_ms: number;
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  total_cost: number;
+  input: string;
+  output: {
+    refined_goal?: string;
+    key_results?: string[];
+    confidence_score?: number;
+  } | null;
+  error_message: string | null;
+  error_class?: string | null;
+  cache_hit?: boolean;
+  prompt_version?: string | null;
 }
 
+type SortOption = 'newest' | 'oldest' | 'slowest' | 'fastest' | 'costliest' | 'most_tokens';
+
+const SORT_OPTIONS: Record<SortOption, { label: string; sort: string; order: 'asc' | 'desc' }> = {
+  newest: { label: 'Newest', sort: 'timestamp', order: 'desc' },
+  oldest: { label: 'Oldest', sort: 'timestamp', order: 'asc' },
+  slowest: { label: 'Slowest', sort: 'latency_ms', order: 'desc' },
+  fastest: { label: 'Fastest', sort: 'latency_ms', order: 'asc' },
+  costliest: { label: 'Most expensive', sort: 'total_cost', order: 'desc' },
+  most_tokens: { label: 'Most tokens', sort: 'total_tokens', order: 'desc' },
+};
+
+interface Filters {
+  search: string;
+  status: 'all' | 'success' | 'failed';
+  model: string;
+  sort: SortOption;
+  minLatency: string;
+  maxLatency: string;
+  minCost: string;
+  maxCost: string;
+}
+
+const DEFAULT_FILTERS: Filters = {
+  search: '',
+  status: 'all',
+  model: '',
+  sort: 'newest',
+  minLatency: '',
+  maxLatency: '',
+  minCost: '',
+  maxCost: '',
+};
+
+const PAGE_SIZE = 25;
+
 interface TelemetryPanelProps {
-  log: TelemetryLog[];
+  /** Bump to reload the first page, e.g. after a new refinement */
+  refreshKey?: number;
 }
 
-const TruncatedText: React.FC<{ 
-  text: string; 
-  maxLength?: number; 
+const TruncatedText: React.FC<{
+  text: string;
+  maxLength?: number;
   className?: string;
 }> = ({ text, maxLength = 100, className = "" }) => {
   const [isExpanded, setIsExpanded] = useState(false);
-  
+
   if (text.length <= maxLength) {
     return <div className={className}>{text}</div>;
   }
@@ -50,62 +88,268 @@ const TruncatedText: React.FC<{
   );
 };
 
-export const TelemetryPanel: React.FC<TelemetryPanelProps> = ({ log }) => {
-  console.log('Rendering TelemetryPanel with logs:', log);
+const statusBadge = (log: TelemetryLog) => {
+  if (log.success) return { label: 'OK', className: 'bg-green-500/20 text-green-400' };
+  if (log.outcome === 'cancelled') return { label: 'Cancelled', className: 'bg-slate-500/20 text-slate-400' };
+  return { label: 'Failed', className: 'bg-red-500/20 text-red-400' };
+};
+
+/**
+ * Query string for GET /telemetry/logs, without the cursor
+ */
+function buildQuery(filters: Filters): string {
+  const { sort, order } = SORT_OPTIONS[filters.sort];
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort, order });
+
+  if (filters.search.trim()) params.set('search', filters.search.trim());
+  if (filters.status !== 'all') params.set('success', String(filters.status === 'success'));
+  if (filters.model) params.set('model', filters.model);
+  if (filters.minLatency) params.set('min_latency_ms', filters.minLatency);
+  if (filters.maxLatency) params.set('max_latency_ms', filters.maxLatency);
+  if (filters.minCost) params.set('min_cost', filters.minCost);
+  if (filters.maxCost) params.set('max_cost', filters.maxCost);
+
+  return params.toString();
+}
+
+export const TelemetryPanel: React.FC<TelemetryPanelProps> = ({ refreshKey = 0 }) => {
+  const [logs, setLogs] = useState<TelemetryLog[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadedKey, setLoadedKey] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState<Filters>(DEFAULT_FILTERS);
+  const [models, setModels] = useState<string[]>([]);
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const scrollRef = useRef<HTMLDivElement>(null);
+  const sentinelRef = useRef<HTMLDivElement>(null);
+  // Only the latest request may update the list, so stale pages are dropped
+  const latestRequest = useRef(0);
+
+  const query = useMemo(() => buildQuery(filters), [filters]);
+  // The first page is loading until a response for the current filters arrives
+  const requestKey = `${query}|${refreshKey}`;
+  const loading = loadedKey !== requestKey || loadingMore;
+
+  const loadPage = useCallback(async (cursor: string | null) => {
+    const requestId = ++latestRequest.current;
+
+    try {
+      const response = await apiFetch(`/telemetry/logs?${query}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+      const data = await response.json();
+      if (requestId !== latestRequest.current) return;
+
+      if (data.success) {
+        setLogs((current) => (cursor ? [...current, ...data.data] : data.data));
+        setNextCursor(data.next_cursor);
+        setError(null);
+        if (!cursor) scrollRef.current?.scrollTo({ top: 0 });
+      } else {
+        setError(data.details?.join(', ') || data.error || 'Failed to fetch telemetry logs');
+      }
+    } catch (err) {
+      if (requestId !== latestRequest.current) return;
+      setError('Error fetching telemetry logs');
+      console.error('Error fetching telemetry logs:', err);
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoadedKey(requestKey);
+        setLoadingMore(false);
+      }
+    }
+  }, [query, requestKey]);
+
+  useEffect(() => {
+    // Reload from the first page whenever the filters change or a call is
+    // logged, debounced so typing in the search box doesn't fire a request per key
+    const timer = setTimeout(() => loadPage(null), 300);
+    return () => clearTimeout(timer);
+  }, [loadPage]);
+
+  useEffect(() => {
+    // Model filter options come from the per-model telemetry summary
+    const fetchModels = async () => {
+      try {
+        const response = await apiFetch('/telemetry');
+        const data = await response.json();
+        if (data.success) {
+          setModels(data.data.models.map((entry: { model: string }) => entry.model));
+        }
+      } catch (err) {
+        console.error('Error fetching telemetry models:', err);
+      }
+    };
+
+    fetchModels();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    // Fetch the next page when the end of the list scrolls into view
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          setLoadingMore(true);
+          loadPage(nextCursor);
+        }
+      },
+      { root: scrollRef.current, rootMargin: '100px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadPage]);
+
+  const updateFilter = <K extends keyof Filters>(key: K, value: Filters[K]) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  const inputClass = 'bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-slate-300 focus:outline-none focus:border-indigo-500';
+
   return (
     <div className="bg-slate-900 text-slate-300 p-3 sm:p-4 rounded-xl shadow-2xl overflow-hidden flex flex-col h-[400px] sm:h-[450px] lg:h-[500px]">
-      <div className="flex items-center justify-between mb-4 border-b border-slate-700 pb-2">
+      <div className="flex items-center justify-between mb-3 border-b border-slate-700 pb-2">
         <h3 className="text-sm font-bold uppercase tracking-wider text-slate-400">Observability Layer</h3>
         <span className="text-xs bg-indigo-500/20 text-indigo-400 px-2 py-0.5 rounded-full border border-indigo-500/30">
           Live Telemetry
         </span>
       </div>
-      
-      <div className="flex-1 overflow-y-auto space-y-2 sm:space-y-3 font-mono text-[9px] sm:text-[10px] md:text-xs scrollbar-hide">
-        {!log || log.length === 0 ? (
+
+      <div className="space-y-2 mb-3">
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder="Search inputs..."
+          className={`${inputClass} w-full`}
+        />
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value as Filters['status'])}
+            className={inputClass}
+          >
+            <option value="all">All calls</option>
+            <option value="success">Successful</option>
+            <option value="failed">Failed</option>
+          </select>
+          <select value={filters.model} onChange={(e) => updateFilter('model', e.target.value)} className={inputClass}>
+            <option value="">All models</option>
+            {models.map((model) => (
+              <option key={model} value={model}>{model}</option>
+            ))}
+          </select>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value as SortOption)}
+            className={inputClass}
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={() => setShowMoreFilters(!showMoreFilters)}
+          className="text-xs text-indigo-400 hover:text-indigo-300"
+        >
+          {showMoreFilters ? 'Hide latency & cost filters' : 'Latency & cost filters'}
+        </button>
+        {showMoreFilters && (
+          <div className="grid grid-cols-2 gap-2">
+            <input type="number" min="0" value={filters.minLatency} onChange={(e) => updateFilter('minLatency', e.target.value)} placeholder="Min latency (ms)" className={inputClass} />
+            <input type="number" min="0" value={filters.maxLatency} onChange={(e) => updateFilter('maxLatency', e.target.value)} placeholder="Max latency (ms)" className={inputClass} />
+            <input type="number" min="0" step="0.000001" value={filters.minCost} onChange={(e) => updateFilter('minCost', e.target.value)} placeholder="Min cost ($)" className={inputClass} />
+            <input type="number" min="0" step="0.000001" value={filters.maxCost} onChange={(e) => updateFilter('maxCost', e.target.value)} placeholder="Max cost ($)" className={inputClass} />
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-400 bg-red-900/20 rounded p-2 mb-2">{error}</div>
+      )}
+
+      <div ref={scrollRef} className="flex-1 overflow-y-auto font-mono text-[9px] sm:text-[10px] md:text-xs scrollbar-hide">
+        {logs.length === 0 && !loading ? (
           <div className="text-slate-500 italic py-10 text-center">No telemetry data recorded yet.</div>
         ) : (
-          log.map((logEntry, index) => (
-            <div key={index} className="bg-slate-800/50 p-3 rounded border border-slate-700">
-              <div className="flex justify-between items-center mb-1 text-slate-500">
-                <span>{new Date(logEntry.timestamp).toLocaleString()}</span>
-                <span className={`px-2 py-0.5 rounded text-xs ${logEntry.success ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
-                  {logEntry.success ? 'Success' : 'Failed'}
-                </span>
-              </div>
-              <div className="text-indigo-400 truncate mb-1 italic">Model: {logEntry.model}</div>
-              <div className="text-yellow-400 truncate mb-1 italic">Latency: {logEntry.latencyMs}ms</div>
-              <div className="grid grid-cols-3 gap-2 py-1 border-y border-slate-700/50 my-1 text-slate-400">
-                <div>Prompt: {logEntry.prompt_tokens}</div>
-                <div>Completion: {logEntry.completion_tokens}</div>
-                <div>Total: {logEntry.total_tokens}</div>
-              </div>
-              <div className="text-emerald-400 whitespace-pre-wrap break-all mt-1">
-                Cost: ${logEntry.total_cost}
-              </div>
-              {logEntry.input && (
-                <div className="text-slate-300 mt-2 p-2 bg-slate-900/50 rounded">
-                  <div className="text-xs text-slate-500 mb-1">Input:</div>
-                  <TruncatedText 
-                    text={logEntry.input} 
-                    maxLength={80}
-                    className="text-slate-300"
-                  />
-                </div>
-              )}
-              {logEntry.errorMessage && (
-                <div className="text-red-400 mt-2 p-2 bg-red-900/20 rounded">
-                  <div className="text-xs text-red-500 mb-1">Error:</div>
-                  <TruncatedText 
-                    text={logEntry.errorMessage} 
-                    maxLength={120}
-                    className="text-red-400"
-                  />
-                </div>
-              )}
-            </div>
-          ))
+          <table className="w-full text-left">
+            <thead className="sticky top-0 bg-slate-900 text-slate-500">
+              <tr>
+                <th className="py-1 pr-2 font-normal">Time</th>
+                <th className="py-1 pr-2 font-normal">Status</th>
+                <th className="py-1 pr-2 font-normal text-right">Latency</th>
+                <th className="py-1 pr-2 font-normal text-right">Tokens</th>
+                <th className="py-1 font-normal text-right">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {logs.map((logEntry) => {
+                const badge = statusBadge(logEntry);
+                const expanded = expandedId === logEntry.id;
+
+                return (
+                  <React.Fragment key={logEntry.id}>
+                    <tr
+                      onClick={() => setExpandedId(expanded ? null : logEntry.id)}
+                      className="border-t border-slate-800 hover:bg-slate-800/50 cursor-pointer"
+                    >
+                      <td className="py-1.5 pr-2 text-slate-400 whitespace-nowrap">
+                        {new Date(logEntry.timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </td>
+                      <td className="py-1.5 pr-2 whitespace-nowrap">
+                        <span className={`px-1.5 py-0.5 rounded ${badge.className}`}>{badge.label}</span>
+                        {logEntry.cache_hit && (
+                          <span className="ml-1 px-1.5 py-0.5 rounded bg-sky-500/20 text-sky-400">Cached</span>
+                        )}
+                      </td>
+                      <td className="py-1.5 pr-2 text-right text-yellow-400">{logEntry.latency_ms}ms</td>
+                      <td className="py-1.5 pr-2 text-right">{logEntry.total_tokens}</td>
+                      <td className="py-1.5 text-right text-emerald-400">${Number(logEntry.total_cost).toFixed(6)}</td>
+                    </tr>
+                    {expanded && (
+                      <tr>
+                        <td colSpan={5} className="pb-2">
+                          <div className="bg-slate-800/50 p-2 rounded border border-slate-700 space-y-1">
+                            <div className="text-indigo-400">
+                              Model: {logEntry.model}
+                              {logEntry.prompt_version && ` · prompt ${logEntry.prompt_version}`}
+                            </div>
+                            <div className="text-slate-400">
+                              Prompt: {logEntry.prompt_tokens} · Completion: {logEntry.completion_tokens}
+                            </div>
+                            {logEntry.input && (
+                              <div className="p-2 bg-slate-900/50 rounded">
+                                <div className="text-slate-500 mb-1">Input:</div>
+                                <TruncatedText text={logEntry.input} maxLength={80} className="text-slate-300" />
+                              </div>
+                            )}
+                            {logEntry.output?.refined_goal && (
+                              <div className="p-2 bg-slate-900/50 rounded">
+                                <div className="text-slate-500 mb-1">Refined goal:</div>
+                                <TruncatedText text={logEntry.output.refined_goal} maxLength={120} className="text-slate-300" />
+                              </div>
+                            )}
+                            {logEntry.error_message && (
+                              <div className="text-red-400 p-2 bg-red-900/20 rounded">
+                                <div className="text-red-500 mb-1">Error{logEntry.error_class && ` (${logEntry.error_class})`}:</div>
+                                <TruncatedText text={logEntry.error_message} maxLength={120} className="text-red-400" />
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
         )}
+        <div ref={sentinelRef} />
+        {loading && <div className="text-slate-500 italic py-2 text-center">Loading...</div>}
       </div>
     </div>
   );
@@ -0,0 +1,197 @@
+import { useState, type MouseEvent } from 'react';
+
+export interface ChartSeries {
+  label: string;
+  /** Tailwind-independent stroke/fill color, e.g. '#6366f1' */
+  color: string;
+  /** One value per bucket; null leaves a gap (e.g. no calls to take a percentile of) */
+  values: (number | null)[];
+}
+
+interface TimeSeriesChartProps {
+  title: string;
+  /** Bucket start times (ISO), one per value */
+  starts: string[];
+  interval: 'hour' | 'day';
+  series: ChartSeries[];
+  /** 'bar' stacks the series; 'line' draws one line each */
+  kind?: 'bar' | 'line';
+  formatValue?: (value: number) => string;
+}
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 48 };
+
+/**
+ * Round a maximum up to 1, 2 or 5 times a power of ten, so axis labels are
+ * readable
+ */
+function niceMax(value: number): number {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value) ?? 10;
+  return step * magnitude;
+}
+
+function formatBucket(start: string, interval: 'hour' | 'day'): string {
+  const date = new Date(start);
+  return interval === 'hour'
+    ? date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Small dependency-free SVG chart for telemetry buckets, with a hover
+ * tooltip showing every series' value for the bucket under the pointer
+ */
+export default function TimeSeriesChart({
+  title,
+  starts,
+  interval,
+  series,
+  kind = 'line',
+  formatValue = (value) => value.toLocaleString(),
+}: TimeSeriesChartProps) {
+  const [hovered, setHovered] = useState<number | null>(null);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const count = starts.length;
+  const slot = count > 0 ? plotWidth / count : plotWidth;
+
+  const totals = starts.map((_, index) =>
+    kind === 'bar'
+      ? series.reduce((sum, entry) => sum + (entry.values[index] ?? 0), 0)
+      : Math.max(0, ...series.map((entry) => entry.values[index] ?? 0))
+  );
+  const max = niceMax(Math.max(0, ...totals));
+
+  const x = (index: number) => PADDING.left + slot * index + slot / 2;
+  const y = (value: number) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  // Label about six buckets along the x axis
+  const labelEvery = Math.max(1, Math.ceil(count / 6));
+
+  const handleMouseMove = (event: MouseEvent<SVGSVGElement>) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const position = ((event.clientX - bounds.left) / bounds.width) * WIDTH - PADDING.left;
+    const index = Math.floor(position / slot);
+    setHovered(index >= 0 && index < count ? index : null);
+  };
+
+  return (
+    <div className="bg-slate-50 rounded-lg p-4">
+      <div className="flex items-baseline justify-between mb-2">
+        <h3 className="text-sm font-bold text-slate-700">{title}</h3>
+        <div className="flex gap-3 text-xs text-slate-500">
+          {series.map((entry) => (
+            <span key={entry.label} className="flex items-center gap-1">
+              <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: entry.color }} />
+              {entry.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="relative">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHovered(null)}
+        >
+          {[0, 0.5, 1].map((fraction) => (
+            <g key={fraction}>
+              <line
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(max * fraction)}
+                y2={y(max * fraction)}
+                stroke="#e2e8f0"
+              />
+              <text x={PADDING.left - 6} y={y(max * fraction) + 3} textAnchor="end" fontSize="10" fill="#94a3b8">
+                {formatValue(max * fraction)}
+              </text>
+            </g>
+          ))}
+
+          {starts.map((start, index) =>
+            index % labelEvery === 0 ? (
+              <text key={start} x={x(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">
+                {formatBucket(start, interval)}
+              </text>
+            ) : null
+          )}
+
+          {hovered !== null && (
+            <rect
+              x={PADDING.left + slot * hovered}
+              y={PADDING.top}
+              width={slot}
+              height={plotHeight}
+              fill="#6366f1"
+              opacity="0.06"
+            />
+          )}
+
+          {kind === 'bar'
+            ? starts.map((start, index) => {
+              let base = 0;
+              return series.map((entry) => {
+                const value = entry.values[index] ?? 0;
+                const top = base + value;
+                const rect = value > 0 ? (
+                  <rect
+                    key={`${start}-${entry.label}`}
+                    x={PADDING.left + slot * index + slot * 0.15}
+                    y={y(top)}
+                    width={slot * 0.7}
+                    height={y(base) - y(top)}
+                    fill={entry.color}
+                  />
+                ) : null;
+                base = top;
+                return rect;
+              });
+            })
+            : series.map((entry) => {
+              // Break the line at buckets without a value
+              const segments: string[] = [];
+              let current = '';
+              entry.values.forEach((value, index) => {
+                if (value === null) {
+                  if (current) segments.push(current);
+                  current = '';
+                } else {
+                  current += `${current ? 'L' : 'M'}${x(index)},${y(value)}`;
+                }
+              });
+              if (current) segments.push(current);
+
+              return segments.map((path, index) => (
+                <path key={`${entry.label}-${index}`} d={path} fill="none" stroke={entry.color} strokeWidth="2" />
+              ));
+            })}
+        </svg>
+
+        {hovered !== null && (
+          <div
+            className="absolute top-0 pointer-events-none bg-white border border-slate-200 rounded shadow-sm px-2 py-1 text-xs text-slate-600 whitespace-nowrap"
+            style={{
+              left: `${(x(hovered) / WIDTH) * 100}%`,
+              transform: hovered > count / 2 ? 'translateX(-105%)' : 'translateX(5%)',
+            }}
+          >
+            <div className="font-bold text-slate-700">{formatBucket(starts[hovered], interval)}</div>
+            {series.map((entry) => (
+              <div key={entry.label}>
+                {entry.label}: {entry.values[hovered] === null ? '—' : formatValue(entry.values[hovered] ?? 0)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1 +1,7 @@
 export const BACKEND_API_BASE_URL = 'http://localhost:3000/api';
+
+// Categories the coach classifies goals into (see src/schemas/goalSchema.js)
+export const GOAL_CATEGORIES = ['career', 'health', 'learning', 'finance', 'relationships', 'personal', 'other'] as const;
+
+// Most tags a goal can carry
+export const MAX_TAGS = 5;
@@ -0,0 +1,50 @@
+export interface StreamEvent<T> {
+  event: string;
+  data: T;
+}
+
+/**
+ * Read a Server-Sent Events response from fetch(), calling onEvent for each
+ * event as it arrives. Resolves with the last event once the server closes
+ * the stream.
+ */
+export async function readEventStream<T>(
+  response: Response,
+  onEvent: (event: StreamEvent<T>) => void
+): Promise<StreamEvent<T> | null> {
+  if (!response.body) {
+    throw new Error('Streaming is not supported by this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lastEvent: StreamEvent<T> | null = null;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines: string[] = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      }
+
+      if (dataLines.length > 0) {
+        lastEvent = { event, data: JSON.parse(dataLines.join('\n')) };
+        onEvent(lastEvent);
+      }
+    }
+  }
+
+  return lastEvent;
+}
@@ -0,0 +1,66 @@
+import type { GOAL_CATEGORIES } from './constants';
+
+export type GoalCategory = (typeof GOAL_CATEGORIES)[number];
+
+export type KeyResultStatus = 'not_started' | 'in_progress' | 'done';
+
+export interface CheckIn {
+  id: string;
+  date: string;
+  value: number;
+  note: string;
+}
+
+export interface KeyResult {
+  id: string;
+  title: string;
+  status: KeyResultStatus;
+  target: number | null;
+  current: number;
+  unit: string;
+  check_ins: CheckIn[];
+  progress: number;
+}
+
+export interface Goal {
+  id: string;
+  original_input: string;
+  refined_goal: string;
+  key_results: KeyResult[];
+  confidence_score: number;
+  // null for goals saved before classification
+  category: GoalCategory | null;
+  tags: string[];
+  completion: number;
+  prompt_version?: string | null;
+  created_at: string;
+}
+
+export interface User {
+  id: string;
+  username: string;
+}
+
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+// Category and tag counts across all of the user's goals
+export interface GoalFacets {
+  categories: FacetCount[];
+  tags: FacetCount[];
+}
+
+export type RejectionReason = 'empty_input' | 'low_confidence' | 'blocked_input' | 'blocked_output';
+
+// Returned in place of a goal when the guardrail policy rejects a refinement
+export interface Rejection {
+  rejected: true;
+  reason: RejectionReason;
+  message: string;
+  confidence_score: number | null;
+  suggestions: string[];
+  guardrail: { rule: string; stage: string; reason: string | null } | null;
+  prompt_version: string | null;
+}
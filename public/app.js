@@ -1,12 +1,21 @@
 // ============ STATE MANAGEMENT ============
 let currentRefinedGoal = null;
+let goalsCursor = null; // next_cursor of the last loaded page of saved goals
+const SESSION_KEY = 'goal-coach-session';
 
 // ============ DOM ELEMENTS ============
 const goalInput = document.getElementById('goalInput');
 const charCount = document.getElementById('charCount');
 const refineBtn = document.getElementById('refineBtn');
 const loadingIndicator = document.getElementById('loadingIndicator');
+const loadingStatus = document.getElementById('loadingStatus');
+const streamPreview = document.getElementById('streamPreview');
 const errorMessage = document.getElementById('errorMessage');
+const rejectionNotice = document.getElementById('rejectionNotice');
+const rejectionTitle = document.getElementById('rejectionTitle');
+const rejectionMessage = document.getElementById('rejectionMessage');
+const rejectionConfidence = document.getElementById('rejectionConfidence');
+const rejectionSuggestions = document.getElementById('rejectionSuggestions');
 const refinedGoalSection = document.getElementById('refinedGoalSection');
 const refinedGoal = document.getElementById('refinedGoal');
 const keyResultsList = document.getElementById('keyResultsList');
@@ -15,16 +24,122 @@ const confidenceText = document.getElementById('confidenceText');
 const saveGoalBtn = document.getElementById('saveGoalBtn');
 const refineAgainBtn = document.getElementById('refineAgainBtn');
 const goalsList = document.getElementById('goalsList');
+const loadMoreGoalsBtn = document.getElementById('loadMoreGoalsBtn');
 const telemetryStats = document.getElementById('telemetryStats');
+const authPanel = document.getElementById('authPanel');
+const authUsername = document.getElementById('authUsername');
+const authPassword = document.getElementById('authPassword');
+const authError = document.getElementById('authError');
+const loginBtn = document.getElementById('loginBtn');
+const registerBtn = document.getElementById('registerBtn');
+const mainContent = document.getElementById('mainContent');
+const userBar = document.getElementById('userBar');
+const currentUser = document.getElementById('currentUser');
+const signOutBtn = document.getElementById('signOutBtn');
 
 // ============ EVENT LISTENERS ============
 goalInput.addEventListener('input', updateCharCount);
 refineBtn.addEventListener('click', handleRefineGoal);
 saveGoalBtn.addEventListener('click', handleSaveGoal);
 refineAgainBtn.addEventListener('click', handleRefineAgain);
+loginBtn.addEventListener('click', () => handleAuth('login'));
+registerBtn.addEventListener('click', () => handleAuth('register'));
+signOutBtn.addEventListener('click', signOut);
+loadMoreGoalsBtn.addEventListener('click', () => loadSavedGoals(goalsCursor));
 
 // ============ FUNCTIONS ============
 
+/**
+ * Read the signed-in user's { token, user } from localStorage
+ */
+function getSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * fetch() with the signed-in user's token; signs out when it is rejected
+ */
+async function authFetch(url, options = {}) {
+    const session = getSession();
+    const headers = { ...(options.headers || {}) };
+    if (session) {
+        headers.Authorization = `Bearer ${session.token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        signOut();
+    }
+    return response;
+}
+
+/**
+ * Handle sign in / create account button clicks
+ */
+async function handleAuth(mode) {
+    authError.classList.add('hidden');
+
+    try {
+        const response = await fetch(`/api/auth/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: authUsername.value.trim(),
+                password: authPassword.value,
+            }),
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            authError.textContent = [data.error, ...(data.details || [])].join(' - ');
+            authError.classList.remove('hidden');
+            return;
+        }
+
+        localStorage.setItem(SESSION_KEY, JSON.stringify(data.data));
+        authPassword.value = '';
+        showApp();
+    } catch (error) {
+        console.error('Error signing in:', error);
+        authError.textContent = 'Could not reach the server. Please try again.';
+        authError.classList.remove('hidden');
+    }
+}
+
+/**
+ * Forget the token and go back to the sign in form
+ */
+function signOut() {
+    localStorage.removeItem(SESSION_KEY);
+    currentRefinedGoal = null;
+    refinedGoalSection.classList.add('hidden');
+    mainContent.classList.add('hidden');
+    userBar.classList.add('hidden');
+    authPanel.classList.remove('hidden');
+}
+
+/**
+ * Show the app for the signed-in user and load their data
+ */
+function showApp() {
+    const session = getSession();
+    if (!session) {
+        signOut();
+        return;
+    }
+
+    currentUser.textContent = session.user.username;
+    authPanel.classList.add('hidden');
+    userBar.classList.remove('hidden');
+    mainContent.classList.remove('hidden');
+    loadSavedGoals();
+    loadTelemetry();
+}
+
 /**
  * Update character count display
  */
@@ -53,10 +168,13 @@ function showError(message) {
  */
 function setLoading(isLoading) {
     if (isLoading) {
+        loadingStatus.textContent = 'Refining your goal...';
+        streamPreview.textContent = '';
         loadingIndicator.classList.remove('hidden');
         refineBtn.disabled = true;
     } else {
         loadingIndicator.classList.add('hidden');
+        streamPreview.classList.add('hidden');
         refineBtn.disabled = false;
     }
 }
@@ -74,9 +192,10 @@ async function handleRefineGoal() {
 
     setLoading(true);
     errorMessage.classList.add('hidden');
+    rejectionNotice.classList.add('hidden');
 
     try {
-        const response = await fetch('/api/goals/refine', {
+        const response = await authFetch('/api/goals/refine/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -84,15 +203,12 @@ async function handleRefineGoal() {
             body: JSON.stringify({ goal }),
         });
 
-        const data = await response.json();
-
         if (!response.ok) {
-            throw new Error(data.error || 'Failed to refine goal');
+            const data = await response.json();
+            throw refinementError(data);
         }
 
-        if (!data.success) {
-            throw new Error(data.error || 'Failed to refine goal');
-        }
+        const data = await readRefinementStream(response);
 
         // Store refined goal
         currentRefinedGoal = data.data;
@@ -103,13 +219,112 @@ async function handleRefineGoal() {
         // Refresh goals list and telemetry
         await Promise.all([loadSavedGoals(), loadTelemetry()]);
     } catch (error) {
-        showError(error.message);
-        console.error('Error refining goal:', error);
+        if (error.rejection) {
+            showRejection(error.rejection);
+        } else {
+            showError(error.message);
+            console.error('Error refining goal:', error);
+        }
     } finally {
         setLoading(false);
     }
 }
 
+/**
+ * Read the refinement event stream, showing progress as it arrives.
+ * Resolves with the refined goal or throws the rejection/error message.
+ */
+async function readRefinementStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let outcome = null;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const event = (rawEvent.match(/^event: (.*)$/m) || [])[1];
+            const dataLine = (rawEvent.match(/^data: (.*)$/m) || [])[1];
+            if (!event || !dataLine) continue;
+
+            const payload = JSON.parse(dataLine);
+
+            if (event === 'attempt') {
+                loadingStatus.textContent = `Refining your goal (attempt ${payload.attempt} of ${payload.maxRetries})...`;
+                streamPreview.textContent = '';
+            } else if (event === 'retrying') {
+                loadingStatus.textContent = `Attempt ${payload.attempt} failed, retrying in ${Math.round(payload.delayMs / 1000)}s...`;
+            } else if (event === 'partial') {
+                streamPreview.classList.remove('hidden');
+                streamPreview.textContent += payload.text;
+            } else {
+                outcome = { event, payload };
+            }
+        }
+    }
+
+    if (!outcome) {
+        throw new Error('Refinement stream ended unexpectedly');
+    }
+    if (outcome.event !== 'result') {
+        throw refinementError(outcome.payload);
+    }
+    return outcome.payload;
+}
+
+/**
+ * Error for a failed refinement; rejected inputs carry the typed rejection
+ */
+function refinementError(data) {
+    const error = new Error(data.error || 'Failed to refine goal');
+    error.rejection = data.rejection || null;
+    return error;
+}
+
+const REJECTION_TITLES = {
+    empty_input: 'No Goal Provided',
+    low_confidence: 'Low Confidence Input',
+    blocked_input: 'Input Not Accepted',
+    blocked_output: 'Answer Withheld',
+};
+
+/**
+ * Explain why the input was rejected and offer the model's rephrasings,
+ * which fill the goal input when clicked
+ */
+function showRejection(rejection) {
+    rejectionTitle.textContent = REJECTION_TITLES[rejection.reason] || 'Input Not Accepted';
+    rejectionMessage.textContent = rejection.message;
+    rejectionConfidence.textContent = rejection.confidence_score !== null
+        ? `AI confidence: ${rejection.confidence_score}/10`
+        : '';
+
+    rejectionSuggestions.innerHTML = '';
+    rejection.suggestions.forEach((suggestion) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = suggestion;
+        button.addEventListener('click', () => {
+            goalInput.value = suggestion;
+            updateCharCount();
+            rejectionNotice.classList.add('hidden');
+            goalInput.focus();
+        });
+        rejectionSuggestions.appendChild(button);
+    });
+
+    refinedGoalSection.classList.add('hidden');
+    rejectionNotice.classList.remove('hidden');
+}
+
 /**
  * Display refined goal in UI
  */
@@ -162,7 +377,7 @@ async function handleSaveGoal() {
     }
 
     try {
-        const response = await fetch('/api/goals', {
+        const response = await authFetch('/api/goals', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -172,6 +387,9 @@ async function handleSaveGoal() {
                 refined_goal: currentRefinedGoal.refined_goal,
                 key_results: currentRefinedGoal.key_results,
                 confidence_score: currentRefinedGoal.confidence_score,
+                category: currentRefinedGoal.category,
+                tags: currentRefinedGoal.tags,
+                prompt_version: currentRefinedGoal.prompt_version,
             }),
         });
 
@@ -222,11 +440,15 @@ function handleRefineAgain() {
 }
 
 /**
- * Load saved goals from API
+ * Load saved goals from API. Without a cursor the list is reloaded from the
+ * first page; with one, the next page is appended ("Load more").
  */
-async function loadSavedGoals() {
+async function loadSavedGoals(cursor = null) {
+    loadMoreGoalsBtn.disabled = true;
+
     try {
-        const response = await fetch('/api/goals');
+        const url = cursor ? `/api/goals?cursor=${encodeURIComponent(cursor)}` : '/api/goals';
+        const response = await authFetch(url);
         const data = await response.json();
 
         if (!data.success) {
@@ -235,19 +457,25 @@ async function loadSavedGoals() {
         }
 
         const goals = data.data || [];
+        goalsCursor = data.next_cursor || null;
+        loadMoreGoalsBtn.classList.toggle('hidden', !goalsCursor);
 
-        if (goals.length === 0) {
+        if (!cursor && goals.length === 0) {
             goalsList.innerHTML = '<p class="empty-state">No goals saved yet. Refine and save your first goal!</p>';
             return;
         }
 
-        goalsList.innerHTML = '';
+        if (!cursor) {
+            goalsList.innerHTML = '';
+        }
         goals.forEach((goal) => {
             const goalElement = createGoalElement(goal);
             goalsList.appendChild(goalElement);
         });
     } catch (error) {
         console.error('Error loading goals:', error);
+    } finally {
+        loadMoreGoalsBtn.disabled = false;
     }
 }
 
@@ -257,6 +485,7 @@ async function loadSavedGoals() {
 function createGoalElement(goal) {
     const div = document.createElement('div');
     div.className = 'goal-item';
+    div.dataset.goalId = goal.id;
     div.innerHTML = `
         <div class="goal-item-header">
             <span class="goal-item-title">${escapeHtml(goal.userInput)}</span>
@@ -265,6 +494,10 @@ function createGoalElement(goal) {
         <div class="goal-item-content">
             <strong>Goal:</strong> ${escapeHtml(goal.refined_goal.substring(0, 100))}...
         </div>
+        ${goal.category ? `<div class="goal-item-tags">
+            <span class="goal-item-category">${escapeHtml(goal.category)}</span>
+            ${goal.tags.map(tag => `<span class="goal-item-tag">#${escapeHtml(tag)}</span>`).join('')}
+        </div>` : ''}
         <div class="goal-item-actions">
             <button class="goal-item-delete" onclick="handleDeleteGoal('${goal.id}')">Delete</button>
         </div>
@@ -281,7 +514,7 @@ async function handleDeleteGoal(goalId) {
     }
 
     try {
-        const response = await fetch(`/api/goals/${goalId}`, {
+        const response = await authFetch(`/api/goals/${goalId}`, {
             method: 'DELETE',
         });
 
@@ -292,7 +525,11 @@ async function handleDeleteGoal(goalId) {
         }
 
         showSuccess('Goal deleted successfully!');
-        await loadSavedGoals();
+        // Remove it in place, so the pages loaded so far are kept
+        goalsList.querySelector(`[data-goal-id="${goalId}"]`)?.remove();
+        if (!goalsList.querySelector('.goal-item') && !goalsCursor) {
+            goalsList.innerHTML = '<p class="empty-state">No goals saved yet. Refine and save your first goal!</p>';
+        }
     } catch (error) {
         showError(error.message);
         console.error('Error deleting goal:', error);
@@ -304,7 +541,7 @@ async function handleDeleteGoal(goalId) {
  */
 async function loadTelemetry() {
     try {
-        const response = await fetch('/api/goals');
+        const response = await authFetch('/api/goals');
         const data = await response.json();
 
         if (!data.success) {
@@ -314,7 +551,7 @@ async function loadTelemetry() {
 
         // Try to get telemetry summary (this might not be implemented yet)
         try {
-            const telemetryResponse = await fetch('/api/telemetry');
+            const telemetryResponse = await authFetch('/api/telemetry');
             const telemetryData = await telemetryResponse.json();
 
             if (telemetryData.success) {
@@ -340,6 +577,8 @@ function updateTelemetryDisplay(stats) {
     document.getElementById('successRate').textContent = successRate + '%';
 
     document.getElementById('avgLatency').textContent = (stats.averageLatencyMs || 0) + 'ms';
+    document.getElementById('p95Latency').textContent = (stats.latencyPercentiles?.p95 || 0) + 'ms';
+    document.getElementById('cacheHits').textContent = stats.cacheHits || 0;
     document.getElementById('totalCost').textContent = '$' + (stats.totalCost || '0.00');
 }
 
@@ -365,7 +604,4 @@ function escapeHtml(text) {
 }
 
 // ============ INITIALIZATION ============
-document.addEventListener('DOMContentLoaded', () => {
-    loadSavedGoals();
-    loadTelemetry();
-});
+document.addEventListener('DOMContentLoaded', showApp);
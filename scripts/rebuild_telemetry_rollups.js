@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Rebuild Telemetry Rollups
+ * Recomputes the hourly ai_call_rollups rows that telemetry summaries are read
+ * from, using every row of ai_call_logs. Run it once to backfill calls logged
+ * before rollups existed, or after editing logs by hand. Stop the server
+ * first: calls logged during the rebuild may be counted twice or not at all.
+ *
+ * Usage: npm run telemetry:rebuild
+ */
+
+import dotenv from 'dotenv';
+import TelemetryService from '../src/services/TelemetryService.js';
+
+dotenv.config();
+
+try {
+  const { logs, rollups } = await TelemetryService.rebuildRollups();
+  console.log(`Rebuilt ${rollups} telemetry rollup(s) from ${logs} logged call(s)`);
+} catch (error) {
+  console.error('Failed to rebuild telemetry rollups:', error.message);
+  process.exitCode = 1;
+}
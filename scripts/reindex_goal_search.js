@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Reindex Goal Search
+ * Stores the search text of goals saved before goal search existed, so
+ * GET /api/goals?search= finds them. Safe to run more than once: goals that
+ * are already up to date are left alone.
+ *
+ * Usage: npm run goals:reindex
+ */
+
+import dotenv from 'dotenv';
+import StorageService from '../src/services/StorageService.js';
+
+dotenv.config();
+
+try {
+  const updated = await StorageService.reindexSearchText();
+  console.log(`Reindexed ${updated} goal(s) for search`);
+} catch (error) {
+  console.error('Failed to reindex goals:', error.message);
+  process.exitCode = 1;
+}
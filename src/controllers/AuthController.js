@@ -0,0 +1,94 @@
+import AuthService from '../services/AuthService.js';
+import { credentialsSchema } from '../schemas/authSchema.js';
+import { formatIssues } from '../schemas/goalSchema.js';
+
+class AuthController {
+  /**
+   * POST /api/auth/register
+   * Create an account and return a token for it
+   */
+  async register(req, res) {
+    try {
+      const result = credentialsSchema.safeParse(req.body || {});
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid registration',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const { username, password } = result.data;
+      const user = await AuthService.register(username, password);
+
+      if (!user) {
+        return res.status(409).json({
+          success: false,
+          error: `Username ${username} is already taken`,
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: { user, token: AuthService.issueToken(user) },
+      });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to register',
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/login
+   * Exchange username and password for a token
+   */
+  async login(req, res) {
+    try {
+      const { username, password } = req.body || {};
+
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'username and password are required',
+        });
+      }
+
+      const user = await AuthService.authenticate(username.trim(), password);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid username or password',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { user, token: AuthService.issueToken(user) },
+      });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to log in',
+      });
+    }
+  }
+
+  /**
+   * GET /api/auth/me
+   * Get the authenticated user
+   */
+  async me(req, res) {
+    return res.status(200).json({
+      success: true,
+      data: req.user,
+    });
+  }
+}
+
+export default new AuthController();
@@ -0,0 +1,225 @@
+import EvalService from '../services/EvalService.js';
+import EvalRunService from '../services/EvalRunService.js';
+import EvalJobService, { EvalQueueFullError } from '../services/EvalJobService.js';
+import { evalRunSchema, evalRunListSchema, evalDiffSchema } from '../schemas/evalSchema.js';
+import { formatIssues } from '../schemas/goalSchema.js';
+
+class EvalController {
+  /**
+   * POST /api/eval/jobs (also POST /api/eval/run-tests)
+   * Queue an eval run of a dataset against the configured provider (or the
+   * `provider` in the body) and return the job at once with 202. Rubrics are
+   * scored by the judge model unless the body sets `judge: false`. Poll
+   * GET /api/eval/jobs/:id for progress; the finished run is stored in the
+   * run history. Answers 429 when the job queue is full.
+   */
+  async submitJob(req, res) {
+    try {
+      const result = evalRunSchema.safeParse(req.body || {});
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid eval run',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const job = await EvalJobService.submit(result.data, req.user.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Eval dataset ${result.data.dataset} not found`,
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      if (error instanceof EvalQueueFullError) {
+        return res.status(429).json({
+          success: false,
+          error: error.message,
+          limit: error.scope,
+        });
+      }
+
+      console.error('Error submitting eval job:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to submit eval job',
+      });
+    }
+  }
+
+  /**
+   * GET /api/eval/jobs/:id
+   * Get an eval job's status and per-test progress; `results` holds the
+   * stored run once the job has completed
+   */
+  async getJob(req, res) {
+    const job = EvalJobService.getJob(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Eval job not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: job,
+    });
+  }
+
+  /**
+   * POST /api/eval/jobs/:id/cancel
+   * Cancel a queued or running eval job. A running job stops its in-flight
+   * model calls and turns `cancelled` shortly after.
+   */
+  async cancelJob(req, res) {
+    const job = EvalJobService.cancel(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Eval job not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: job,
+    });
+  }
+
+  /**
+   * GET /api/eval/runs
+   * List past eval runs, newest first, without per-test results. Optional
+   * query: dataset, limit (default 20, at most 100)
+   */
+  async listRuns(req, res) {
+    try {
+      const result = evalRunListSchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const runs = await EvalRunService.listRuns(req.user.id, result.data);
+
+      return res.status(200).json({
+        success: true,
+        data: runs,
+        count: runs.length,
+      });
+    } catch (error) {
+      console.error('Error fetching eval runs:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch eval runs',
+      });
+    }
+  }
+
+  /**
+   * GET /api/eval/runs/:id
+   * Get an eval run with its per-test results
+   */
+  async getRun(req, res) {
+    try {
+      const run = await EvalRunService.getRun(req.params.id, req.user.id);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Eval run not found',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      console.error('Error fetching eval run:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch eval run',
+      });
+    }
+  }
+
+  /**
+   * GET /api/eval/diff?base=<runId>&compare=<runId>
+   * Compare two eval runs: tests that flipped between pass and fail, and
+   * confidence and score deltas
+   */
+  async diffRuns(req, res) {
+    try {
+      const result = evalDiffSchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const [base, compare] = await Promise.all([
+        EvalRunService.getRun(result.data.base, req.user.id),
+        EvalRunService.getRun(result.data.compare, req.user.id),
+      ]);
+
+      if (!base || !compare) {
+        return res.status(404).json({
+          success: false,
+          error: `Eval run ${base ? result.data.compare : result.data.base} not found`,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: EvalRunService.diffRuns(base, compare),
+      });
+    } catch (error) {
+      console.error('Error comparing eval runs:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to compare eval runs',
+      });
+    }
+  }
+
+  /**
+   * GET /api/eval/datasets
+   * List the eval datasets that can be run
+   */
+  async listDatasets(req, res) {
+    try {
+      const datasets = await EvalService.listDatasets();
+
+      return res.status(200).json({
+        success: true,
+        data: datasets,
+      });
+    } catch (error) {
+      console.error('Error listing eval datasets:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list eval datasets',
+      });
+    }
+  }
+}
+
+export default new EvalController();
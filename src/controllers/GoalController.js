@@ -1,33 +1,47 @@
 import GeminiService from '../services/GeminiService.js';
 import StorageService from '../services/StorageService.js';
-import TelemetryService from '../services/TelemetryService.js';
+import { goalUpdateSchema, goalCreateSchema, goalListSchema, formatIssues } from '../schemas/goalSchema.js';
+import { refineRequestSchema } from '../schemas/refineSchema.js';
+import { GuardrailPolicy } from '../services/guardrails/index.js';
+import { openEventStream } from '../utils/sse.js';
+import { abortOnDisconnect } from '../utils/cancellation.js';
 
 class GoalController {
   /**
    * POST /api/goals/refine
-   * Refine a vague goal into a structured SMART goal
+   * Refine a vague goal into a structured SMART goal. The model call is
+   * cancelled if the client disconnects first. Repeated goals are served from
+   * the response cache unless the body sets `bypassCache: true`. Inputs the
+   * guardrail policy rejects get 422 with the typed rejection.
    */
   async refineGoal(req, res) {
+    const signal = abortOnDisconnect(res);
+
     try {
-      const { goal } = req.body;
+      const result = refineRequestSchema.safeParse(req.body || {});
 
-      // Validate input
-      if (!goal || typeof goal !== 'string') {
+      if (!result.success) {
         return res.status(400).json({
           success: false,
-          error: 'Goal input is required and must be a string',
+          error: 'Invalid goal input',
+          details: formatIssues(result.error),
         });
       }
 
+      const { goal } = result.data;
+
       // Call Gemini service
-      const refinedGoal = await GeminiService.refineGoal(goal);
+      const refinedGoal = await GeminiService.refineGoal(goal, {
+        userId: req.user.id,
+        signal,
+        bypassCache: req.body.bypassCache === true,
+      });
 
-      // Check confidence score for guardrails
-      if (refinedGoal.confidence_score < 3) {
-        return res.status(400).json({
+      if (GuardrailPolicy.isRejection(refinedGoal)) {
+        return res.status(422).json({
           success: false,
-          error: 'Input does not appear to be a valid goal. Please provide a clear goal statement.',
-          data: refinedGoal,
+          error: refinedGoal.message,
+          rejection: refinedGoal,
         });
       }
 
@@ -36,6 +50,11 @@ class GoalController {
         data: refinedGoal,
       });
     } catch (error) {
+      if (signal.aborted) {
+        console.log('Refinement cancelled: client disconnected');
+        return;
+      }
+
       console.error('Error refining goal:', error);
       return res.status(500).json({
         success: false,
@@ -44,27 +63,84 @@ class GoalController {
     }
   }
 
+  /**
+   * POST /api/goals/refine/stream
+   * Refine a goal, streaming progress as Server-Sent Events:
+   * attempt, retrying, partial (model text so far), then one of
+   * result, rejected (with the typed rejection) or error. Closing the stream cancels the
+   * model call.
+   */
+  async refineGoalStream(req, res) {
+    const result = refineRequestSchema.safeParse(req.body || {});
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid goal input',
+        details: formatIssues(result.error),
+      });
+    }
+
+    const { goal } = result.data;
+
+    const send = openEventStream(res);
+    const signal = abortOnDisconnect(res);
+
+    try {
+      const refinedGoal = await GeminiService.refineGoal(goal, {
+        onEvent: send,
+        userId: req.user.id,
+        signal,
+        bypassCache: req.body.bypassCache === true,
+      });
+
+      if (GuardrailPolicy.isRejection(refinedGoal)) {
+        send('rejected', { error: refinedGoal.message, rejection: refinedGoal });
+      } else {
+        send('result', { data: refinedGoal });
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        console.log('Refinement stream cancelled: client disconnected');
+        return;
+      }
+
+      console.error('Error refining goal:', error);
+      send('error', { error: error.message || 'Failed to refine goal' });
+    }
+
+    res.end();
+  }
+
   /**
    * POST /api/goals
    * Save a refined goal
    */
   async saveGoal(req, res) {
     try {
-      const { userInput, refined_goal, key_results, confidence_score } = req.body;
+      const body = req.body || {};
+      const required = ['userInput', 'refined_goal', 'key_results', 'confidence_score'];
 
       // Validate input
-      if (!userInput || !refined_goal || !key_results || !confidence_score) {
+      if (required.some(field => body[field] === undefined || body[field] === null)) {
         return res.status(400).json({
           success: false,
           error: 'All fields are required: userInput, refined_goal, key_results, confidence_score',
         });
       }
 
-      const savedGoal = await StorageService.saveGoal(userInput, {
-        refined_goal,
-        key_results,
-        confidence_score,
-      });
+      const result = goalCreateSchema.safeParse(body);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid goal',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const { userInput, ...goal } = result.data;
+      const savedGoal = await StorageService.saveGoal(userInput, goal, req.user.id);
 
       return res.status(201).json({
         success: true,
@@ -81,15 +157,38 @@ class GoalController {
 
   /**
    * GET /api/goals
-   * Get all saved goals
+   * Get a page of the current user's saved goals. Query: limit, cursor
+   * (next_cursor of the previous page), sort (created_at or
+   * confidence_score), order (asc or desc), category and tag
+   * (comma-separated), search (words that must all appear in the input, goal
+   * or key results), min_confidence, max_confidence and from/to ISO dates.
+   * Category and tag counts across all of their goals come back as `facets`
+   * on the first page (null on pages fetched with a cursor).
    */
   async getAllGoals(req, res) {
     try {
-      const goals = await StorageService.getAllGoals();
+      const result = goalListSchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      // Facets read every goal of the user, so later pages skip them
+      const [{ goals, nextCursor }, facets] = await Promise.all([
+        StorageService.listGoals(req.user.id, result.data),
+        result.data.cursor ? null : StorageService.getFacets(req.user.id),
+      ]);
+
       return res.status(200).json({
         success: true,
         data: goals,
         count: goals.length,
+        next_cursor: nextCursor,
+        facets,
       });
     } catch (error) {
       console.error('Error fetching goals:', error);
@@ -107,7 +206,7 @@ class GoalController {
   async getGoalById(req, res) {
     try {
       const { id } = req.params;
-      const goal = await StorageService.getGoalById(id);
+      const goal = await StorageService.getGoalById(id, req.user.id);
 
       if (!goal) {
         return res.status(404).json({
@@ -130,66 +229,69 @@ class GoalController {
   }
 
   /**
-   * DELETE /api/goals/:id
-   * Delete a goal
+   * PATCH /api/goals/:id
+   * Edit a saved goal's refined_goal, key_results, confidence_score, category or tags
    */
-  async deleteGoal(req, res) {
+  async updateGoal(req, res) {
     try {
       const { id } = req.params;
-      await StorageService.deleteGoal(id);
+      const result = goalUpdateSchema.safeParse(req.body || {});
 
-      return res.status(200).json({
-        success: true,
-        message: `Goal ${id} deleted successfully`,
-      });
-    } catch (error) {
-      console.error('Error deleting goal:', error);
-      return res.status(500).json({
-        success: false,
-        error: error.message || 'Failed to delete goal',
-      });
-    }
-  }
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid goal update',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const updatedGoal = await StorageService.updateGoal(id, result.data, req.user.id);
+
+      if (!updatedGoal) {
+        return res.status(404).json({
+          success: false,
+          error: `Goal with ID ${id} not found`,
+        });
+      }
 
-  /**
-   * GET /api/telemetry
-   * Get telemetry summary
-   */
-  async getTelemetrySummary(req, res) {
-    try {
-      const summary = await TelemetryService.getSummary();
       return res.status(200).json({
         success: true,
-        data: summary,
+        data: updatedGoal,
       });
     } catch (error) {
-      console.error('Error fetching telemetry:', error);
+      console.error('Error updating goal:', error);
       return res.status(500).json({
         success: false,
-        error: error.message || 'Failed to fetch telemetry',
+        error: error.message || 'Failed to update goal',
       });
     }
   }
 
   /**
-   * GET /api/telemetry/logs
-   * Get all telemetry logs
+   * DELETE /api/goals/:id
+   * Delete a goal
    */
-  async getAllTelemetryLogs(req, res) {
+  async deleteGoal(req, res) {
     try {
-      const { date } = req.query; // Optional date filter in YYYY-MM-DD format
-      const logs = await TelemetryService.getLogs(date);
+      const { id } = req.params;
+      const deleted = await StorageService.deleteGoal(id, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Goal with ID ${id} not found`,
+        });
+      }
+
       return res.status(200).json({
         success: true,
-        data: logs,
-        count: logs.length,
-        dateFilter: date || 'all',
+        message: `Goal ${id} deleted successfully`,
       });
     } catch (error) {
-      console.error('Error fetching telemetry logs:', error);
+      console.error('Error deleting goal:', error);
       return res.status(500).json({
         success: false,
-        error: error.message || 'Failed to fetch telemetry logs',
+        error: error.message || 'Failed to delete goal',
       });
     }
   }
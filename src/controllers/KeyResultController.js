@@ -0,0 +1,133 @@
+import StorageService from '../services/StorageService.js';
+import KeyResultService from '../services/KeyResultService.js';
+import { keyResultUpdateSchema, checkInSchema } from '../schemas/keyResultSchema.js';
+import { formatIssues } from '../schemas/goalSchema.js';
+
+class KeyResultController {
+  /**
+   * GET /api/goals/:id/key-results
+   * List a goal's key results with their progress and the goal's completion
+   */
+  async getKeyResults(req, res) {
+    try {
+      const { id } = req.params;
+      const goal = await StorageService.getGoalById(id, req.user.id);
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          error: `Goal with ID ${id} not found`,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: goal.key_results,
+        completion: goal.completion,
+      });
+    } catch (error) {
+      console.error('Error fetching key results:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch key results',
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/goals/:id/key-results/:krId
+   * Update a key result's title, status, target, current value or unit
+   */
+  async updateKeyResult(req, res) {
+    try {
+      const result = keyResultUpdateSchema.safeParse(req.body || {});
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid key result update',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const goal = await this.findGoalWithKeyResult(req, res);
+      if (!goal) return;
+
+      const updatedGoal = await KeyResultService.updateKeyResult(goal, req.params.krId, result.data);
+
+      return res.status(200).json({
+        success: true,
+        data: updatedGoal,
+      });
+    } catch (error) {
+      console.error('Error updating key result:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to update key result',
+      });
+    }
+  }
+
+  /**
+   * POST /api/goals/:id/key-results/:krId/check-ins
+   * Record progress on a key result
+   */
+  async addCheckIn(req, res) {
+    try {
+      const result = checkInSchema.safeParse(req.body || {});
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid check-in',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const goal = await this.findGoalWithKeyResult(req, res);
+      if (!goal) return;
+
+      const updatedGoal = await KeyResultService.addCheckIn(goal, req.params.krId, result.data);
+
+      return res.status(201).json({
+        success: true,
+        data: updatedGoal,
+      });
+    } catch (error) {
+      console.error('Error recording check-in:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to record check-in',
+      });
+    }
+  }
+
+  /**
+   * Load the goal for :id and make sure it has key result :krId.
+   * Sends the 404 response itself and returns null when either is missing.
+   */
+  async findGoalWithKeyResult(req, res) {
+    const { id, krId } = req.params;
+    const goal = await StorageService.getGoalById(id, req.user.id);
+
+    if (!goal) {
+      res.status(404).json({
+        success: false,
+        error: `Goal with ID ${id} not found`,
+      });
+      return null;
+    }
+
+    if (!KeyResultService.findKeyResult(goal, krId)) {
+      res.status(404).json({
+        success: false,
+        error: `Key result with ID ${krId} not found on goal ${id}`,
+      });
+      return null;
+    }
+
+    return goal;
+  }
+}
+
+export default new KeyResultController();
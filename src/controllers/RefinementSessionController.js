@@ -0,0 +1,198 @@
+import RefinementSessionService, { SessionChangedError } from '../services/RefinementSessionService.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { abortOnDisconnect } from '../utils/cancellation.js';
+import { refineRequestSchema, sessionMessageSchema } from '../schemas/refineSchema.js';
+import { formatIssues } from '../schemas/goalSchema.js';
+
+class RefinementSessionController {
+  /**
+   * POST /api/goals/refine/sessions
+   * Start a conversational refinement session with the original goal.
+   * Streams progress as Server-Sent Events when requested with
+   * `Accept: text/event-stream`. The model call is cancelled if the client
+   * disconnects first; `bypassCache: true` skips the response cache.
+   */
+  async createSession(req, res) {
+    const signal = abortOnDisconnect(res);
+
+    try {
+      const input = refineRequestSchema.safeParse(req.body || {});
+
+      if (!input.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid goal input',
+          details: formatIssues(input.error),
+        });
+      }
+
+      const { goal } = input.data;
+      const bypassCache = req.body.bypassCache === true;
+
+      if (wantsEventStream(req)) {
+        return this.streamTurn(res, signal, onEvent =>
+          RefinementSessionService.createSession(goal, { onEvent, userId: req.user.id, signal, bypassCache })
+        );
+      }
+
+      const { accepted, session, result } = await RefinementSessionService.createSession(goal, { userId: req.user.id, signal, bypassCache });
+
+      if (!accepted) {
+        return this.sendRejection(res, result);
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: result,
+        session,
+      });
+    } catch (error) {
+      if (signal.aborted) return;
+
+      console.error('Error starting refinement session:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to start refinement session',
+      });
+    }
+  }
+
+  /**
+   * GET /api/goals/refine/sessions/:sessionId
+   * Get a refinement session with its conversation history
+   */
+  async getSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const session = await RefinementSessionService.getSession(sessionId, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: `Refinement session with ID ${sessionId} not found`,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: session,
+      });
+    } catch (error) {
+      console.error('Error fetching refinement session:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch refinement session',
+      });
+    }
+  }
+
+  /**
+   * POST /api/goals/refine/sessions/:sessionId/messages
+   * Send a follow-up message and get a revised goal. Streams and cancels like createSession.
+   */
+  async addMessage(req, res) {
+    const signal = abortOnDisconnect(res);
+
+    try {
+      const { sessionId } = req.params;
+      const input = sessionMessageSchema.safeParse(req.body || {});
+
+      if (!input.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid message',
+          details: formatIssues(input.error),
+        });
+      }
+
+      const { message } = input.data;
+
+      const session = await RefinementSessionService.getSession(sessionId, req.user.id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: `Refinement session with ID ${sessionId} not found`,
+        });
+      }
+
+      if (!RefinementSessionService.canContinue(session)) {
+        return res.status(400).json({
+          success: false,
+          error: `Refinement sessions are limited to ${RefinementSessionService.maxUserTurns} messages. Start a new session to keep refining.`,
+        });
+      }
+
+      if (wantsEventStream(req)) {
+        return this.streamTurn(res, signal, onEvent =>
+          RefinementSessionService.addMessage(session, message, { onEvent, signal })
+        );
+      }
+
+      const { accepted, session: updatedSession, result } = await RefinementSessionService.addMessage(session, message, { signal });
+
+      if (!accepted) {
+        return this.sendRejection(res, result, session);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+        session: updatedSession,
+      });
+    } catch (error) {
+      if (signal.aborted) return;
+
+      if (error instanceof SessionChangedError) {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Error continuing refinement session:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to continue refinement session',
+      });
+    }
+  }
+
+  /**
+   * Run one session turn as a Server-Sent Events stream: progress events,
+   * then result, rejected or error
+   * @param {AbortSignal} signal - Fires when the client disconnects
+   * @param {Function} runTurn - (onEvent) => Promise<{accepted, session, result}>
+   */
+  async streamTurn(res, signal, runTurn) {
+    const send = openEventStream(res);
+
+    try {
+      const { accepted, session, result } = await runTurn(send);
+
+      if (accepted) {
+        send('result', { data: result, session });
+      } else {
+        send('rejected', { error: result.message, rejection: result, session });
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+
+      console.error('Error in refinement session:', error);
+      send('error', { error: error.message || 'Failed to refine goal' });
+    }
+
+    res.end();
+  }
+
+  sendRejection(res, rejection, session) {
+    return res.status(422).json({
+      success: false,
+      error: rejection.message,
+      rejection,
+      ...(session ? { session } : {}),
+    });
+  }
+}
+
+export default new RefinementSessionController();
@@ -0,0 +1,130 @@
+import TelemetryService from '../services/TelemetryService.js';
+import BudgetService from '../services/BudgetService.js';
+import { telemetrySummarySchema, telemetryTimeseriesSchema, telemetryLogsSchema } from '../schemas/telemetrySchema.js';
+import { formatIssues } from '../schemas/goalSchema.js';
+
+class TelemetryController {
+  /**
+   * GET /api/telemetry
+   * Get telemetry summary statistics of the user's calls: totals, latency
+   * percentiles and a per-model breakdown. Optional query: window (24h, 7d,
+   * 30d or all, the default), or from/to ISO dates
+   */
+  async getSummary(req, res) {
+    try {
+      const result = telemetrySummarySchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const summary = await TelemetryService.getSummary(req.user.id, result.data);
+      return res.status(200).json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      console.error('Error fetching telemetry summary:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch telemetry summary',
+      });
+    }
+  }
+
+  /**
+   * GET /api/telemetry/timeseries
+   * Get the user's calls, errors, latency percentiles, tokens and cost per
+   * hour or day. Optional query: window (24h, 7d (default), 30d or all), or
+   * from/to ISO dates; interval (hour or day)
+   */
+  async getTimeseries(req, res) {
+    try {
+      const result = telemetryTimeseriesSchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const timeseries = await TelemetryService.getTimeseries(req.user.id, result.data);
+      return res.status(200).json({
+        success: true,
+        data: timeseries,
+      });
+    } catch (error) {
+      console.error('Error fetching telemetry timeseries:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch telemetry timeseries',
+      });
+    }
+  }
+
+  /**
+   * GET /api/telemetry/budget
+   * Get today's and this month's spend, the user's own and all users'
+   * together, against the configured limits (null when unlimited)
+   */
+  async getBudget(req, res) {
+    try {
+      const budgets = await BudgetService.getStatus(req.user);
+      return res.status(200).json({
+        success: true,
+        data: budgets,
+      });
+    } catch (error) {
+      console.error('Error fetching budget status:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch budget status',
+      });
+    }
+  }
+
+  /**
+   * GET /api/telemetry/logs
+   * Get a page of the user's AI call logs, newest first by default. Optional
+   * query: limit (default 25, at most 100), cursor (next_cursor of the
+   * previous page), sort (timestamp, latency_ms, total_cost or total_tokens),
+   * order (asc or desc), success, model, min_latency_ms, max_latency_ms,
+   * min_cost, max_cost, search (words that must all appear in the input), and
+   * date (YYYY-MM-DD) or from/to ISO dates
+   */
+  async getLogs(req, res) {
+    try {
+      const result = telemetryLogsSchema.safeParse(req.query);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query',
+          details: formatIssues(result.error),
+        });
+      }
+
+      const { logs, nextCursor } = await TelemetryService.listLogs(req.user.id, result.data);
+      return res.status(200).json({
+        success: true,
+        data: logs,
+        count: logs.length,
+        next_cursor: nextCursor,
+      });
+    } catch (error) {
+      console.error('Error fetching telemetry logs:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to fetch telemetry logs',
+      });
+    }
+  }
+}
+
+export default new TelemetryController();
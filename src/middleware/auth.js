@@ -0,0 +1,27 @@
+import AuthService from '../services/AuthService.js';
+
+/**
+ * Require a valid bearer token; sets req.user = { id, username }
+ */
+export function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  const user = AuthService.verifyToken(token);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token',
+    });
+  }
+
+  req.user = user;
+  next();
+}
@@ -0,0 +1,34 @@
+import BudgetService from '../services/BudgetService.js';
+
+/**
+ * Refuse model calls once the user's or the global spending limit for the
+ * day or month is reached (402, with Retry-After until the budget resets),
+ * and while spend cannot be read (503) unless budgets are set to fail open.
+ * Must run after requireAuth.
+ */
+export async function enforceBudget(req, res, next) {
+  let exceeded;
+  try {
+    exceeded = await BudgetService.check(req.user);
+  } catch (error) {
+    console.error('Failed to check budget:', error);
+    if (BudgetService.failOpen) return next();
+
+    return res.status(503).json({
+      success: false,
+      error: 'AI budgets cannot be checked right now; try again later',
+    });
+  }
+
+  if (!exceeded) return next();
+
+  const retryAfter = Math.max(1, Math.ceil((new Date(exceeded.resets_at) - Date.now()) / 1000));
+  const owner = exceeded.scope === 'user' ? 'Your' : 'The service\'s';
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(402).json({
+    success: false,
+    error: `${owner} ${exceeded.period} AI budget has been used up; try again after ${exceeded.resets_at}`,
+    budget: exceeded,
+  });
+}
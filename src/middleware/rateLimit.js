@@ -0,0 +1,167 @@
+import RateLimiter from '../services/RateLimiter.js';
+
+let refinementLimiters = null;
+let loginLimiters = null;
+let registrationLimiters = null;
+let evalJobLimiters = null;
+
+/**
+ * The per-IP and per-user limiters, created on first use so the limits are
+ * read after dotenv has loaded .env
+ */
+function getRefinementLimiters() {
+  if (!refinementLimiters) {
+    refinementLimiters = [
+      {
+        name: 'ip',
+        key: req => req.ip,
+        limiter: new RateLimiter({
+          capacity: envNumber('RATE_LIMIT_IP_BURST', 20),
+          refillPerMinute: envNumber('RATE_LIMIT_IP_PER_MINUTE', 10),
+        }),
+      },
+      {
+        name: 'user',
+        key: req => req.user?.id,
+        limiter: new RateLimiter({
+          capacity: envNumber('RATE_LIMIT_USER_BURST', 10),
+          refillPerMinute: envNumber('RATE_LIMIT_USER_PER_MINUTE', 5),
+        }),
+      },
+    ].filter(({ limiter }) => limiter.enabled);
+  }
+  return refinementLimiters;
+}
+
+/**
+ * Login attempts are limited per client IP and per username tried, so
+ * password guessing is slowed down whether it targets one account or many
+ */
+function getLoginLimiters() {
+  if (!loginLimiters) {
+    const options = {
+      capacity: envNumber('RATE_LIMIT_LOGIN_BURST', 5),
+      refillPerMinute: envNumber('RATE_LIMIT_LOGIN_PER_MINUTE', 5),
+    };
+    loginLimiters = [
+      { name: 'ip', key: req => req.ip, limiter: new RateLimiter(options) },
+      {
+        name: 'username',
+        key: req => (typeof req.body?.username === 'string' ? req.body.username.toLowerCase() : null),
+        limiter: new RateLimiter(options),
+      },
+    ].filter(({ limiter }) => limiter.enabled);
+  }
+  return loginLimiters;
+}
+
+/**
+ * Sign-ups are limited per client IP, as each one hashes a password and
+ * creates an account
+ */
+function getRegistrationLimiters() {
+  if (!registrationLimiters) {
+    registrationLimiters = [
+      {
+        name: 'ip',
+        key: req => req.ip,
+        limiter: new RateLimiter({
+          capacity: envNumber('RATE_LIMIT_REGISTER_BURST', 5),
+          refillPerMinute: envNumber('RATE_LIMIT_REGISTER_PER_MINUTE', 1),
+        }),
+      },
+    ].filter(({ limiter }) => limiter.enabled);
+  }
+  return registrationLimiters;
+}
+
+/**
+ * Eval jobs are limited per user, as each one makes a model call (and a judge
+ * call) for every case of its dataset
+ */
+function getEvalJobLimiters() {
+  if (!evalJobLimiters) {
+    evalJobLimiters = [
+      {
+        name: 'user',
+        key: req => req.user?.id,
+        limiter: new RateLimiter({
+          capacity: envNumber('RATE_LIMIT_EVAL_BURST', 3),
+          refillPerMinute: envNumber('RATE_LIMIT_EVAL_PER_MINUTE', 1),
+        }),
+      },
+    ].filter(({ limiter }) => limiter.enabled);
+  }
+  return evalJobLimiters;
+}
+
+/**
+ * Throttle model calls per client IP and per user with token buckets. Sets
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset for the tighter of
+ * the two limits, and answers 429 with Retry-After once either is used up.
+ * Must run after requireAuth.
+ */
+export function rateLimitRefinements(req, res, next) {
+  return enforce(getRefinementLimiters(), 'refinement requests', req, res, next);
+}
+
+/**
+ * Throttle login attempts per client IP and per username, with the same
+ * headers and 429 answer as rateLimitRefinements
+ */
+export function rateLimitLogins(req, res, next) {
+  return enforce(getLoginLimiters(), 'login attempts', req, res, next);
+}
+
+/**
+ * Throttle account registrations per client IP, with the same headers and
+ * 429 answer as rateLimitRefinements
+ */
+export function rateLimitRegistrations(req, res, next) {
+  return enforce(getRegistrationLimiters(), 'registrations', req, res, next);
+}
+
+/**
+ * Throttle eval job submissions per user, with the same headers and 429
+ * answer as rateLimitRefinements. Must run after requireAuth.
+ */
+export function rateLimitEvalJobs(req, res, next) {
+  return enforce(getEvalJobLimiters(), 'eval jobs', req, res, next);
+}
+
+function enforce(limiters, what, req, res, next) {
+  const checks = limiters
+    .map(({ name, key, limiter }) => ({ name, key: key(req), limiter }))
+    .filter(({ key }) => key)
+    .map(entry => ({ ...entry, ...entry.limiter.check(entry.key) }));
+
+  if (checks.length === 0) return next();
+
+  const blocked = checks.find(check => check.remaining < 1);
+  if (!blocked) {
+    checks.forEach(({ key, limiter }) => limiter.take(key));
+  }
+
+  // Report the limit with the fewest requests left after this one
+  const states = blocked ? [blocked] : checks.map(({ key, limiter }) => limiter.check(key));
+  const tightest = states.reduce((tighter, state) => (state.remaining < tighter.remaining ? state : tighter));
+  res.set({
+    'RateLimit-Limit': String(tightest.limit),
+    'RateLimit-Remaining': String(tightest.remaining),
+    'RateLimit-Reset': String(tightest.resetSeconds),
+  });
+
+  if (!blocked) return next();
+
+  res.set('Retry-After', String(blocked.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: `Too many ${what}; try again in ${blocked.retryAfterSeconds} seconds`,
+    limit: blocked.name,
+  });
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
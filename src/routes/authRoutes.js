@@ -0,0 +1,26 @@
+import express from 'express';
+import AuthController from '../controllers/AuthController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitLogins, rateLimitRegistrations } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register
+ * Create an account; sign-ups are rate limited per IP
+ */
+router.post('/register', rateLimitRegistrations, (req, res) => AuthController.register(req, res));
+
+/**
+ * POST /api/auth/login
+ * Log in and get a token; attempts are rate limited per IP and username
+ */
+router.post('/login', rateLimitLogins, (req, res) => AuthController.login(req, res));
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user
+ */
+router.get('/me', requireAuth, (req, res) => AuthController.me(req, res));
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import EvalController from '../controllers/EvalController.js';
+import { enforceBudget } from '../middleware/budget.js';
+import { rateLimitEvalJobs } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/eval/datasets
+ * List the eval datasets
+ */
+router.get('/datasets', (req, res) => EvalController.listDatasets(req, res));
+
+/**
+ * POST /api/eval/jobs
+ * Queue an eval run of a dataset; submissions are rate limited per user
+ */
+router.post('/jobs', rateLimitEvalJobs, enforceBudget, (req, res) => EvalController.submitJob(req, res));
+
+/**
+ * POST /api/eval/run-tests
+ * Same as POST /api/eval/jobs, kept for existing clients
+ */
+router.post('/run-tests', rateLimitEvalJobs, enforceBudget, (req, res) => EvalController.submitJob(req, res));
+
+/**
+ * GET /api/eval/jobs/:id
+ * Get an eval job's status and progress
+ */
+router.get('/jobs/:id', (req, res) => EvalController.getJob(req, res));
+
+/**
+ * POST /api/eval/jobs/:id/cancel
+ * Cancel an eval job
+ */
+router.post('/jobs/:id/cancel', (req, res) => EvalController.cancelJob(req, res));
+
+/**
+ * GET /api/eval/runs
+ * List past eval runs
+ */
+router.get('/runs', (req, res) => EvalController.listRuns(req, res));
+
+/**
+ * GET /api/eval/runs/:id
+ * Get an eval run with its per-test results
+ */
+router.get('/runs/:id', (req, res) => EvalController.getRun(req, res));
+
+/**
+ * GET /api/eval/diff?base=<runId>&compare=<runId>
+ * Compare two eval runs
+ */
+router.get('/diff', (req, res) => EvalController.diffRuns(req, res));
+
+export default router;
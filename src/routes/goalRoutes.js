@@ -1,5 +1,9 @@
 import express from 'express';
 import GoalController from '../controllers/GoalController.js';
+import KeyResultController from '../controllers/KeyResultController.js';
+import RefinementSessionController from '../controllers/RefinementSessionController.js';
+import { enforceBudget } from '../middleware/budget.js';
+import { rateLimitRefinements } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -7,7 +11,31 @@ const router = express.Router();
  * POST /api/goals/refine
  * Refine a vague goal into structured SMART goal
  */
-router.post('/refine', (req, res) => GoalController.refineGoal(req, res));
+router.post('/refine', rateLimitRefinements, enforceBudget, (req, res) => GoalController.refineGoal(req, res));
+
+/**
+ * POST /api/goals/refine/stream
+ * Refine a goal, streaming progress as Server-Sent Events
+ */
+router.post('/refine/stream', rateLimitRefinements, enforceBudget, (req, res) => GoalController.refineGoalStream(req, res));
+
+/**
+ * POST /api/goals/refine/sessions
+ * Start a multi-turn refinement session
+ */
+router.post('/refine/sessions', rateLimitRefinements, enforceBudget, (req, res) => RefinementSessionController.createSession(req, res));
+
+/**
+ * GET /api/goals/refine/sessions/:sessionId
+ * Get a refinement session and its conversation
+ */
+router.get('/refine/sessions/:sessionId', (req, res) => RefinementSessionController.getSession(req, res));
+
+/**
+ * POST /api/goals/refine/sessions/:sessionId/messages
+ * Send a follow-up message in a refinement session
+ */
+router.post('/refine/sessions/:sessionId/messages', rateLimitRefinements, enforceBudget, (req, res) => RefinementSessionController.addMessage(req, res));
 
 /**
  * POST /api/goals
@@ -17,7 +45,7 @@ router.post('/', (req, res) => GoalController.saveGoal(req, res));
 
 /**
  * GET /api/goals
- * Get all goals
+ * Search, filter, sort and page through goals, with facet counts
  */
 router.get('/', (req, res) => GoalController.getAllGoals(req, res));
 
@@ -27,10 +55,34 @@ router.get('/', (req, res) => GoalController.getAllGoals(req, res));
  */
 router.get('/:id', (req, res) => GoalController.getGoalById(req, res));
 
+/**
+ * PATCH /api/goals/:id
+ * Update goal
+ */
+router.patch('/:id', (req, res) => GoalController.updateGoal(req, res));
+
 /**
  * DELETE /api/goals/:id
  * Delete goal
  */
 router.delete('/:id', (req, res) => GoalController.deleteGoal(req, res));
 
+/**
+ * GET /api/goals/:id/key-results
+ * Get a goal's key results with progress
+ */
+router.get('/:id/key-results', (req, res) => KeyResultController.getKeyResults(req, res));
+
+/**
+ * PATCH /api/goals/:id/key-results/:krId
+ * Update a key result
+ */
+router.patch('/:id/key-results/:krId', (req, res) => KeyResultController.updateKeyResult(req, res));
+
+/**
+ * POST /api/goals/:id/key-results/:krId/check-ins
+ * Record a progress check-in on a key result
+ */
+router.post('/:id/key-results/:krId/check-ins', (req, res) => KeyResultController.addCheckIn(req, res));
+
 export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import TelemetryController from '../controllers/TelemetryController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/telemetry
+ * Get telemetry summary statistics
+ */
+router.get('/', (req, res) => TelemetryController.getSummary(req, res));
+
+/**
+ * GET /api/telemetry/timeseries
+ * Get telemetry statistics per hour or day
+ */
+router.get('/timeseries', (req, res) => TelemetryController.getTimeseries(req, res));
+
+/**
+ * GET /api/telemetry/budget
+ * Get the user's and the global spend against their budgets
+ */
+router.get('/budget', (req, res) => TelemetryController.getBudget(req, res));
+
+/**
+ * GET /api/telemetry/logs
+ * Get AI call logs
+ */
+router.get('/logs', (req, res) => TelemetryController.getLogs(req, res));
+
+export default router;
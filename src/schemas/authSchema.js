@@ -0,0 +1,15 @@
+import { z } from 'zod';
+
+/**
+ * Zod schema for register/login requests
+ */
+export const credentialsSchema = z.object({
+  username: z.string()
+    .trim()
+    .min(3, 'username must be at least 3 characters')
+    .max(32, 'username must be at most 32 characters')
+    .regex(/^[a-zA-Z0-9_.-]+$/, 'username may only contain letters, numbers, "_", "." and "-"'),
+  password: z.string()
+    .min(8, 'password must be at least 8 characters')
+    .max(128, 'password must be at most 128 characters'),
+});
@@ -0,0 +1,65 @@
+import { z } from 'zod';
+import { PROVIDER_NAMES } from '../services/providers/index.js';
+
+const rangeSchema = z
+  .object({
+    min: z.number().min(0).optional(),
+    max: z.number().min(0).optional(),
+  })
+  .refine(({ min, max }) => min === undefined || max === undefined || min <= max, {
+    message: 'min must not be greater than max',
+  });
+
+/**
+ * Zod schema for one line of an eval dataset. `expect` holds the golden
+ * expectations checked in code; `rubric` is scored by the judge model.
+ */
+export const evalCaseSchema = z.object({
+  name: z.string().min(1, 'name is required'),
+  group: z.string().default('default'),
+  input: z.string(),
+  expect: z
+    .object({
+      rejected: z.boolean().default(false).describe('Whether the input should be rejected as not a goal'),
+      confidence: rangeSchema.optional().describe('Allowed confidence_score range'),
+      keywords: z.array(z.string().min(1)).optional().describe('Words refined_goal must contain'),
+      time_bound: z.boolean().optional().describe('Whether refined_goal must contain a deadline or cadence'),
+      key_results: rangeSchema.optional().describe('Allowed number of key results'),
+    })
+    .default({ rejected: false }),
+  rubric: z.string().min(1).optional(),
+  min_judge_score: z.number().int().min(1).max(10).default(7),
+});
+
+/**
+ * Zod schema for the judge model's answer
+ */
+export const judgeScoreSchema = z.object({
+  score: z.number().int().min(1).max(10),
+  reasoning: z.string(),
+});
+
+/**
+ * Zod schema for the body of POST /api/eval/run-tests
+ */
+export const evalRunSchema = z.object({
+  dataset: z.string().regex(/^[\w-]+$/, 'dataset must be a dataset name').default('default'),
+  provider: z.enum(PROVIDER_NAMES).optional(),
+  judge: z.boolean().default(true),
+});
+
+/**
+ * Zod schema for the query of GET /api/eval/runs
+ */
+export const evalRunListSchema = z.object({
+  dataset: z.string().regex(/^[\w-]+$/, 'dataset must be a dataset name').optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+/**
+ * Zod schema for the query of GET /api/eval/diff
+ */
+export const evalDiffSchema = z.object({
+  base: z.string().min(1, 'base run ID is required'),
+  compare: z.string().min(1, 'compare run ID is required'),
+});
@@ -0,0 +1,115 @@
+import { z } from 'zod';
+import { keyResultInputSchema } from './keyResultSchema.js';
+import { cursorSchema, cursorMatchesSort } from './paginationSchema.js';
+
+/**
+ * Categories a goal can be classified into
+ */
+export const GOAL_CATEGORIES = ['career', 'health', 'learning', 'finance', 'relationships', 'personal', 'other'];
+
+export const MAX_TAGS = 5;
+
+/**
+ * Zod schemas for a goal's category and tags; tags are stored trimmed,
+ * lowercase and without duplicates
+ */
+export const categorySchema = z.enum(GOAL_CATEGORIES, { error: `category must be one of: ${GOAL_CATEGORIES.join(', ')}` });
+
+export const tagsSchema = z
+  .array(z.string().trim().toLowerCase().min(1, 'Each tag must be a non-empty string').max(30, 'Each tag must be at most 30 characters'))
+  .max(MAX_TAGS, `tags must have at most ${MAX_TAGS} items`)
+  .transform(tags => [...new Set(tags)]);
+
+/**
+ * Zod schema for refined goal structure. Answers without a category or tags
+ * (e.g. cached before they were added) are classified as 'other' with no tags.
+ */
+export const goalSchema = z.object({
+  refined_goal: z.string().min(1, 'refined_goal must be a non-empty string').describe('SMART version of the goal (Specific, Measurable, Achievable, Relevant, Time-bound)'),
+  key_results: z.array(z.string().min(1, 'Each key result must be a non-empty string')).min(3, 'key_results must have at least 3 items').max(5, 'key_results must have at most 5 items').describe('Array of 3-5 measurable key results/milestones'),
+  confidence_score: z.number().int().min(1, 'confidence_score must be at least 1').max(10, 'confidence_score must be at most 10').describe('Confidence score 1-10 that the input was a valid goal'),
+  category: categorySchema.default('other').describe('What area of life the goal belongs to'),
+  tags: tagsSchema.default([]).describe(`Up to ${MAX_TAGS} short lowercase keywords for the goal`),
+  suggestions: z.array(z.string().min(1)).max(3, 'suggestions must have at most 3 items').optional().describe('When confidence is low, up to 3 ways the user could rephrase the input as a clear goal'),
+});
+
+/**
+ * Zod schema for editing a saved goal: any subset of the goal fields,
+ * held to the same rules, but at least one of them. Key results may be sent
+ * as strings or as tracked key result objects.
+ */
+export const goalUpdateSchema = goalSchema
+  .omit({ suggestions: true })
+  .extend({
+    category: categorySchema,
+    tags: tagsSchema,
+    key_results: z.array(keyResultInputSchema).min(3, 'key_results must have at least 3 items').max(5, 'key_results must have at most 5 items'),
+  })
+  .partial()
+  .refine(updates => Object.keys(updates).length > 0, {
+    message: 'At least one of refined_goal, key_results, confidence_score, category or tags is required',
+  });
+
+/**
+ * Zod schema for saving a refined goal: the goal fields held to the same
+ * rules as model output, plus the user's original input. Key results may be
+ * strings or tracked key result objects; a goal without category or tags is
+ * classified as 'other' with no tags.
+ */
+export const goalCreateSchema = goalSchema
+  .omit({ suggestions: true })
+  .extend({
+    userInput: z.string().min(1, 'userInput must be a non-empty string'),
+    key_results: z.array(keyResultInputSchema).min(3, 'key_results must have at least 3 items').max(5, 'key_results must have at most 5 items'),
+    prompt_version: z.string().nullable().optional(),
+  });
+
+// A query parameter holding one value or several separated by commas
+const commaList = itemSchema => z
+  .string()
+  .transform(value => value.split(',').map(item => item.trim()).filter(Boolean))
+  .pipe(z.array(itemSchema));
+
+export const GOAL_SORTS = ['created_at', 'confidence_score'];
+
+const dateSchema = z.union([z.iso.date(), z.iso.datetime({ offset: true })]);
+const confidenceBound = z.coerce.number().int().min(1).max(10);
+
+/**
+ * Zod schema for the query of GET /api/goals: a page of goals in any of the
+ * given categories, carrying all of the given tags, containing every word of
+ * the search and within the confidence and date ranges. `cursor` is the
+ * `next_cursor` of the previous page, fetched with the same filters and sort.
+ */
+export const goalListSchema = z
+  .object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    cursor: cursorSchema.optional(),
+    sort: z.enum(GOAL_SORTS).default('created_at'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    category: commaList(categorySchema).optional().describe('A category, or several separated by commas'),
+    tag: commaList(z.string().toLowerCase()).optional().describe('A tag, or several separated by commas'),
+    search: z.string().trim().max(200, 'search must be at most 200 characters').optional(),
+    min_confidence: confidenceBound.optional(),
+    max_confidence: confidenceBound.optional(),
+    from: dateSchema.optional(),
+    to: dateSchema.optional(),
+  })
+  .refine(({ min_confidence: min, max_confidence: max }) => min === undefined || max === undefined || min <= max, {
+    message: 'min_confidence must not be greater than max_confidence',
+    path: ['min_confidence'],
+  })
+  .refine(({ from, to }) => !from || !to || new Date(from) < new Date(to), {
+    message: 'from must be before to',
+    path: ['from'],
+  })
+  .refine(...cursorMatchesSort);
+
+/**
+ * Format zod issues as "field: message" strings for API error responses
+ */
+export function formatIssues(error) {
+  return error.issues.map(issue =>
+    issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+  );
+}
@@ -0,0 +1,110 @@
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+
+export const KEY_RESULT_STATUSES = ['not_started', 'in_progress', 'done'];
+
+const keyResultFields = {
+  title: z.string().min(1, 'title must be a non-empty string'),
+  status: z.enum(KEY_RESULT_STATUSES),
+  target: z.number().positive('target must be greater than 0').nullable(),
+  current: z.number().min(0, 'current must be at least 0'),
+  unit: z.string().max(20, 'unit must be at most 20 characters'),
+};
+
+/**
+ * A key result as sent by clients when saving or editing a goal: either the
+ * plain string the model returns, or an object (with `id` to keep an existing
+ * key result's progress and check-ins)
+ */
+export const keyResultInputSchema = z.union([
+  z.string().min(1, 'Each key result must be a non-empty string'),
+  z.object({
+    id: z.string().optional(),
+    ...keyResultFields,
+  }).partial({ status: true, target: true, current: true, unit: true, id: true }),
+]);
+
+/**
+ * Zod schema for PATCH /api/goals/:id/key-results/:krId
+ */
+export const keyResultUpdateSchema = z.object(keyResultFields)
+  .partial()
+  .refine(updates => Object.keys(updates).length > 0, {
+    message: 'At least one of title, status, target, current or unit is required',
+  });
+
+/**
+ * Zod schema for POST /api/goals/:id/key-results/:krId/check-ins
+ */
+export const checkInSchema = z.object({
+  value: z.number().min(0, 'value must be at least 0'),
+  note: z.string().max(500, 'note must be at most 500 characters').optional(),
+  date: z.string().datetime({ message: 'date must be an ISO 8601 timestamp' }).optional(),
+});
+
+/**
+ * Turn a stored or submitted key result into the canonical object shape.
+ * Legacy goals stored key results as plain strings; those become untracked
+ * key results with no check-ins.
+ * @param {string|object} keyResult - Key result to normalize
+ * @param {string} fallbackId - ID to use when the key result has none yet
+ */
+export function normalizeKeyResult(keyResult, fallbackId = randomUUID()) {
+  if (typeof keyResult === 'string') {
+    keyResult = { title: keyResult };
+  }
+
+  return {
+    id: keyResult.id || fallbackId,
+    title: keyResult.title,
+    status: keyResult.status || 'not_started',
+    target: keyResult.target ?? null,
+    current: keyResult.current ?? 0,
+    unit: keyResult.unit || '',
+    check_ins: Array.isArray(keyResult.check_ins) ? keyResult.check_ins : [],
+  };
+}
+
+/**
+ * Merge submitted key results into the stored ones. Entries carrying the ID
+ * of a stored key result keep its progress and check-ins; anything else is new.
+ */
+export function mergeKeyResults(stored = [], incoming = []) {
+  const existing = new Map(stored.map(kr => [kr.id, kr]));
+
+  return incoming.map(kr => {
+    if (typeof kr === 'object' && kr.id && existing.has(kr.id)) {
+      return normalizeKeyResult({ ...existing.get(kr.id), ...kr });
+    }
+    return normalizeKeyResult(typeof kr === 'object' ? { ...kr, id: undefined } : kr);
+  });
+}
+
+/**
+ * Progress of a single key result, 0-100. Done counts as complete; otherwise
+ * progress is current/target when a target is set.
+ */
+export function keyResultProgress(keyResult) {
+  if (keyResult.status === 'done') return 100;
+  if (!keyResult.target) return 0;
+  return Math.round(Math.min(Math.max(keyResult.current / keyResult.target, 0), 1) * 100);
+}
+
+/**
+ * Overall goal completion, 0-100: the average progress of its key results
+ */
+export function goalCompletion(keyResults = []) {
+  if (keyResults.length === 0) return 0;
+  const total = keyResults.reduce((sum, kr) => sum + keyResultProgress(kr), 0);
+  return Math.round(total / keyResults.length);
+}
+
+/**
+ * Status implied by a new current value: done once the target is reached,
+ * in progress as soon as anything has been recorded
+ */
+export function statusForValue(keyResult, value) {
+  if (keyResult.target && value >= keyResult.target) return 'done';
+  if (value > 0) return 'in_progress';
+  return keyResult.status === 'done' ? 'in_progress' : keyResult.status;
+}
@@ -0,0 +1,25 @@
+import { z } from 'zod';
+import { decodeCursor } from '../utils/cursor.js';
+
+/**
+ * Zod schema for a `cursor` query parameter: the `next_cursor` of the
+ * previous page, decoded to its { sort, order, value, id } payload
+ */
+export const cursorSchema = z
+  .string()
+  .transform((value, ctx) => {
+    const cursor = decodeCursor(value);
+    if (!cursor || cursor.id === undefined || cursor.value === undefined) {
+      ctx.addIssue({ code: 'custom', message: 'cursor is not valid' });
+      return z.NEVER;
+    }
+    return cursor;
+  });
+
+/**
+ * Refinement rejecting a cursor issued for another sort than the query's
+ */
+export const cursorMatchesSort = [
+  ({ cursor, sort, order }) => !cursor || (cursor.sort === sort && cursor.order === order),
+  { message: 'cursor was issued for a different sort', path: ['cursor'] },
+];
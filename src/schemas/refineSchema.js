@@ -0,0 +1,24 @@
+import { z } from 'zod';
+
+// Longest goal or follow-up message sent to the model, matching the web UI's counter
+export const MAX_GOAL_LENGTH = 500;
+export const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Zod schema for the goal of a refinement request (/refine, /refine/stream
+ * and starting a session)
+ */
+export const refineRequestSchema = z.object({
+  goal: z.string({ error: 'goal is required and must be a string' })
+    .min(1, 'goal is required and must be a string')
+    .max(MAX_GOAL_LENGTH, `goal must be at most ${MAX_GOAL_LENGTH} characters`),
+});
+
+/**
+ * Zod schema for a follow-up message in a refinement session
+ */
+export const sessionMessageSchema = z.object({
+  message: z.string({ error: 'message is required and must be a string' })
+    .refine(message => message.trim().length > 0, 'message must not be empty')
+    .refine(message => message.length <= MAX_MESSAGE_LENGTH, `message must be at most ${MAX_MESSAGE_LENGTH} characters`),
+});
@@ -0,0 +1,99 @@
+import { z } from 'zod';
+import { cursorSchema, cursorMatchesSort } from './paginationSchema.js';
+
+export const TELEMETRY_WINDOWS = ['24h', '7d', '30d', 'all'];
+
+const dateSchema = z.union([z.iso.date(), z.iso.datetime({ offset: true })]);
+
+const windowFields = {
+  window: z.enum(TELEMETRY_WINDOWS).optional(),
+  from: dateSchema.optional(),
+  to: dateSchema.optional(),
+};
+
+const windowRefinements = schema => schema
+  .refine(({ window, from, to }) => !(window && (from || to)), {
+    message: 'Use either window or from/to, not both',
+  })
+  .refine(({ from, to }) => !from || !to || new Date(from) < new Date(to), {
+    message: 'from must be before to',
+    path: ['from'],
+  });
+
+/**
+ * Zod schema for the query of GET /api/telemetry: a named window, or a
+ * from/to range of ISO dates (either end may be left open)
+ */
+export const telemetrySummarySchema = windowRefinements(z.object(windowFields));
+
+export const TIMESERIES_INTERVALS = ['hour', 'day'];
+
+// Hourly series are limited to a month of buckets, daily ones to a year
+const MAX_HOURLY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+const MAX_DAILY_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+
+const rangeMs = ({ from, to }) => (to ? new Date(to) : new Date()) - new Date(from);
+
+/**
+ * Zod schema for the query of GET /api/telemetry/timeseries: a window or
+ * from/to range as for the summary, and the bucket interval
+ */
+export const telemetryTimeseriesSchema = windowRefinements(z.object({
+  ...windowFields,
+  interval: z.enum(TIMESERIES_INTERVALS).optional(),
+}))
+  .refine(({ interval, window, from, to }) => {
+    if (interval !== 'hour') return true;
+    if (window) return window !== 'all';
+    if (!from) return false;
+    return rangeMs({ from, to }) <= MAX_HOURLY_RANGE_MS;
+  }, {
+    message: 'Hourly buckets are limited to a range of 31 days; use interval=day',
+    path: ['interval'],
+  })
+  .refine(({ interval, from, to }) => interval === 'hour' || !from || rangeMs({ from, to }) <= MAX_DAILY_RANGE_MS, {
+    message: 'Daily buckets are limited to a range of 366 days',
+    path: ['from'],
+  });
+
+// What a logged model call was for: coaching a goal, or scoring an eval answer
+export const CALL_PURPOSES = ['refinement', 'judge'];
+
+export const TELEMETRY_LOG_SORTS = ['timestamp', 'latency_ms', 'total_cost', 'total_tokens'];
+
+const rangeBound = z.coerce.number().min(0);
+
+/**
+ * Zod schema for the query of GET /api/telemetry/logs. `cursor` is the
+ * `next_cursor` of the previous page, fetched with the same filters and sort.
+ */
+export const telemetryLogsSchema = z
+  .object({
+    limit: z.coerce.number().int().min(1).max(100).default(25),
+    cursor: cursorSchema.optional(),
+    sort: z.enum(TELEMETRY_LOG_SORTS).default('timestamp'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    success: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+    model: z.string().min(1).optional().describe('A model name, or several separated by commas'),
+    purpose: z.enum(CALL_PURPOSES).optional(),
+    min_latency_ms: rangeBound.optional(),
+    max_latency_ms: rangeBound.optional(),
+    min_cost: rangeBound.optional(),
+    max_cost: rangeBound.optional(),
+    search: z.string().trim().max(200, 'search must be at most 200 characters').optional(),
+    date: z.iso.date().optional().describe('Only calls on this UTC day'),
+    from: dateSchema.optional(),
+    to: dateSchema.optional(),
+  })
+  .refine(({ min_latency_ms: min, max_latency_ms: max }) => min === undefined || max === undefined || min <= max, {
+    message: 'min_latency_ms must not be greater than max_latency_ms',
+    path: ['min_latency_ms'],
+  })
+  .refine(({ min_cost: min, max_cost: max }) => min === undefined || max === undefined || min <= max, {
+    message: 'min_cost must not be greater than max_cost',
+    path: ['min_cost'],
+  })
+  .refine(({ date, from, to }) => !(date && (from || to)), {
+    message: 'Use either date or from/to, not both',
+  })
+  .refine(...cursorMatchesSort);
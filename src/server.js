@@ -4,7 +4,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import goalRoutes from './routes/goalRoutes.js';
-import TelemetryService from './services/TelemetryService.js';
+import authRoutes from './routes/authRoutes.js';
+import evalRoutes from './routes/evalRoutes.js';
+import telemetryRoutes from './routes/telemetryRoutes.js';
+import { requireAuth } from './middleware/auth.js';
+import PromptRegistry from './services/PromptRegistry.js';
 
 // Load environment variables
 dotenv.config();
@@ -13,10 +17,18 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one proxy hop) so that
+// req.ip, and with it the per-IP rate limit, is the client's address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // ============ MIDDLEWARE ============
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
+// Requests only carry goals and settings; anything bigger is refused with 413
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ limit: '100kb', extended: true }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
@@ -31,80 +43,21 @@ app.use((req, res, next) => {
 // ============ ROUTES ============
 
 // API routes
-app.use('/api/goals', goalRoutes);
-
-// Telemetry endpoints
-app.get('/api/telemetry', async (req, res) => {
-  try {
-    const summary = await TelemetryService.getSummary();
-    res.json({ success: true, data: summary });
-  } catch (error) {
-    console.error('Error fetching telemetry summary:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch telemetry summary',
-    });
-  }
-});
-
-app.get('/api/telemetry/logs', async (req, res) => {
-  const { date } = req.query; // Optional date filter in YYYY-MM-DD format
-  try {
-    const logs = await TelemetryService.getLogs(date);
-    res.status(200).json({
-      success: true,
-      data: logs,
-      count: logs.length,
-      dateFilter: date || 'all',
-    });
-  } catch (error) {
-    console.error('Error fetching telemetry logs:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch telemetry logs',
-    });
-  }
-});
-
-// Test evaluation endpoint
-app.post('/api/eval/run-tests', async (req, res) => {
+app.use('/api/auth', authRoutes);
+app.use('/api/goals', requireAuth, goalRoutes);
+app.use('/api/eval', requireAuth, evalRoutes);
+// Telemetry is scoped to the authenticated user's calls
+app.use('/api/telemetry', requireAuth, telemetryRoutes);
+
+// Prompt registry: versions, active version and running experiments
+app.get('/api/prompts', requireAuth, (req, res) => {
   try {
-    // Import and run the test suite
-    const { runAllTests } = await import('../test_evals.js');
-    
-    // Override the process.exit to prevent server from shutting down
-    const originalExit = process.exit;
-    process.exit = () => {};
-    
-    // Capture console output
-    const originalConsoleLog = console.log;
-    const consoleOutput = [];
-    console.log = (...args) => {
-      consoleOutput.push(args.join(' '));
-      originalConsoleLog(...args);
-    };
-    
-    // Run tests and get results
-    const testResults = await runAllTests();
-    
-    // Restore console and process.exit
-    console.log = originalConsoleLog;
-    process.exit = originalExit;
-    
-    res.json({
-      success: true,
-      data: {
-        output: consoleOutput.join('\n'),
-        results: testResults,
-        timestamp: new Date().toISOString()
-      }
-    });
-    
+    res.json({ success: true, data: PromptRegistry.list() });
   } catch (error) {
-    console.error('Error running test suite:', error);
+    console.error('Error loading prompt registry:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to run test suite'
+      error: error.message || 'Failed to load prompt registry',
     });
   }
 });
@@ -133,6 +86,14 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  // Body parsing errors: a body over the size limit, or malformed JSON
+  if (err.type === 'entity.too.large' || err.type === 'entity.parse.failed') {
+    return res.status(err.status).json({
+      success: false,
+      error: err.status === 413 ? 'Request body is too large' : 'Request body is not valid JSON',
+    });
+  }
+
   console.error('Error:', err);
   res.status(500).json({
     success: false,
@@ -0,0 +1,157 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { getStorageAdapter } from './storage/index.js';
+import { DuplicateRowError } from './storage/StorageAdapter.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Local username/password accounts
+ * Passwords are stored as salted scrypt hashes; clients authenticate with a
+ * signed JWT (Authorization: Bearer <token>).
+ */
+class AuthService {
+  constructor() {
+    this.adapter = null;
+    this.tableName = 'users';
+    this.tokenTtl = '7d';
+    this._secret = null;
+    this.dummyHash = null;
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.adapter = getStorageAdapter();
+    // Hash of a random password, checked against when a login names no
+    // account, so unknown usernames take as long to reject as wrong passwords
+    this.dummyHash = this.hashPassword(randomBytes(32).toString('hex'));
+    this.initialized = true;
+  }
+
+  /**
+   * Secret used to sign tokens. Without AUTH_JWT_SECRET a random one is used,
+   * which logs everyone out whenever the server restarts.
+   */
+  get secret() {
+    if (!this._secret) {
+      this._secret = process.env.AUTH_JWT_SECRET;
+
+      if (!this._secret) {
+        console.warn('AUTH_JWT_SECRET is not set; using a random secret; tokens will not survive a restart');
+        this._secret = randomBytes(32).toString('hex');
+      }
+    }
+    return this._secret;
+  }
+
+  /**
+   * Create an account
+   * @returns {Promise<Object|null>} The public user, or null when the username is taken
+   */
+  async register(username, password) {
+    this.initialize();
+
+    if (await this.findByUsername(username)) {
+      return null;
+    }
+
+    try {
+      const user = await this.adapter.insert(this.tableName, {
+        username,
+        password_hash: await this.hashPassword(password),
+      }, { unique: ['username'] });
+
+      return this.toPublicUser(user);
+    } catch (error) {
+      // Someone else registered the name while the password was being hashed
+      if (error instanceof DuplicateRowError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check credentials
+   * @returns {Promise<Object|null>} The public user, or null when the credentials are wrong
+   */
+  async authenticate(username, password) {
+    this.initialize();
+
+    const user = await this.findByUsername(username);
+
+    if (!user) {
+      await this.verifyPassword(password, await this.dummyHash);
+      return null;
+    }
+
+    if (!(await this.verifyPassword(password, user.password_hash))) {
+      return null;
+    }
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Issue a signed token for a user
+   */
+  issueToken(user) {
+    return jwt.sign({ username: user.username }, this.secret, {
+      subject: String(user.id),
+      expiresIn: this.tokenTtl,
+    });
+  }
+
+  /**
+   * Verify a token
+   * @returns {Object|null} { id, username }, or null when the token is invalid or expired
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      return { id: payload.sub, username: payload.username };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async findByUsername(username) {
+    const [user] = await this.adapter.find(this.tableName, {
+      filters: [{ column: 'username', op: 'eq', value: username }],
+      limit: 1,
+    });
+    return user || null;
+  }
+
+  async hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(expected, actual);
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      created_at: user.created_at,
+    };
+  }
+}
+
+export default new AuthService();
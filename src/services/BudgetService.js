@@ -0,0 +1,157 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import TelemetryService from './TelemetryService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BUDGETS_PATH = path.join(__dirname, '../config/budgets.json');
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Spending limits for model calls
+ * Limits are USD per UTC day and calendar month, read from LLM_BUDGETS_PATH
+ * (default src/config/budgets.json):
+ * `{ "warnAt": [0.8], "global": { "daily", "monthly" }, "perUser": { "daily",
+ * "monthly" }, "users": { "<username>": { "daily", "monthly" } },
+ * "failOpen": false }`.
+ * `global` caps all users together, `perUser` each user, and `users`
+ * overrides `perUser` for named accounts. A null (or missing) limit is no
+ * limit. Spend is read from the telemetry rollups, so it includes failed
+ * attempts and excludes cache hits. When it cannot be read, calls are refused
+ * unless `failOpen` is true.
+ */
+class BudgetService {
+  constructor() {
+    this.config = null;
+    // Highest warnAt threshold already logged, by budget, for its current period
+    this.warned = new Map();
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    const budgetsPath = process.env.LLM_BUDGETS_PATH || DEFAULT_BUDGETS_PATH;
+    const config = JSON.parse(readFileSync(budgetsPath, 'utf8'));
+
+    const limitSets = [
+      ['global', config.global],
+      ['perUser', config.perUser],
+      ...Object.entries(config.users || {}).map(([username, limits]) => [`users.${username}`, limits]),
+    ];
+    for (const [name, limits] of limitSets) {
+      for (const period of BUDGET_PERIODS) {
+        const limit = limits?.[period];
+        if (limit !== undefined && limit !== null && !(limit >= 0)) {
+          throw new Error(`Budget ${name}.${period} must be a non-negative number or null`);
+        }
+      }
+    }
+
+    this.config = {
+      warnAt: [...(config.warnAt || [])].sort((a, b) => a - b),
+      global: config.global || {},
+      perUser: config.perUser || {},
+      users: config.users || {},
+      failOpen: config.failOpen === true,
+    };
+    this.initialized = true;
+  }
+
+  /**
+   * Whether model calls may go ahead when spend cannot be read (false while
+   * the budgets file cannot be loaded either)
+   */
+  get failOpen() {
+    return this.config?.failOpen === true;
+  }
+
+  /**
+   * Limits that apply to a user, by period
+   */
+  limitsFor(user) {
+    this.initialize();
+
+    const own = { ...this.config.perUser, ...this.config.users[user.username] };
+    return BUDGET_PERIODS.flatMap(period => [
+      { scope: 'user', period, limit: own[period] ?? null },
+      { scope: 'global', period, limit: this.config.global[period] ?? null },
+    ]);
+  }
+
+  /**
+   * Current spend against every budget that applies to a user, limited or not
+   * @param {Object} user - { id, username }
+   * @returns {Promise<Array<Object>>} { scope ('user' or 'global'), period
+   *   ('daily' or 'monthly'), limit (null for none), spent, remaining,
+   *   resets_at } per budget
+   */
+  async getStatus(user, now = new Date()) {
+    return Promise.all(this.limitsFor(user).map(async ({ scope, period, limit }) => {
+      const { start, end } = periodRange(period, now);
+      const spent = await TelemetryService.getSpend(scope === 'user' ? user.id : null, start);
+
+      return {
+        scope,
+        period,
+        limit,
+        spent: Number(spent.toFixed(6)),
+        remaining: limit === null ? null : Number(Math.max(0, limit - spent).toFixed(6)),
+        period_start: start.toISOString(),
+        resets_at: end.toISOString(),
+      };
+    }));
+  }
+
+  /**
+   * Check a user's limited budgets before a model call, logging a warning the
+   * first time a budget passes each warnAt threshold in a period
+   * @returns {Promise<Object|null>} The exhausted budget (as in getStatus())
+   *   if the call must be refused, otherwise null
+   */
+  async check(user) {
+    if (this.limitsFor(user).every(({ limit }) => limit === null)) {
+      return null;
+    }
+
+    const budgets = (await this.getStatus(user)).filter(budget => budget.limit !== null);
+    budgets.forEach(budget => this.warnIfNeeded(user, budget));
+
+    return budgets.find(budget => budget.spent >= budget.limit) || null;
+  }
+
+  warnIfNeeded(user, budget) {
+    const key = `${budget.scope}|${budget.scope === 'user' ? user.id : ''}|${budget.period}`;
+    const used = budget.limit > 0 ? budget.spent / budget.limit : 1;
+    const threshold = this.config.warnAt.filter(fraction => used >= fraction).pop();
+    if (threshold === undefined) return;
+
+    const previous = this.warned.get(key);
+    if (previous?.periodStart === budget.period_start && previous.threshold >= threshold) return;
+
+    this.warned.set(key, { periodStart: budget.period_start, threshold });
+    const owner = budget.scope === 'user' ? `User "${user.username}"` : 'Global';
+    console.warn(
+      `${owner} ${budget.period} budget at ${Math.round(used * 100)}%: ` +
+      `$${budget.spent.toFixed(6)} of $${budget.limit}`
+    );
+  }
+}
+
+/**
+ * The UTC day or calendar month containing `now`
+ */
+function periodRange(period, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'monthly') {
+    return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+
+  const day = now.getUTCDate();
+  return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+}
+
+export default new BudgetService();
@@ -0,0 +1,235 @@
+import { randomUUID } from 'crypto';
+import EvalService from './EvalService.js';
+import EvalRunService from './EvalRunService.js';
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Thrown by submit() when the queue is full, for the user (`scope` 'user') or
+ * for everyone ('global')
+ */
+export class EvalQueueFullError extends Error {
+  constructor(scope, limit) {
+    super(scope === 'user'
+      ? `You already have ${limit} eval jobs waiting; wait for one to start or cancel one`
+      : `The eval queue is full (${limit} jobs waiting); try again later`);
+    this.name = 'EvalQueueFullError';
+    this.scope = scope;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Background eval jobs
+ * A submitted run is queued as a job and executed by an in-process worker, so
+ * the HTTP request returns at once and the client polls the job for per-test
+ * progress. At most EVAL_MAX_RUNNING_JOBS jobs (default 1) run at a time, each
+ * running EVAL_CONCURRENCY cases in parallel. At most EVAL_MAX_QUEUED_JOBS
+ * (default 20) jobs wait in the queue, EVAL_MAX_QUEUED_JOBS_PER_USER (default
+ * 3) of them from one user. Jobs live in memory: a finished
+ * job's results are stored as an eval run, and the last 100 finished jobs stay
+ * pollable until the server restarts.
+ */
+class EvalJobService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.maxRunningJobs = 1;
+    this.maxQueuedJobs = 20;
+    this.maxQueuedJobsPerUser = 3;
+    this.maxFinishedJobs = 100;
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.maxRunningJobs = Number(process.env.EVAL_MAX_RUNNING_JOBS) || 1;
+    this.maxQueuedJobs = Number(process.env.EVAL_MAX_QUEUED_JOBS) || 20;
+    this.maxQueuedJobsPerUser = Number(process.env.EVAL_MAX_QUEUED_JOBS_PER_USER) || 3;
+    this.initialized = true;
+  }
+
+  /**
+   * Queue an eval run
+   * @param {Object} options - { dataset, provider, judge } as for EvalService.run()
+   * @param {string} userId - Who submitted the job
+   * @returns {Promise<Object|null>} The job, or null if there is no such dataset
+   * @throws {EvalQueueFullError} When the job would not fit in the queue
+   */
+  async submit({ dataset, provider, judge }, userId) {
+    this.initialize();
+
+    const cases = await EvalService.loadDataset(dataset);
+    if (!cases) return null;
+
+    // A job that can start at once never waits, so it does not count against the queue
+    if (this.running >= this.maxRunningJobs) {
+      const queuedByUser = this.queue.filter(queued => String(queued.user_id) === String(userId)).length;
+      if (queuedByUser >= this.maxQueuedJobsPerUser) {
+        throw new EvalQueueFullError('user', this.maxQueuedJobsPerUser);
+      }
+      if (this.queue.length >= this.maxQueuedJobs) {
+        throw new EvalQueueFullError('global', this.maxQueuedJobs);
+      }
+    }
+
+    const job = {
+      id: randomUUID(),
+      user_id: userId,
+      status: 'queued',
+      dataset,
+      provider: provider || null,
+      judge,
+      cases,
+      // One entry per case, in dataset order: pending, running, passed or failed
+      progress: cases.map(({ name, group }) => ({ name, group, status: 'pending', result: null })),
+      run: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      controller: new AbortController(),
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.drain();
+
+    return this.toJob(job);
+  }
+
+  /**
+   * @returns {Object|null} The job, or null when not found or owned by someone else
+   */
+  getJob(id, userId) {
+    const job = this.findJob(id, userId);
+    return job ? this.toJob(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job. Cases already finished are kept on the
+   * job; nothing is stored as an eval run.
+   * @returns {Object|null} The job, or null when not found or owned by someone else
+   */
+  cancel(id, userId) {
+    const job = this.findJob(id, userId);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+    } else if (job.status === 'running') {
+      // The worker marks the job cancelled once the in-flight model calls stop
+      job.controller.abort();
+    }
+
+    return this.toJob(job);
+  }
+
+  findJob(id, userId) {
+    const job = this.jobs.get(id);
+    return job && userId != null && String(job.user_id) === String(userId) ? job : null;
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  drain() {
+    while (this.running < this.maxRunningJobs && this.queue.length > 0) {
+      this.execute(this.queue.shift());
+    }
+  }
+
+  async execute(job) {
+    this.running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    const { signal } = job.controller;
+
+    try {
+      const results = await EvalService.run({
+        dataset: job.dataset,
+        cases: job.cases,
+        provider: job.provider,
+        judge: job.judge,
+        userId: job.user_id,
+        signal,
+        onStart: (testCase, index) => {
+          job.progress[index].status = 'running';
+        },
+        onResult: (testResult, index) => {
+          job.progress[index] = {
+            ...job.progress[index],
+            status: testResult.passed ? 'passed' : 'failed',
+            result: testResult,
+          };
+        },
+      });
+
+      job.run = await EvalRunService.saveRun(results, job.user_id);
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        console.error(`Eval job ${job.id} failed:`, error);
+        job.error = error.message || 'Eval run failed';
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    job.progress = job.progress.map(entry =>
+      entry.status === 'pending' || entry.status === 'running' ? { ...entry, status: 'skipped' } : entry
+    );
+    this.prune();
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond maxFinishedJobs
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED.has(job.status));
+
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Shape a job for API responses
+   */
+  toJob(job) {
+    const done = job.progress.filter(entry => entry.status === 'passed' || entry.status === 'failed');
+
+    return {
+      id: job.id,
+      status: job.status,
+      dataset: job.dataset,
+      provider: job.provider,
+      judge: job.judge,
+      total: job.progress.length,
+      completed: done.length,
+      passed: done.filter(entry => entry.status === 'passed').length,
+      failed: done.filter(entry => entry.status === 'failed').length,
+      position: job.status === 'queued' ? this.queue.indexOf(job) + 1 : null,
+      progress: job.progress,
+      run_id: job.run?.id || null,
+      results: job.run,
+      error: job.error,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+    };
+  }
+}
+
+export default new EvalJobService();
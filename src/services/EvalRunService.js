@@ -0,0 +1,156 @@
+import { getStorageAdapter } from './storage/index.js';
+
+/**
+ * Eval run history
+ * Stores the results of each eval run (model, prompt version and per-test
+ * results) in the `eval_runs` table so runs can be listed and compared, e.g.
+ * before and after a prompt or model change. Runs belong to the user who
+ * started them.
+ */
+class EvalRunService {
+  constructor() {
+    this.adapter = null;
+    this.tableName = 'eval_runs';
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.adapter = getStorageAdapter();
+    this.initialized = true;
+  }
+
+  /**
+   * Store the results of an eval run
+   * @param {Object} results - Summary returned by EvalService.run()
+   * @param {string} userId - Who started the run
+   * @returns {Promise<Object>} The stored run, with its id and created_at
+   */
+  async saveRun(results, userId) {
+    this.initialize();
+
+    try {
+      return await this.adapter.insert(this.tableName, { user_id: userId, ...results });
+    } catch (error) {
+      console.error('Error saving eval run:', error);
+      throw new Error(`Failed to save eval run: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a user's runs, newest first, without their per-test results
+   * @param {Object} options - { dataset } to only list runs of one dataset, { limit }
+   */
+  async listRuns(userId, { dataset, limit = 20 } = {}) {
+    this.initialize();
+
+    const filters = [{ column: 'user_id', op: 'eq', value: userId }];
+    if (dataset) {
+      filters.push({ column: 'dataset', op: 'eq', value: dataset });
+    }
+
+    try {
+      const rows = await this.adapter.find(this.tableName, {
+        filters,
+        orderBy: { column: 'created_at', ascending: false },
+        limit,
+      });
+      return rows.map(({ tests, ...run }) => run);
+    } catch (error) {
+      console.error('Error fetching eval runs:', error);
+      throw new Error(`Failed to fetch eval runs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a run with its per-test results
+   * @returns {Promise<Object|null>} The run, or null when not found or owned by someone else
+   */
+  async getRun(id, userId) {
+    this.initialize();
+
+    try {
+      const row = await this.adapter.findById(this.tableName, id);
+      return row && userId != null && String(row.user_id) === String(userId) ? row : null;
+    } catch (error) {
+      console.error('Error fetching eval run:', error);
+      throw new Error(`Failed to fetch eval run: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare two runs test by test (matched by name). A test "regressed" when
+   * it passed in the base run and fails in the compared one, and was "fixed"
+   * the other way round.
+   * @param {Object} base - The earlier run
+   * @param {Object} compare - The run to compare against it
+   */
+  diffRuns(base, compare) {
+    const baseTests = new Map(base.tests.map(test => [test.name, test]));
+    const compareTests = new Map(compare.tests.map(test => [test.name, test]));
+    const names = [...new Set([...baseTests.keys(), ...compareTests.keys()])];
+
+    const tests = names.map(name => {
+      const before = baseTests.get(name);
+      const after = compareTests.get(name);
+
+      return {
+        name,
+        group: (after || before).group,
+        status: this.diffStatus(before, after),
+        base: before ? this.testSnapshot(before) : null,
+        compare: after ? this.testSnapshot(after) : null,
+        confidence_delta: delta(before?.confidence, after?.confidence),
+        score_delta: delta(before?.score, after?.score),
+      };
+    });
+
+    const count = status => tests.filter(test => test.status === status).length;
+
+    return {
+      base: this.runSnapshot(base),
+      compare: this.runSnapshot(compare),
+      summary: {
+        regressed: count('regressed'),
+        fixed: count('fixed'),
+        unchanged: count('unchanged'),
+        added: count('added'),
+        removed: count('removed'),
+        success_rate_delta: delta(base.successRate, compare.successRate),
+        average_score_delta: delta(base.averageScore, compare.averageScore),
+        average_judge_score_delta: delta(base.averageJudgeScore, compare.averageJudgeScore),
+      },
+      tests,
+    };
+  }
+
+  diffStatus(before, after) {
+    if (!before) return 'added';
+    if (!after) return 'removed';
+    if (before.passed && !after.passed) return 'regressed';
+    if (!before.passed && after.passed) return 'fixed';
+    return 'unchanged';
+  }
+
+  testSnapshot({ passed, score, confidence, rejected, checks = [], error }) {
+    return {
+      passed,
+      score,
+      confidence: confidence ?? null,
+      rejected,
+      failed_checks: checks.filter(check => !check.passed).map(check => check.name),
+      error: error || null,
+    };
+  }
+
+  runSnapshot({ id, created_at, dataset, provider, model, prompt_version, successRate, averageScore, averageJudgeScore }) {
+    return { id, created_at, dataset, provider, model, prompt_version, successRate, averageScore, averageJudgeScore };
+  }
+}
+
+function delta(before, after) {
+  return typeof before === 'number' && typeof after === 'number' ? after - before : null;
+}
+
+export default new EvalRunService();
@@ -0,0 +1,295 @@
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GeminiService, { GeminiService as GoalRefiner } from './GeminiService.js';
+import JudgeService from './JudgeService.js';
+import PromptRegistry from './PromptRegistry.js';
+import { createProvider } from './providers/index.js';
+import { GuardrailPolicy } from './guardrails/index.js';
+import { goalSchema, formatIssues } from '../schemas/goalSchema.js';
+import { evalCaseSchema } from '../schemas/evalSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATASETS_DIR = path.join(__dirname, '../evals/datasets');
+
+// A deadline ("by June", "within 6 months", "in 2025") or a cadence ("weekly", "3 times per week")
+const TIME_BOUND_PATTERN = new RegExp([
+  String.raw`\b(by|within|before|until|in|over|for)\s+(the\s+)?(next\s+|first\s+|end\s+of\s+)?(\d+|one|two|three|four|five|six|twelve|a)\s+(days?|weeks?|months?|quarters?|years?)\b`,
+  String.raw`\b(by|before|until|in)\s+(the\s+end\s+of\s+)?(january|february|march|april|may|june|july|august|september|october|november|december|q[1-4]|20\d\d|next\s+(week|month|quarter|year)|this\s+(week|month|quarter|year))\b`,
+  String.raw`\b(daily|weekly|monthly|quarterly|every\s+(day|week|month)|per\s+(day|week|month)|a\s+(day|week|month))\b`,
+].join('|'), 'i');
+
+/**
+ * Offline evaluation of goal refinement
+ * Runs the cases of a dataset through GeminiService in-process (no HTTP
+ * server needed) and returns structured results. Datasets are JSONL files in
+ * EVAL_DATASETS_DIR (default src/evals/datasets), one case per line:
+ * { name, group, input, expect, rubric, min_judge_score } (see evalCaseSchema).
+ * Each case is graded by a list of checks; its score is the mean of the check
+ * scores, with the judge's 1-10 score counting as score / 10.
+ */
+class EvalService {
+  get datasetsDir() {
+    return process.env.EVAL_DATASETS_DIR || DEFAULT_DATASETS_DIR;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Names of the available datasets
+   */
+  async listDatasets() {
+    const files = await readdir(this.datasetsDir);
+    return files.filter(file => file.endsWith('.jsonl')).map(file => path.basename(file, '.jsonl')).sort();
+  }
+
+  /**
+   * Load and validate the cases of a dataset
+   * @param {string} name - Dataset name, e.g. 'default' for default.jsonl
+   * @returns {Promise<Array<Object>|null>} The cases, or null if there is no such dataset
+   */
+  async loadDataset(name) {
+    if (!(await this.listDatasets()).includes(name)) {
+      return null;
+    }
+
+    const file = path.join(this.datasetsDir, `${name}.jsonl`);
+    const lines = (await readFile(file, 'utf8')).split('\n');
+
+    return lines.flatMap((line, index) => {
+      if (line.trim().length === 0) return [];
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${name}.jsonl line ${index + 1}: ${error.message}`);
+      }
+
+      const result = evalCaseSchema.safeParse(parsed);
+      if (!result.success) {
+        throw new Error(`${name}.jsonl line ${index + 1}: ${formatIssues(result.error).join(', ')}`);
+      }
+      return [result.data];
+    });
+  }
+
+  /**
+   * Run every case of a dataset, `concurrency` cases at a time
+   * @param {Object} options - { dataset } name (default 'default'), or { cases }
+   *   already loaded from it; { provider } to evaluate instead of LLM_PROVIDER
+   *   ('gemini', 'openai' or 'mock'); { judge: false } to skip rubric scoring;
+   *   { concurrency } (default EVAL_CONCURRENCY or 4); { userId } the model
+   *   calls are logged for; { signal } to stop the run; { onStart(testCase, index) }
+   *   and { onResult(testResult, index) } called as each case starts and finishes
+   * @returns {Promise<Object|null>} Summary with per-case results (in dataset
+   *   order) and aggregate scores, or null if there is no such dataset
+   */
+  async run({
+    dataset = 'default',
+    cases = null,
+    provider = null,
+    judge = true,
+    concurrency = Number(process.env.EVAL_CONCURRENCY) || 4,
+    userId = null,
+    signal,
+    onStart,
+    onResult,
+  } = {}) {
+    cases = cases || await this.loadDataset(dataset);
+    if (!cases) return null;
+
+    const refiner = provider ? new GoalRefiner({ provider: createProvider(provider) }) : GeminiService;
+    const startedAt = new Date();
+    const tests = new Array(cases.length);
+    let next = 0;
+
+    // Each worker takes the next case until none are left
+    const worker = async () => {
+      while (next < cases.length) {
+        const index = next++;
+        signal?.throwIfAborted();
+
+        onStart?.(cases[index], index);
+        tests[index] = await this.runCase(refiner, cases[index], { judge, userId, signal });
+        onResult?.(tests[index], index);
+      }
+    };
+
+    const workers = Math.min(Math.max(1, Math.floor(concurrency) || 1), cases.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return {
+      dataset,
+      provider: refiner.provider.name,
+      model: refiner.model,
+      // refineGoal() picks the version per user, so it is the same for every case
+      prompt_version: PromptRegistry.selectVersion('goal-refinement', userId),
+      judge_model: judge && cases.some(testCase => testCase.rubric) ? `${JudgeService.provider.name}/${JudgeService.provider.model}` : null,
+      started_at: startedAt.toISOString(),
+      duration_ms: Date.now() - startedAt.getTime(),
+      ...this.summarize(tests),
+      groups: Object.fromEntries(
+        [...new Set(tests.map(test => test.group))].map(group => {
+          const { total, passed, averageScore } = this.summarize(tests.filter(test => test.group === group));
+          return [group, { total, passed, averageScore }];
+        })
+      ),
+      tests,
+    };
+  }
+
+  /**
+   * Aggregate scores of a set of test results
+   */
+  summarize(tests) {
+    const passed = tests.filter(test => test.passed).length;
+    const judged = tests.filter(test => test.judge);
+
+    return {
+      total: tests.length,
+      passed,
+      failed: tests.length - passed,
+      successRate: tests.length > 0 ? (passed / tests.length) * 100 : 0,
+      averageScore: average(tests.map(test => test.score)),
+      averageJudgeScore: judged.length > 0 ? average(judged.map(test => test.judge.score)) : null,
+    };
+  }
+
+  /**
+   * Refine one case's input and grade the answer. The cache is bypassed so
+   * the current model and prompt are what gets measured.
+   */
+  async runCase(refiner, testCase, { judge, userId, signal }) {
+    const startTime = Date.now();
+    const base = { name: testCase.name, group: testCase.group, input: testCase.input };
+
+    let output;
+    try {
+      output = await refiner.refineGoal(testCase.input, { userId, signal, bypassCache: true });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      return {
+        ...base,
+        passed: false,
+        score: 0,
+        rejected: false,
+        checks: [],
+        judge: null,
+        error: error.message,
+        error_class: error.errorClass || null,
+        latency_ms: Date.now() - startTime,
+      };
+    }
+
+    const latencyMs = Date.now() - startTime;
+    const rejected = GuardrailPolicy.isRejection(output);
+    const checks = this.check(testCase, output, rejected);
+    let judgement = null;
+
+    // Rubrics describe a good goal, so only accepted answers are judged
+    if (judge && testCase.rubric && !rejected && checks.every(check => check.name !== 'schema' || check.passed)) {
+      judgement = await this.judge(testCase, output, { userId, signal });
+      checks.push({
+        name: 'judge',
+        passed: judgement.score !== null && judgement.score >= testCase.min_judge_score,
+        score: (judgement.score ?? 0) / 10,
+        detail: judgement.score !== null
+          ? `${judgement.score}/10 (needs ${testCase.min_judge_score}): ${judgement.reasoning}`
+          : judgement.reasoning,
+      });
+    }
+
+    return {
+      ...base,
+      passed: checks.every(check => check.passed),
+      score: average(checks.map(check => check.score)),
+      rejected,
+      confidence: output.confidence_score ?? null,
+      checks,
+      judge: judgement,
+      latency_ms: latencyMs,
+      output,
+    };
+  }
+
+  /**
+   * Golden-expectation checks for an answer: whether it was rejected (as the
+   * guardrail policy would at the refine endpoint) and, for accepted answers, the
+   * goal schema, confidence range, keywords, time-bound phrasing and number
+   * of key results the case expects
+   * @returns {Array<{name: string, passed: boolean, score: number, detail: string}>}
+   */
+  check(testCase, output, rejected) {
+    const { expect } = testCase;
+    const checks = [];
+    const add = (name, passed, detail) => checks.push({ name, passed, score: passed ? 1 : 0, detail });
+
+    add(
+      'verdict',
+      rejected === expect.rejected,
+      expect.rejected
+        ? (rejected ? 'Rejected as not a goal' : `Accepted with confidence ${output.confidence_score}/10`)
+        : (rejected ? `Rejected (${output.reason}): ${output.message}` : 'Accepted as a goal')
+    );
+
+    if (expect.confidence && output.confidence_score != null) {
+      const { min = 0, max = 10 } = expect.confidence;
+      add(
+        'confidence',
+        output.confidence_score >= min && output.confidence_score <= max,
+        `${output.confidence_score}/10, expected ${min}-${max}`
+      );
+    }
+
+    // The remaining checks are about the goal itself
+    if (rejected) return checks;
+
+    const schema = goalSchema.safeParse(output);
+    add('schema', schema.success, schema.success ? 'Valid goal' : formatIssues(schema.error).join(', '));
+    if (!schema.success) return checks;
+
+    const refinedGoal = output.refined_goal.toLowerCase();
+
+    if (expect.keywords?.length) {
+      const missing = expect.keywords.filter(keyword => !refinedGoal.includes(keyword.toLowerCase()));
+      add('keywords', missing.length === 0, missing.length === 0 ? 'All keywords present' : `Missing: ${missing.join(', ')}`);
+    }
+
+    if (expect.time_bound !== undefined) {
+      const match = output.refined_goal.match(TIME_BOUND_PATTERN);
+      add(
+        'time_bound',
+        Boolean(match) === expect.time_bound,
+        match ? `Time-bound: "${match[0]}"` : 'No deadline or cadence found'
+      );
+    }
+
+    if (expect.key_results) {
+      const { min = 0, max = Infinity } = expect.key_results;
+      const count = output.key_results.length;
+      add('key_results', count >= min && count <= max, `${count} key results, expected ${min}-${max === Infinity ? 'any' : max}`);
+    }
+
+    return checks;
+  }
+
+  /**
+   * Score an answer against the case's rubric. A judge failure is reported
+   * on the case (score null) rather than failing the run.
+   */
+  async judge(testCase, output, { userId, signal }) {
+    try {
+      return await JudgeService.score({ input: testCase.input, output, rubric: testCase.rubric }, { userId, signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      return { score: null, reasoning: `Judge failed: ${error.message}`, model: null };
+    }
+  }
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+export default new EvalService();
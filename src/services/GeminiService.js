@@ -1,73 +1,302 @@
-import { z } from 'zod';
 import TelemetryService from './TelemetryService.js';
+import RetryPolicy from './RetryPolicy.js';
+import ResponseCacheService from './ResponseCacheService.js';
+import PromptRegistry from './PromptRegistry.js';
+import { createProvider } from './providers/index.js';
+import { createGuardrailPipeline, GuardrailPolicy, REJECTION_REASONS } from './guardrails/index.js';
+import { goalSchema, GOAL_CATEGORIES, MAX_TAGS } from '../schemas/goalSchema.js';
 
 /**
- * Zod schema for refined goal structure
+ * JSON schema sent to providers that support structured output.
+ * Mirrors goalSchema so every provider is held to the same contract.
  */
-const goalSchema = z.object({
-  refined_goal: z.string().min(1, 'refined_goal must be a non-empty string').describe('SMART version of the goal (Specific, Measurable, Achievable, Relevant, Time-bound)'),
-  key_results: z.array(z.string().min(1, 'Each key result must be a non-empty string')).min(3, 'key_results must have at least 3 items').max(5, 'key_results must have at most 5 items').describe('Array of 3-5 measurable key results/milestones'),
-  confidence_score: z.number().int().min(1, 'confidence_score must be at least 1').max(10, 'confidence_score must be at most 10').describe('Confidence score 1-10 that the input was a valid goal'),
-});
-
-class GeminiService {
-  constructor() {
-    this._apiKey = null;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
-    this.model = 'gemini-2.5-flash';
+const responseSchema = {
+  type: 'object',
+  properties: {
+    refined_goal: {
+      type: 'string',
+      description: 'SMART version of the goal (Specific, Measurable, Achievable, Relevant, Time-bound)',
+    },
+    key_results: {
+      type: 'array',
+      items: {
+        type: 'string',
+      },
+      minItems: 3,
+      maxItems: 5,
+      description: 'Array of 3-5 measurable key results/milestones',
+    },
+    confidence_score: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 10,
+      description: 'Confidence score 1-10 that the input was a valid goal',
+    },
+    category: {
+      type: 'string',
+      enum: GOAL_CATEGORIES,
+      description: 'What area of life the goal belongs to',
+    },
+    tags: {
+      type: 'array',
+      items: {
+        type: 'string',
+      },
+      maxItems: MAX_TAGS,
+      description: `Up to ${MAX_TAGS} short lowercase keywords for the goal`,
+    },
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'string',
+      },
+      maxItems: 3,
+      description: 'When confidence is low, up to 3 ways the user could rephrase the input as a clear goal',
+    },
+  },
+  required: ['refined_goal', 'key_results', 'confidence_score', 'category', 'tags'],
+};
+
+export class GeminiService {
+  /**
+   * @param {Object} options - { provider } to use instead of the LLM_PROVIDER
+   *   one, e.g. for evaluating another model in-process; { guardrails } to use
+   *   instead of the pipeline configured by GUARDRAILS
+   */
+  constructor({ provider = null, guardrails = null } = {}) {
+    this._provider = provider;
+    this._guardrails = guardrails;
+    this._retryPolicy = null;
+  }
+
+  /**
+   * Model provider, chosen by LLM_PROVIDER (gemini, openai or mock) unless one
+   * was given to the constructor. Resolved lazily so environment variables
+   * loaded by dotenv are picked up.
+   */
+  get provider() {
+    if (!this._provider) {
+      this._provider = createProvider();
+    }
+    return this._provider;
+  }
+
+  /**
+   * Retry policy for model calls, configured from LLM_* environment variables
+   */
+  get retryPolicy() {
+    if (!this._retryPolicy) {
+      this._retryPolicy = new RetryPolicy();
+    }
+    return this._retryPolicy;
   }
 
-  get apiKey() {
-    if (!this._apiKey) {
-      this._apiKey = process.env.GOOGLE_API_KEY;
+  /**
+   * Guardrail pipeline that screens inputs before they reach the model and
+   * goals before they are returned
+   */
+  get guardrails() {
+    if (!this._guardrails) {
+      this._guardrails = createGuardrailPipeline();
     }
-    return this._apiKey;
+    return this._guardrails;
+  }
+
+  get model() {
+    return this.provider.model;
   }
 
   /**
    * Refine a vague goal into a structured SMART goal
    * @param {string} userInput - The vague goal input
-   * @returns {Promise<Object>} Structured goal object
+   * @param {Object} options - { onEvent } to receive progress events while refining,
+   *   { userId } to attribute the call in telemetry, { signal } to cancel it,
+   *   { bypassCache } to skip the response cache lookup
+   * @returns {Promise<Object>} Structured goal object, with the `prompt_version`
+   *   of the goal-refinement prompt that produced it, or a rejection (see
+   *   GuardrailPolicy) when the input is not accepted as a goal
    */
-  async refineGoal(userInput) {
+  async refineGoal(userInput, options = {}) {
     const startTime = Date.now();
 
     // Validate input
     if (!userInput || typeof userInput !== 'string' || userInput.trim().length === 0) {
-      return await this.handleEmptyInput(startTime);
+      return await this.handleEmptyInput(startTime, options);
     }
 
-    try {
-      const prompt = this.buildPrompt(userInput);
-      const requestBody = this.buildRequestBody(prompt);
+    // Injection attempts are refused and personal data redacted before the input goes anywhere
+    const screened = this.guardrails.screenInput(userInput);
+    if (screened.blocked) {
+      return await this.handleBlockedInput(screened, startTime, options);
+    }
 
-      // Simulate API call with structured response
-      const response = await this.callGeminiAPIWithRetry(requestBody);
-      const latencyMs = Date.now() - startTime;
+    // Users in a running prompt experiment get the candidate version
+    const promptVersion = PromptRegistry.selectVersion('goal-refinement', options.userId);
+    const prompt = this.buildPrompt(screened.value, promptVersion);
+    const refineOptions = { ...options, promptVersion, guardrails: screened.verdicts };
+
+    return this.withCache(screened.value, startTime, refineOptions, () =>
+      this.generateGoal([{ role: 'user', content: prompt }], screened.value, startTime, refineOptions)
+    );
+  }
+
+  /**
+   * Continue a multi-turn refinement conversation
+   * @param {Array<Object>} turns - Conversation so far, oldest first, ending with
+   *   the user's latest message: { role: 'user', content: string } or
+   *   { role: 'model', content: <validated goal object> }. The first user turn is
+   *   the original goal; later user turns are follow-up instructions.
+   * @param {Object} options - Same as refineGoal(), plus { promptVersion } of the
+   *   goal-refinement prompt the conversation started with (chosen like
+   *   refineGoal() when omitted); only the first turn is served from the response cache
+   * @returns {Promise<Object>} Structured goal object for the latest turn, or a
+   *   rejection (see GuardrailPolicy)
+   */
+  async refineConversation(turns, options = {}) {
+    const startTime = Date.now();
+    const latestMessage = turns[turns.length - 1]?.content;
 
-      // Parse and validate response
-      const parsedResponse = this.parseResponse(response);
-      const validatedResponse = goalSchema.parse(parsedResponse);
+    if (!latestMessage || typeof latestMessage !== 'string' || latestMessage.trim().length === 0) {
+      return await this.handleEmptyInput(startTime, options);
+    }
+
+    // Every user turn is screened again, since sessions store them as sent;
+    // telemetry records the verdicts for the latest one
+    const screenedTurns = turns.map(turn => (turn.role === 'user' ? this.guardrails.screenInput(turn.content) : null));
+    const screened = screenedTurns[screenedTurns.length - 1];
+    const blocked = screenedTurns.find(result => result?.blocked);
+    if (blocked) {
+      return await this.handleBlockedInput(blocked, startTime, options);
+    }
+
+    const safeTurns = turns.map((turn, index) => (screenedTurns[index] ? { ...turn, content: screenedTurns[index].value } : turn));
+    const userInput = safeTurns
+      .filter(turn => turn.role === 'user')
+      .map(turn => turn.content)
+      .join('\n');
+
+    const promptVersion = options.promptVersion || PromptRegistry.selectVersion('goal-refinement', options.userId);
+    const conversationOptions = { ...options, promptVersion, guardrails: screened.verdicts };
+    const generate = () =>
+      this.generateGoal(this.buildConversation(safeTurns, promptVersion), userInput, startTime, conversationOptions);
+
+    // A single user turn builds the same prompt as refineGoal()
+    return turns.length === 1 ? this.withCache(userInput, startTime, conversationOptions, generate) : generate();
+  }
+
+  /**
+   * Serve a refinement from the response cache, or generate it and cache the
+   * result when it is an accepted goal. Cache hits go through the output
+   * guardrails and the guardrail policy again, since either may have changed
+   * since the answer was cached; a hit they would reject counts as a miss.
+   * Hits are logged to telemetry with no tokens or cost.
+   * @param {string} userInput - Goal text the cache key is built from
+   * @param {number} startTime - When the refinement started
+   * @param {Object} options - { promptVersion } the goal was refined with;
+   *   { bypassCache } skips the lookup but still refreshes the entry; { userId }
+   *   and input { guardrails } verdicts for telemetry
+   * @param {Function} generate - () => Promise<goal>, called on a miss
+   */
+  async withCache(userInput, startTime, { promptVersion, bypassCache = false, userId, guardrails = [] } = {}, generate) {
+    if (!ResponseCacheService.enabled) {
+      return generate();
+    }
+
+    const key = ResponseCacheService.keyFor(userInput, {
+      provider: this.provider.name,
+      model: this.model,
+      promptVersion,
+    });
 
-      // Check confidence score guardrail
-      if (validatedResponse.confidence_score < 4) {
-        return {
-          error: "Input does not appear to be a valid goal."
-        };
+    if (!bypassCache) {
+      const cached = await ResponseCacheService.get(key);
+      const output = cached ? this.guardrails.screenOutput(cached) : null;
+
+      if (output && !output.blocked && !GuardrailPolicy.review(output.value, { promptVersion })) {
+        await TelemetryService.logAICall({
+          userInput,
+          aiOutput: output.value,
+          latencyMs: Date.now() - startTime,
+          promptTokens: 0,
+          completionTokens: 0,
+          model: this.model,
+          success: true,
+          cacheHit: true,
+          guardrails: [...guardrails, ...output.verdicts],
+          promptVersion,
+          userId,
+        });
+        return { ...output.value, prompt_version: promptVersion };
       }
+    }
+
+    const result = await generate();
+
+    if (!GuardrailPolicy.isRejection(result)) {
+      await ResponseCacheService.set(key, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Call the model with a prepared conversation, validate the goal it returns
+   * and log telemetry for the call, including every attempt made
+   * @param {Array<Object>} messages - Provider messages ({ role, content } strings)
+   * @param {string} userInput - Raw user text, for telemetry and the mock provider
+   * @param {number} startTime - When the refinement started
+   * @param {Object} options - { onEvent(type, data) }: when given, the model is
+   *   called in streaming mode and reports 'attempt', 'retrying' and 'partial' events;
+   *   { userId } of the user the call is made for; { signal } to cancel the call;
+   *   { promptVersion } the messages were built with and the input's
+   *   { guardrails } verdicts, recorded in telemetry. The goal is screened by
+   *   the output guardrails and reviewed by the guardrail policy before it is
+   *   returned.
+   * @returns {Promise<Object>} The goal, or a rejection (see GuardrailPolicy)
+   */
+  async generateGoal(messages, userInput, startTime, { onEvent, userId, signal, promptVersion = null, guardrails = [] } = {}) {
+    try {
+      const requestBody = this.buildRequestBody(messages, userInput);
+
+      const { result: validatedResponse, attempts } = await this.callModelWithRetry(requestBody, {
+        onEvent,
+        signal,
+        promptText: messages.map(m => m.content).join('\n'),
+      });
+      const latencyMs = Date.now() - startTime;
+
+      const output = this.guardrails.screenOutput(validatedResponse);
+      const rejection = output.blocked
+        ? GuardrailPolicy.reject(REJECTION_REASONS.BLOCKED_OUTPUT, {
+          confidenceScore: validatedResponse.confidence_score,
+          guardrail: guardrailInfo(output.blocked),
+          promptVersion,
+        })
+        : GuardrailPolicy.review(output.value, { promptVersion });
 
       // Log telemetry
       await TelemetryService.logAICall({
         userInput,
-        aiOutput: validatedResponse,
+        aiOutput: output.value,
         latencyMs,
-        promptTokens: this.estimateTokens(prompt),
-        completionTokens: this.estimateTokens(JSON.stringify(validatedResponse)),
+        ...totalUsage(attempts),
         model: this.model,
-        success: true,
+        success: !output.blocked,
+        outcome: output.blocked ? 'blocked' : rejection ? 'rejected' : 'success',
+        errorMessage: output.blocked ? `Blocked by guardrail "${output.blocked.rule}"` : null,
+        errorClass: output.blocked ? 'guardrail' : null,
+        guardrails: [...guardrails, ...output.verdicts],
+        promptVersion,
+        userId,
+        attempts,
       });
 
-      return validatedResponse;
+      if (rejection) {
+        return rejection;
+      }
+
+      const { suggestions, ...goal } = output.value;
+      return { ...goal, prompt_version: promptVersion };
     } catch (error) {
       const latencyMs = Date.now() - startTime;
 
@@ -75,183 +304,173 @@ class GeminiService {
         userInput,
         aiOutput: null,
         latencyMs,
-        promptTokens: 0,
-        completionTokens: 0,
+        ...totalUsage(error.attempts),
         model: this.model,
         success: false,
+        outcome: error.errorClass === 'cancelled' ? 'cancelled' : 'error',
         errorMessage: error.message,
+        errorClass: error.errorClass,
+        guardrails,
+        promptVersion,
+        userId,
+        attempts: error.attempts,
       });
 
       throw error;
     }
   }
 
-  async handleEmptyInput(startTime) {
-    const latencyMs = Date.now() - startTime;
-    const response = {
-      refined_goal: 'No goal provided',
-      key_results: [],
-      confidence_score: 0,
-    };
-
+  async handleEmptyInput(startTime, { userId } = {}) {
     await TelemetryService.logAICall({
       userInput: 'EMPTY_INPUT',
-      aiOutput: response,
-      latencyMs,
+      aiOutput: null,
+      latencyMs: Date.now() - startTime,
       promptTokens: 0,
       completionTokens: 0,
       model: this.model,
       success: true,
+      outcome: 'rejected',
+      userId,
     });
 
-    return response;
+    return GuardrailPolicy.reject(REJECTION_REASONS.EMPTY_INPUT);
   }
 
-  buildPrompt(userInput) {
-    return `You are an expert goal-setting coach. Analyze the following vague goal and convert it into a SMART goal (Specific, Measurable, Achievable, Relevant, Time-bound).
-
-User Input: "${userInput}"
-
-Respond with a JSON object containing:
-1. refined_goal: A clear, SMART version of the goal
-2. key_results: An array of 3-5 measurable milestones/key results
-3. confidence_score: A number 1-10 indicating your confidence that the input was actually a goal (0 = definitely not a goal, 10 = definitely a valid goal)
+  /**
+   * Log and refuse an input a guardrail blocked; the model is not called
+   * @param {Object} screened - The input's screening result
+   */
+  async handleBlockedInput(screened, startTime, { userId } = {}) {
+    await TelemetryService.logAICall({
+      userInput: screened.value,
+      aiOutput: null,
+      latencyMs: Date.now() - startTime,
+      promptTokens: 0,
+      completionTokens: 0,
+      model: this.model,
+      success: false,
+      outcome: 'blocked',
+      errorMessage: `Blocked by guardrail "${screened.blocked.rule}"`,
+      errorClass: 'guardrail',
+      guardrails: screened.verdicts,
+      userId,
+    });
 
-If the input is nonsensical or obviously not a goal, set confidence_score to a low number and provide the best interpretation you can.
+    return GuardrailPolicy.reject(REJECTION_REASONS.BLOCKED_INPUT, { guardrail: guardrailInfo(screened.blocked) });
+  }
 
-Return ONLY valid JSON, no markdown formatting.`;
+  /**
+   * Opening coaching prompt for a goal
+   * @param {string} version - goal-refinement prompt version (defaults to the active one)
+   */
+  buildPrompt(userInput, version) {
+    return PromptRegistry.render('goal-refinement', version, {
+      userInput,
+      // Suggestions are asked for exactly when the policy would reject the answer
+      minConfidence: GuardrailPolicy.minConfidence,
+    });
   }
 
-  buildRequestBody(prompt) {
-    return {
-      contents: [
-        {
-          parts: [
-            {
-              text: prompt,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            refined_goal: {
-              type: 'string',
-              description: 'SMART version of the goal (Specific, Measurable, Achievable, Relevant, Time-bound)',
-            },
-            key_results: {
-              type: 'array',
-              items: {
-                type: 'string',
-              },
-              minItems: 3,
-              maxItems: 5,
-              description: 'Array of 3-5 measurable key results/milestones',
-            },
-            confidence_score: {
-              type: 'integer',
-              minimum: 1,
-              maximum: 10,
-              description: 'Confidence score 1-10 that the input was a valid goal',
-            },
-          },
-          required: ['refined_goal', 'key_results', 'confidence_score'],
-        },
-      },
-    };
+  buildFollowUpPrompt(message) {
+    return PromptRegistry.render('goal-follow-up', null, { message });
   }
 
   /**
-   * Call real Google Gemini API with retry logic
+   * Turn session turns into provider messages: the opening goal gets the full
+   * coaching prompt, earlier model answers are replayed as JSON and follow-ups
+   * get the revision prompt
+   * @param {string} promptVersion - goal-refinement prompt version for the opening turn
    */
-  async callGeminiAPIWithRetry(requestBody, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await this.callGeminiAPI(requestBody);
-      } catch (error) {
-        console.log(`Gemini API attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt === maxRetries) {
-          console.log('All retry attempts exhausted, throwing final error');
-          throw error;
-        }
-        
-        // 4 second delay between retries
-        await this.delay(4000);
+  buildConversation(turns, promptVersion) {
+    return turns.map((turn, index) => {
+      if (turn.role === 'model') {
+        const { prompt_version, ...goal } = turn.content;
+        return { role: 'model', content: JSON.stringify(goal) };
       }
-    }
+      return {
+        role: 'user',
+        content: index === 0 ? this.buildPrompt(turn.content, promptVersion) : this.buildFollowUpPrompt(turn.content),
+      };
+    });
+  }
+
+  buildRequestBody(messages, userInput) {
+    return this.provider.buildRequestBody(messages, { responseSchema, userInput });
   }
 
   /**
-   * Call real Google Gemini API
+   * Call the configured model provider and validate the goal it returns,
+   * retrying transient failures (including malformed output) per the retry policy
+   * @param {Object} requestBody - Provider payload
+   * @param {Object} options - { onEvent, signal }, and { promptText } to
+   *   estimate usage from when the provider reports none
+   * @returns {Promise<{result: Object, attempts: Array<Object>}>} The validated
+   *   goal and a record of each attempt, with the tokens it used. Attempts that
+   *   fail keep their usage too (on `error.attempts`), since a malformed answer
+   *   or a timed-out request is still billed.
    */
-  async callGeminiAPI(requestBody) {
+  async callModelWithRetry(requestBody, { onEvent, signal, promptText = '' } = {}) {
+    const maxRetries = this.retryPolicy.maxAttempts;
+    // Token usage by attempt number
+    const usage = new Map();
+    const withUsage = attempts => attempts.map(record => ({
+      ...record,
+      ...(usage.get(record.attempt) || { prompt_tokens: 0, completion_tokens: 0, usage_estimated: false }),
+    }));
+
     try {
-      if (!this.apiKey) {
-        throw new Error('GOOGLE_API_KEY environment variable is not set');
-      }
+      const { result, attempts } = await this.retryPolicy.execute(async (attempt, attemptSignal) => {
+        let streamedText = '';
+        let response;
+
+        try {
+          response = onEvent
+            ? await this.provider.callStream(requestBody, text => {
+              streamedText += text;
+              onEvent('partial', { attempt, text });
+            }, { signal: attemptSignal })
+            : await this.provider.call(requestBody, { signal: attemptSignal });
+        } catch (error) {
+          // A request cut off by a timeout or cancellation may already have been
+          // billed for its prompt and the text generated so far; an error
+          // response from the API is not billed
+          if (attemptSignal.aborted) {
+            usage.set(attempt, this.estimateUsage(promptText, streamedText));
+          }
+          throw error;
+        }
 
-      const url = `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+        let goal = null;
+        try {
+          goal = this.parseResponse(response);
+        } finally {
+          const reported = this.provider.parseUsage(response);
+          usage.set(attempt, reported
+            ? { prompt_tokens: reported.promptTokens, completion_tokens: reported.completionTokens, usage_estimated: false }
+            : this.estimateUsage(promptText, goal ? JSON.stringify(goal) : streamedText));
+        }
+
+        return goalSchema.parse(goal);
+      }, {
+        signal,
+        onAttempt: attempt => onEvent?.('attempt', { attempt, maxRetries }),
+        onRetry: ({ attempt, delayMs, errorClass, error }) => {
+          console.log(`${this.provider.name} API attempt ${attempt} failed (${errorClass}): ${error.message}`);
+          onEvent?.('retrying', { attempt, maxRetries, delayMs, errorClass, error: error.message });
         },
-        body: JSON.stringify(requestBody),
       });
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(
-          `Gemini API error (${response.status}): ${
-            errorData.error?.message || response.statusText
-          }`
-        );
-      }
-
-      const data = await response.json();
-      return data;
+      return { result, attempts: withUsage(attempts) };
     } catch (error) {
-      throw new Error(`Failed to call Gemini API: ${error.message}`);
+      if (error.attempts) {
+        error.attempts = withUsage(error.attempts);
+      }
+      throw error;
     }
   }
 
   parseResponse(apiResponse) {
-    try {
-      const textContent = apiResponse.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (!textContent) {
-        console.error('[DEBUG] Full API response:', JSON.stringify(apiResponse, null, 2));
-        throw new Error('Invalid API response structure');
-      }
-
-      console.log('[DEBUG] Raw text content:', textContent);
-
-      // Extract JSON from response (handles markdown code blocks if present)
-      let jsonStr = textContent;
-      const jsonMatch = textContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-        console.log('[DEBUG] Extracted from code block:', jsonStr);
-      }
-
-      const trimmed = jsonStr.trim();
-      console.log('[DEBUG] Trimmed JSON string:', trimmed);
-      
-      const parsed = JSON.parse(trimmed);
-      return parsed;
-    } catch (error) {
-      console.error('[DEBUG] Parse error:', error.message);
-      throw new Error(`Failed to parse API response: ${error.message}`);
-    }
+    return this.provider.parseResponse(apiResponse);
   }
 
   /**
@@ -262,11 +481,34 @@ Return ONLY valid JSON, no markdown formatting.`;
   }
 
   /**
-   * Delay utility for retry logic
+   * Attempt usage estimated from its prompt and output text, for providers
+   * that report none
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  estimateUsage(promptText, completionText) {
+    return {
+      prompt_tokens: this.estimateTokens(promptText),
+      completion_tokens: this.estimateTokens(completionText),
+      usage_estimated: true,
+    };
   }
 }
 
+/**
+ * What callers are told about a blocking guardrail verdict
+ */
+function guardrailInfo({ rule, stage, detail }) {
+  return { rule, stage, reason: detail };
+}
+
+/**
+ * Tokens used by all attempts of a call, for telemetry
+ */
+function totalUsage(attempts = []) {
+  return {
+    promptTokens: attempts.reduce((sum, attempt) => sum + (attempt.prompt_tokens || 0), 0),
+    completionTokens: attempts.reduce((sum, attempt) => sum + (attempt.completion_tokens || 0), 0),
+    usageEstimated: attempts.some(attempt => attempt.usage_estimated),
+  };
+}
+
 export default new GeminiService();
@@ -0,0 +1,142 @@
+import RetryPolicy from './RetryPolicy.js';
+import PromptRegistry from './PromptRegistry.js';
+import TelemetryService from './TelemetryService.js';
+import { createProvider } from './providers/index.js';
+import { judgeScoreSchema } from '../schemas/evalSchema.js';
+
+/**
+ * JSON schema for the judge's answer, sent to providers that support
+ * structured output. Mirrors judgeScoreSchema.
+ */
+const responseSchema = {
+  type: 'object',
+  properties: {
+    score: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 10,
+      description: 'How well the answer meets the rubric, 1-10',
+    },
+    reasoning: {
+      type: 'string',
+      description: 'One or two sentences explaining the score',
+    },
+  },
+  required: ['score', 'reasoning'],
+};
+
+/**
+ * LLM-as-judge for evals
+ * Scores a refined goal against a case's rubric with the eval-judge prompt.
+ * The judge model is EVAL_JUDGE_PROVIDER / EVAL_JUDGE_MODEL, defaulting to
+ * the provider and model being evaluated. Judge calls are logged to
+ * telemetry with purpose 'judge', so their cost counts toward the budgets of
+ * the user who started the run.
+ */
+class JudgeService {
+  constructor() {
+    this._provider = null;
+    this._retryPolicy = null;
+  }
+
+  get provider() {
+    if (!this._provider) {
+      const model = process.env.EVAL_JUDGE_MODEL;
+      this._provider = createProvider(
+        process.env.EVAL_JUDGE_PROVIDER || process.env.LLM_PROVIDER || 'gemini',
+        model ? { model } : {}
+      );
+    }
+    return this._provider;
+  }
+
+  get retryPolicy() {
+    if (!this._retryPolicy) {
+      this._retryPolicy = new RetryPolicy();
+    }
+    return this._retryPolicy;
+  }
+
+  /**
+   * Score an answer against a rubric
+   * @param {Object} evaluation - { input } the user gave, { output } goal the
+   *   coach answered with, { rubric } to grade it against
+   * @param {Object} options - { signal } to cancel the call, { userId } the
+   *   call is billed to
+   * @returns {Promise<{score: number, reasoning: string, model: string}>}
+   */
+  async score({ input, output, rubric }, { signal, userId = null } = {}) {
+    const startTime = Date.now();
+    const prompt = PromptRegistry.render('eval-judge', null, {
+      input,
+      output: JSON.stringify(output, null, 2),
+      rubric,
+    });
+    const requestBody = this.provider.buildRequestBody([{ role: 'user', content: prompt }], {
+      responseSchema,
+      schemaName: 'judge_score',
+      userInput: input,
+    });
+
+    // Token usage by attempt number
+    const usage = new Map();
+    const withUsage = (attempts = []) => attempts.map(record => ({
+      ...record,
+      ...(usage.get(record.attempt) || { prompt_tokens: 0, completion_tokens: 0, usage_estimated: false }),
+    }));
+    const log = (attempts, fields) => TelemetryService.logAICall({
+      userInput: input,
+      latencyMs: Date.now() - startTime,
+      promptTokens: attempts.reduce((sum, attempt) => sum + attempt.prompt_tokens, 0),
+      completionTokens: attempts.reduce((sum, attempt) => sum + attempt.completion_tokens, 0),
+      usageEstimated: attempts.some(attempt => attempt.usage_estimated),
+      model: this.provider.model,
+      purpose: 'judge',
+      userId,
+      attempts,
+      ...fields,
+    });
+
+    try {
+      const { result, attempts } = await this.retryPolicy.execute(async (attempt, attemptSignal) => {
+        const response = await this.provider.call(requestBody, { signal: attemptSignal });
+        let score = null;
+        try {
+          score = this.provider.parseResponse(response);
+        } finally {
+          const reported = this.provider.parseUsage(response);
+          usage.set(attempt, reported
+            ? { prompt_tokens: reported.promptTokens, completion_tokens: reported.completionTokens, usage_estimated: false }
+            : estimateUsage(prompt, score ? JSON.stringify(score) : ''));
+        }
+        return judgeScoreSchema.parse(score);
+      }, { signal });
+
+      await log(withUsage(attempts), { aiOutput: result, success: true });
+      return { ...result, model: `${this.provider.name}/${this.provider.model}` };
+    } catch (error) {
+      await log(withUsage(error.attempts), {
+        aiOutput: null,
+        success: false,
+        outcome: error.errorClass === 'cancelled' ? 'cancelled' : 'error',
+        errorMessage: error.message,
+        errorClass: error.errorClass,
+      });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Attempt usage estimated from its prompt and output text (1 token ≈ 4
+ * characters), for providers that report none
+ */
+function estimateUsage(promptText, completionText) {
+  return {
+    prompt_tokens: Math.ceil(promptText.length / 4),
+    completion_tokens: Math.ceil(completionText.length / 4),
+    usage_estimated: true,
+  };
+}
+
+export default new JudgeService();
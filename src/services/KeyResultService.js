@@ -0,0 +1,71 @@
+import { randomUUID } from 'crypto';
+import StorageService from './StorageService.js';
+import { statusForValue } from '../schemas/keyResultSchema.js';
+
+/**
+ * Key result progress tracking
+ * Key results live inside their goal's key_results column, so every change
+ * rewrites the goal's key result list through StorageService. Changes are
+ * applied to the list as stored when it is written rather than as read by the
+ * caller, so concurrent check-ins on one goal are all kept.
+ */
+class KeyResultService {
+  /**
+   * Find a key result on a goal
+   * @returns {object|undefined}
+   */
+  findKeyResult(goal, keyResultId) {
+    return goal.key_results.find(kr => kr.id === keyResultId);
+  }
+
+  /**
+   * Update a key result's title, status, target, current value or unit
+   * @param {object} goal - Goal as returned by StorageService
+   * @param {string} keyResultId - ID of a key result on that goal
+   * @param {object} updates - Validated fields to change
+   * @returns {Promise<object>} The updated goal
+   */
+  async updateKeyResult(goal, keyResultId, updates) {
+    return this.changeKeyResult(goal, keyResultId, kr => {
+      const updated = { ...kr, ...updates };
+      // Moving current or target re-derives the status unless one was given
+      if (updates.status === undefined && (updates.current !== undefined || updates.target !== undefined)) {
+        updated.status = statusForValue(updated, updated.current);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Record a dated check-in: sets the key result's current value, appends it
+   * to the history and moves the status along
+   * @param {object} goal - Goal as returned by StorageService
+   * @param {string} keyResultId - ID of a key result on that goal
+   * @param {object} checkIn - { value, note?, date? }
+   * @returns {Promise<object>} The updated goal
+   */
+  async addCheckIn(goal, keyResultId, { value, note = '', date = new Date().toISOString() }) {
+    const checkIn = { id: randomUUID(), date, value, note };
+
+    return this.changeKeyResult(goal, keyResultId, kr => ({
+      ...kr,
+      current: value,
+      status: statusForValue(kr, value),
+      check_ins: [...kr.check_ins, checkIn],
+    }));
+  }
+
+  /**
+   * Save a change to one key result
+   * @param {Function} change - (keyResult) => updated key result, applied to
+   *   the goal's key results as currently stored
+   * @returns {Promise<object|null>} The updated goal, or null when it is gone
+   */
+  async changeKeyResult(goal, keyResultId, change) {
+    return StorageService.updateGoal(goal.id, stored => ({
+      key_results: stored.key_results.map(kr => (kr.id === keyResultId ? change(kr) : kr)),
+    }), goal.user_id);
+  }
+}
+
+export default new KeyResultService();
@@ -0,0 +1,65 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PRICING_PATH = path.join(__dirname, '../config/pricing.json');
+
+/**
+ * Per-model token pricing
+ * Rates are USD per million tokens, `{ "<model>": { "input": 0.3, "output": 2.5 } }`,
+ * read from LLM_PRICING_PATH (default src/config/pricing.json). Models missing
+ * from the table use its "default" entry, or cost nothing without one (e.g. a
+ * self-hosted model).
+ */
+class PricingService {
+  constructor() {
+    this.rates = {};
+    this.warned = new Set();
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    const pricingPath = process.env.LLM_PRICING_PATH || DEFAULT_PRICING_PATH;
+    this.rates = JSON.parse(readFileSync(pricingPath, 'utf8'));
+
+    for (const [model, rate] of Object.entries(this.rates)) {
+      if (!(rate?.input >= 0 && rate?.output >= 0)) {
+        throw new Error(`Pricing for "${model}" needs non-negative "input" and "output" rates`);
+      }
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * @returns {{input: number, output: number}} USD per million tokens
+   */
+  rateFor(model) {
+    this.initialize();
+
+    if (this.rates[model]) return this.rates[model];
+
+    if (!this.warned.has(model)) {
+      this.warned.add(model);
+      console.warn(`No pricing for model "${model}"; using the default rate`);
+    }
+    return this.rates.default || { input: 0, output: 0 };
+  }
+
+  /**
+   * Cost of a call's tokens
+   * @returns {{inputCost: number, outputCost: number, totalCost: number}} USD
+   */
+  cost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const rate = this.rateFor(model);
+    const inputCost = promptTokens / 1000000 * rate.input;
+    const outputCost = completionTokens / 1000000 * rate.output;
+
+    return { inputCost, outputCost, totalCost: inputCost + outputCost };
+  }
+}
+
+export default new PricingService();
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '../prompts');
+
+/**
+ * Versioned prompt templates
+ * Each prompt lives in `<PROMPTS_DIR>/<name>/<version>.txt` with `{{variable}}`
+ * placeholders. `registry.json` names the active version of each prompt and,
+ * optionally, an experiment that routes a percentage of users to a candidate
+ * version. Editing those files changes the prompts without a code change.
+ */
+class PromptRegistry {
+  constructor() {
+    this.prompts = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load the registry and every template on first use, failing fast on a
+   * registry that points at a missing version
+   */
+  initialize() {
+    if (this.initialized) return;
+
+    const promptsDir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+    const registry = JSON.parse(readFileSync(path.join(promptsDir, 'registry.json'), 'utf8'));
+
+    for (const [name, config] of Object.entries(registry)) {
+      const versions = new Map(
+        readdirSync(path.join(promptsDir, name))
+          .filter(file => file.endsWith('.txt'))
+          .map(file => [
+            path.basename(file, '.txt'),
+            readFileSync(path.join(promptsDir, name, file), 'utf8').trimEnd(),
+          ])
+      );
+
+      this.validate(name, config, versions);
+      this.prompts.set(name, { ...config, versions });
+    }
+
+    this.initialized = true;
+  }
+
+  validate(name, { active, experiment }, versions) {
+    if (!versions.has(active)) {
+      throw new Error(`Prompt "${name}": active version "${active}" has no template`);
+    }
+
+    if (experiment) {
+      if (!versions.has(experiment.candidate)) {
+        throw new Error(`Prompt "${name}": experiment candidate "${experiment.candidate}" has no template`);
+      }
+      if (!(experiment.percent >= 0 && experiment.percent <= 100)) {
+        throw new Error(`Prompt "${name}": experiment percent must be between 0 and 100`);
+      }
+    }
+  }
+
+  getPrompt(name) {
+    this.initialize();
+
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt "${name}"`);
+    }
+    return prompt;
+  }
+
+  /**
+   * Choose the version of a prompt to use. With an experiment running, the
+   * routing key (the user ID) is hashed into one of 100 buckets, so each user
+   * consistently gets the same version.
+   * @param {string} name - Prompt name, e.g. 'goal-refinement'
+   * @param {string} routingKey - Stable ID to bucket on; without one the active version is used
+   * @returns {string} Version, e.g. 'v1'
+   */
+  selectVersion(name, routingKey) {
+    const { active, experiment } = this.getPrompt(name);
+
+    if (!experiment || !experiment.percent || routingKey == null) {
+      return active;
+    }
+
+    const bucket = createHash('sha256').update(`${name}:${routingKey}`).digest().readUInt32BE(0) % 100;
+    return bucket < experiment.percent ? experiment.candidate : active;
+  }
+
+  /**
+   * Render a prompt template, replacing `{{name}}` placeholders with variables
+   * @param {string} name - Prompt name
+   * @param {string} version - Version to render (defaults to the active one)
+   * @param {Object} variables - Values for the placeholders
+   */
+  render(name, version, variables = {}) {
+    const prompt = this.getPrompt(name);
+    const template = prompt.versions.get(version || prompt.active);
+
+    if (template === undefined) {
+      throw new Error(`Prompt "${name}" has no version "${version}"`);
+    }
+
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+      variables[key] !== undefined ? String(variables[key]) : match
+    );
+  }
+
+  /**
+   * Prompts with their versions, active version and experiment, for the API
+   */
+  list() {
+    this.initialize();
+
+    return [...this.prompts.entries()].map(([name, { description, active, experiment, versions }]) => ({
+      name,
+      description,
+      active,
+      experiment: experiment || null,
+      versions: [...versions.keys()],
+    }));
+  }
+}
+
+export default new PromptRegistry();
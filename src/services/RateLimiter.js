@@ -0,0 +1,72 @@
+/**
+ * Token-bucket rate limiter
+ * Every key (a client IP or a user ID) gets a bucket of `capacity` tokens
+ * that refills at `refillPerMinute`. Each request takes one token, so a client
+ * can burst up to the capacity and then keep to the refill rate. Buckets are
+ * kept in memory, so limits are per server process.
+ */
+export default class RateLimiter {
+  /**
+   * @param {Object} options - { capacity, refillPerMinute }; either one 0
+   *   disables the limiter
+   */
+  constructor({ capacity, refillPerMinute, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.now = now;
+    this.buckets = new Map();
+    this.lastSweep = now();
+  }
+
+  get enabled() {
+    return this.capacity > 0 && this.refillPerMs > 0;
+  }
+
+  /**
+   * A key's bucket, refilled up to now
+   * @returns {{limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number}}
+   *   Whole tokens left, seconds until the bucket is full again, and seconds
+   *   until a request would be allowed (0 when one is)
+   */
+  check(key) {
+    const tokens = this.tokens(key);
+
+    return {
+      limit: this.capacity,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((this.capacity - tokens) / this.refillPerMs / 1000),
+      retryAfterSeconds: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / this.refillPerMs / 1000),
+    };
+  }
+
+  /**
+   * Take a token from a key's bucket; check() it first
+   */
+  take(key) {
+    this.buckets.set(key, { tokens: this.tokens(key) - 1, updatedAt: this.now() });
+  }
+
+  tokens(key) {
+    const now = this.now();
+    this.sweep(now);
+
+    const bucket = this.buckets.get(key);
+    if (!bucket) return this.capacity;
+
+    return Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+  }
+
+  /**
+   * Forget buckets that have refilled completely, at most once a minute
+   */
+  sweep(now) {
+    if (now - this.lastSweep < 60000) return;
+    this.lastSweep = now;
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,145 @@
+import { getStorageAdapter } from './storage/index.js';
+import GeminiService from './GeminiService.js';
+import { GuardrailPolicy } from './guardrails/index.js';
+
+/**
+ * Thrown by addMessage() when another message was added to the session while
+ * this one was being refined
+ */
+export class SessionChangedError extends Error {
+  constructor(sessionId) {
+    super('The session changed while this message was being refined. Reload it and send the message again.');
+    this.name = 'SessionChangedError';
+    this.sessionId = sessionId;
+  }
+}
+
+/**
+ * Multi-turn goal refinement sessions
+ * A session keeps the conversation with the model, so follow-ups like
+ * "make it 3 months instead of 6" revise the previous answer instead of
+ * starting over. Turns are { role: 'user', content: string } and
+ * { role: 'model', content: <validated goal> }. Sessions belong to the user
+ * who started them. Each stored turn increments the session's `version`.
+ */
+class RefinementSessionService {
+  constructor() {
+    this.adapter = null;
+    this.tableName = 'refinement_sessions';
+    this.maxUserTurns = 10;
+    this.initialized = false;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.adapter = getStorageAdapter();
+    this.initialized = true;
+  }
+
+  /**
+   * Start a session with the user's original goal
+   * @param {string} goal - The vague goal input
+   * @param {Object} options - { userId } of the session owner, { onEvent } to
+   *   receive progress events while refining
+   * @returns {Promise<{accepted: boolean, session: Object|null, result: Object}>}
+   *   The session is null when the model rejected the input, since there is
+   *   nothing to refine yet
+   */
+  async createSession(goal, options = {}) {
+    this.initialize();
+
+    const userTurn = { role: 'user', content: goal };
+    const result = await GeminiService.refineConversation([userTurn], options);
+
+    if (!this.isGoal(result)) {
+      return { accepted: false, session: null, result };
+    }
+
+    const now = new Date().toISOString();
+    const session = await this.adapter.insert(this.tableName, {
+      user_id: options.userId,
+      // Follow-ups keep the goal-refinement prompt version the session started with
+      prompt_version: result.prompt_version,
+      turns: [userTurn, { role: 'model', content: result }],
+      latest_goal: result,
+      updated_at: now,
+      version: 0,
+    });
+
+    return { accepted: true, session, result };
+  }
+
+  /**
+   * Get a session by ID
+   * @returns {Promise<Object|null>} The session, or null when not found or owned by someone else
+   */
+  async getSession(id, userId) {
+    this.initialize();
+
+    try {
+      const session = await this.adapter.findById(this.tableName, id);
+      return session && userId != null && String(session.user_id) === String(userId) ? session : null;
+    } catch (error) {
+      console.error('Error fetching refinement session:', error);
+      throw new Error(`Failed to fetch refinement session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a follow-up message and get a revised goal. The exchange is only
+   * recorded when the model returns a valid goal, so a rejected follow-up can
+   * simply be rephrased. It is also only recorded while the session is still
+   * at the version it was read at: the revised goal builds on the turns as
+   * read, so it cannot follow another message stored in the meantime.
+   * @param {Object} session - Session as returned by getSession
+   * @param {string} message - Follow-up instruction from the user
+   * @param {Object} options - { onEvent } to receive progress events while refining
+   * @returns {Promise<{accepted: boolean, session: Object, result: Object}>}
+   * @throws {SessionChangedError} When another message was stored first
+   */
+  async addMessage(session, message, options = {}) {
+    this.initialize();
+
+    const userTurn = { role: 'user', content: message };
+    const result = await GeminiService.refineConversation([...session.turns, userTurn], {
+      ...options,
+      userId: session.user_id,
+      promptVersion: session.prompt_version,
+    });
+
+    if (!this.isGoal(result)) {
+      return { accepted: false, session, result };
+    }
+
+    // Sessions started before versions existed have none, which the filter
+    // matches until their first versioned turn is stored
+    const updated = await this.adapter.update(this.tableName, session.id, {
+      turns: [...session.turns, userTurn, { role: 'model', content: result }],
+      latest_goal: result,
+      updated_at: new Date().toISOString(),
+      version: (session.version || 0) + 1,
+    }, {
+      filters: [{ column: 'version', op: 'eq', value: session.version }],
+    });
+
+    if (!updated) {
+      throw new SessionChangedError(session.id);
+    }
+
+    return { accepted: true, session: updated, result };
+  }
+
+  /**
+   * Whether the session still accepts follow-up messages
+   */
+  canContinue(session) {
+    return session.turns.filter(turn => turn.role === 'user').length < this.maxUserTurns;
+  }
+
+  isGoal(result) {
+    return Boolean(result) && !GuardrailPolicy.isRejection(result);
+  }
+}
+
+export default new RefinementSessionService();
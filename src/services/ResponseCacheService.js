@@ -0,0 +1,88 @@
+import { createHash } from 'crypto';
+import { createCacheStore } from './cache/index.js';
+
+/**
+ * Response cache for goal refinements
+ * Identical (or trivially different) goal text refined with the same model
+ * and prompt version gets the stored answer instead of a new, billed model
+ * call. Only accepted goals are cached.
+ */
+class ResponseCacheService {
+  constructor() {
+    this.store = null;
+    this.ttlMs = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * Pick the store (CACHE_DRIVER) and TTL (CACHE_TTL_SECONDS, default one day)
+   * on first use, after dotenv has loaded
+   */
+  initialize() {
+    if (this.initialized) return;
+
+    this.store = createCacheStore();
+    this.ttlMs = (Number(process.env.CACHE_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+    this.initialized = true;
+
+    if (this.store) {
+      console.log(`Using "${this.store.name}" response cache (TTL ${this.ttlMs / 1000}s)`);
+    }
+  }
+
+  get enabled() {
+    this.initialize();
+    return this.store !== null;
+  }
+
+  /**
+   * Normalize goal text so that casing, extra whitespace and trailing
+   * punctuation do not produce different cache entries
+   */
+  normalizeInput(input) {
+    return input
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/[.!?,;:'"\s]+$/, '')
+      .replace(/^['"\s]+/, '');
+  }
+
+  /**
+   * Cache key for a refinement
+   * @param {string} input - Raw goal text
+   * @param {Object} context - { provider, model, promptVersion }
+   */
+  keyFor(input, { provider, model, promptVersion }) {
+    const material = JSON.stringify([this.normalizeInput(input), provider, model, promptVersion]);
+    return createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The cached goal, or null on a miss
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      // A broken cache must never break refinement
+      console.error(`Failed to read ${this.store.name} response cache:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    if (!this.enabled) return;
+
+    try {
+      await this.store.set(key, value, this.ttlMs);
+    } catch (error) {
+      console.error(`Failed to write ${this.store.name} response cache:`, error.message);
+    }
+  }
+}
+
+export default new ResponseCacheService();
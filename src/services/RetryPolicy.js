@@ -0,0 +1,191 @@
+import { ZodError } from 'zod';
+import ProviderError from './providers/ProviderError.js';
+
+/**
+ * Failure classes for model calls. Only transient ones are retried: a missing
+ * key or a malformed request fails the same way every time.
+ */
+export const ERROR_CLASSES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  SERVER: 'server',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  NETWORK: 'network',
+  SCHEMA: 'schema',
+  BAD_REQUEST: 'bad_request',
+  UNKNOWN: 'unknown',
+};
+
+const RETRYABLE = new Set([
+  ERROR_CLASSES.QUOTA,
+  ERROR_CLASSES.SERVER,
+  ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.NETWORK,
+  ERROR_CLASSES.SCHEMA,
+  ERROR_CLASSES.UNKNOWN,
+]);
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Retry policy for model calls
+ * Classifies each failure, retries transient ones with exponential backoff and
+ * jitter (waiting at least as long as a Retry-After asks), and gives up once
+ * the next attempt would start after the request's deadline. Each attempt is
+ * aborted after attemptTimeoutMs (or at the deadline), and the whole run stops
+ * as soon as the caller's signal is aborted.
+ */
+export default class RetryPolicy {
+  /**
+   * @param {Object} options - Defaults come from LLM_MAX_ATTEMPTS,
+   *   LLM_RETRY_BASE_DELAY_MS, LLM_RETRY_MAX_DELAY_MS, LLM_REQUEST_DEADLINE_MS
+   *   and LLM_CALL_TIMEOUT_MS
+   */
+  constructor({
+    maxAttempts = envNumber('LLM_MAX_ATTEMPTS', 3),
+    baseDelayMs = envNumber('LLM_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs = envNumber('LLM_RETRY_MAX_DELAY_MS', 16000),
+    deadlineMs = envNumber('LLM_REQUEST_DEADLINE_MS', 60000),
+    attemptTimeoutMs = envNumber('LLM_CALL_TIMEOUT_MS', 30000),
+    random = Math.random,
+    sleep = abortableSleep,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.deadlineMs = deadlineMs;
+    this.attemptTimeoutMs = attemptTimeoutMs;
+    this.random = random;
+    this.sleep = sleep;
+  }
+
+  /**
+   * Run an operation until it succeeds or the policy gives up
+   * @param {Function} operation - (attempt, signal) => Promise<result>; pass
+   *   `signal` to fetch() so the attempt is aborted on timeout or cancellation
+   * @param {Object} options - { signal } to cancel the run, plus hooks
+   *   { onAttempt(attempt), onRetry({ attempt, delayMs, errorClass, error }) }
+   * @returns {Promise<{result: *, attempts: Array<Object>}>} The result and one
+   *   record per attempt. When the policy gives up, the last error is thrown
+   *   with `errorClass` and `attempts` set on it.
+   */
+  async execute(operation, { signal, onAttempt, onRetry } = {}) {
+    const deadline = Date.now() + this.deadlineMs;
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        throw Object.assign(cancelledError(), { attempts });
+      }
+
+      const startedAt = Date.now();
+      const timeout = AbortSignal.timeout(Math.max(1, Math.min(this.attemptTimeoutMs, deadline - startedAt)));
+      onAttempt?.(attempt);
+
+      try {
+        const result = await operation(attempt, signal ? AbortSignal.any([signal, timeout]) : timeout);
+        attempts.push(this.record(attempt, startedAt));
+        return { result, attempts };
+      } catch (error) {
+        // A cancelled request surfaces as whatever fetch() threw; report it as such
+        const errorClass = signal?.aborted ? ERROR_CLASSES.CANCELLED : this.classify(error);
+        const delayMs = this.delayFor(attempt, error);
+        const retry = RETRYABLE.has(errorClass)
+          && attempt < this.maxAttempts
+          && Date.now() + delayMs < deadline;
+
+        attempts.push(this.record(attempt, startedAt, { error, errorClass, delayMs: retry ? delayMs : null }));
+
+        if (!retry) {
+          error.errorClass = errorClass;
+          error.attempts = attempts;
+          throw error;
+        }
+
+        onRetry?.({ attempt, delayMs, errorClass, error });
+        await this.sleep(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Classify a failed call into one of ERROR_CLASSES
+   */
+  classify(error) {
+    if (error.errorClass) return error.errorClass;
+    if (error instanceof ZodError) return ERROR_CLASSES.SCHEMA;
+
+    const { status } = error;
+    if (status === 401 || status === 403) return ERROR_CLASSES.AUTH;
+    if (status === 429) return ERROR_CLASSES.QUOTA;
+    if (status === 408 || status === 504) return ERROR_CLASSES.TIMEOUT;
+    if (status >= 500) return ERROR_CLASSES.SERVER;
+    if (status >= 400) return ERROR_CLASSES.BAD_REQUEST;
+
+    // fetch() failures wrap the underlying socket error or abort reason as `cause`
+    const chain = [];
+    for (let current = error; current; current = current.cause) {
+      chain.push(current);
+    }
+
+    if (chain.some(e => e.name === 'TimeoutError')) return ERROR_CLASSES.TIMEOUT;
+    if (chain.some(e => NETWORK_ERROR_CODES.has(e.code) || (e instanceof TypeError && e.message === 'fetch failed'))) {
+      return ERROR_CLASSES.NETWORK;
+    }
+    if (chain.some(e => e.name === 'AbortError')) return ERROR_CLASSES.CANCELLED;
+
+    return ERROR_CLASSES.UNKNOWN;
+  }
+
+  /**
+   * Delay before the attempt after `attempt`: exponential backoff capped at
+   * maxDelayMs with "equal jitter" (half fixed, half random), but never
+   * shorter than the Retry-After the API sent
+   */
+  delayFor(attempt, error) {
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(backoff / 2 + this.random() * (backoff / 2));
+    return Math.max(jittered, error?.retryAfterMs ?? 0);
+  }
+
+  record(attempt, startedAt, { error = null, errorClass = null, delayMs = null } = {}) {
+    return {
+      attempt,
+      started_at: new Date(startedAt).toISOString(),
+      latency_ms: Date.now() - startedAt,
+      success: !error,
+      error_class: errorClass,
+      error_message: error ? error.message : null,
+      retry_delay_ms: delayMs,
+    };
+  }
+}
+
+function cancelledError() {
+  return new ProviderError('Request was cancelled by the client', { errorClass: ERROR_CLASSES.CANCELLED });
+}
+
+/**
+ * Wait for `ms`, returning early when the signal is aborted
+ */
+function abortableSleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
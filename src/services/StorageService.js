@@ -1,12 +1,26 @@
-import { createClient } from '@supabase/supabase-js';
+import { getStorageAdapter } from './storage/index.js';
+import {
+  normalizeKeyResult,
+  mergeKeyResults,
+  keyResultProgress,
+  goalCompletion,
+} from '../schemas/keyResultSchema.js';
+import { encodeCursor } from '../utils/cursor.js';
+
+// Times a goal update is retried when other requests keep changing the goal first
+const MAX_UPDATE_ATTEMPTS = 5;
 
 /**
- * Supabase-based storage for goals
- * Stores and retrieves goals from Supabase database
+ * Goal storage
+ * Stores and retrieves goals through the configured storage adapter
+ * (Supabase or local JSON files, see services/storage). Every goal belongs to
+ * a user (user_id) and is only visible to, and editable by, that user.
+ * Goals also store `search_text`, the input, goal and key result titles
+ * that searches match against; it is not returned to callers.
  */
 class StorageService {
   constructor() {
-    this.supabase = null;
+    this.adapter = null;
     this.tableName = 'goals';
     this.initialized = false;
   }
@@ -14,142 +28,309 @@ class StorageService {
   initialize() {
     if (this.initialized) return;
 
-    const supabaseUrl = 'https://xmssmnivkkqgbijsjzku.supabase.co';
-    const supabaseKey = process.env.SUPABASE_API_KEY;
-
-    if (!supabaseKey) {
-      throw new Error(
-        'SUPABASE_API_KEY environment variable is not set. Please add it to your .env file.'
-      );
-    }
-
-    this.supabase = createClient(supabaseUrl, supabaseKey);
+    this.adapter = getStorageAdapter();
     this.initialized = true;
   }
 
   /**
    * Save a refined goal
    * @param {string} originalInput - The original user input
-   * @param {object} refinedGoalData - Object containing: refined_goal, key_results, confidence_score
+   * @param {object} refinedGoalData - Object containing: refined_goal, key_results, confidence_score,
+   *   category and tags, and optionally the prompt_version that produced it
+   * @param {string} userId - Owner of the goal
    */
-  async saveGoal(originalInput, refinedGoalData) {
+  async saveGoal(originalInput, refinedGoalData, userId) {
     this.initialize();
 
     const goal = {
+      user_id: userId,
       original_input: originalInput,
       refined_goal: refinedGoalData.refined_goal,
-      key_results: refinedGoalData.key_results, // Expected to be array of 3-5 items
+      key_results: refinedGoalData.key_results.map(kr => normalizeKeyResult(kr)), // Expected to be array of 3-5 items
       confidence_score: refinedGoalData.confidence_score, // Expected to be 1-10
+      category: refinedGoalData.category,
+      tags: refinedGoalData.tags,
+      prompt_version: refinedGoalData.prompt_version || null,
+      version: 0,
     };
+    goal.search_text = searchText(goal);
 
-    const { data, error } = await this.supabase
-      .from(this.tableName)
-      .insert([goal])
-      .select();
-
-    if (error) {
+    try {
+      return this.toGoal(await this.adapter.insert(this.tableName, goal));
+    } catch (error) {
       console.error('Error saving goal:', error);
       throw new Error(`Failed to save goal: ${error.message}`);
     }
-
-    return data ? data[0] : goal;
   }
 
   /**
-   * Get all goals
+   * Get a page of a user's goals
+   * @param {Object} query - { limit, cursor (decoded next_cursor of the
+   *   previous page), sort (created_at or confidence_score), order (asc or
+   *   desc) }, and the filters { category, tag, search, min_confidence,
+   *   max_confidence, from, to } (see goalListSchema)
+   * @returns {Promise<{goals: Array<object>, nextCursor: string|null}>}
    */
-  async getAllGoals() {
+  async listGoals(userId, query = {}) {
     this.initialize();
 
-    const { data, error } = await this.supabase
-      .from(this.tableName)
-      .select('*')
-      .order('created_at', { ascending: false });
+    const { limit = 20, cursor = null, sort = 'created_at', order = 'desc' } = query;
+    const ascending = order === 'asc';
+    const after = ascending ? 'gt' : 'lt';
+    const filters = goalFilters(userId, query);
+
+    try {
+      // Rows tied with the cursor row on the sort column come first...
+      const tied = cursor
+        ? await this.adapter.find(this.tableName, {
+          filters: [
+            ...filters,
+            { column: sort, op: 'eq', value: cursor.value },
+            { column: 'id', op: after, value: cursor.id },
+          ],
+          orderBy: { column: 'id', ascending },
+          limit: limit + 1,
+        })
+        : [];
+
+      // ...then the rows past it
+      const rest = tied.length > limit
+        ? []
+        : await this.adapter.find(this.tableName, {
+          filters: cursor ? [...filters, { column: sort, op: after, value: cursor.value }] : filters,
+          orderBy: [{ column: sort, ascending }, { column: 'id', ascending }],
+          limit: limit + 1 - tied.length,
+        });
 
-    if (error) {
+      const rows = [...tied, ...rest];
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return {
+        goals: page.map(row => this.toGoal(row)),
+        nextCursor: rows.length > limit ? encodeCursor({ sort, order, value: last[sort], id: last.id }) : null,
+      };
+    } catch (error) {
       console.error('Error fetching goals:', error);
-      console.error('Error details:', JSON.stringify(error, null, 2));
       throw new Error(`Failed to fetch goals: ${error.message}`);
     }
+  }
 
-    return data || [];
+  /**
+   * Count a user's goals by category and by tag, most used first
+   * @returns {Promise<{categories: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>}>}
+   */
+  async getFacets(userId) {
+    this.initialize();
+
+    try {
+      const rows = await this.adapter.find(this.tableName, {
+        filters: [{ column: 'user_id', op: 'eq', value: userId }],
+      });
+
+      return {
+        categories: countValues(rows.map(row => row.category).filter(Boolean)),
+        tags: countValues(rows.flatMap(row => row.tags || [])),
+      };
+    } catch (error) {
+      console.error('Error fetching goal facets:', error);
+      throw new Error(`Failed to fetch goal facets: ${error.message}`);
+    }
   }
 
   /**
-   * Get goal by ID
+   * Store search_text on goals saved before it existed, so searches find them
+   * @returns {Promise<number>} How many goals were updated
    */
-  async getGoalById(id) {
+  async reindexSearchText() {
     this.initialize();
 
-    const { data, error } = await this.supabase
-      .from(this.tableName)
-      .select('*')
-      .eq('id', id)
-      .single();
+    const rows = await this.adapter.find(this.tableName);
+    const stale = rows.filter(row => row.search_text !== searchText(row));
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // Goal not found
-        return null;
-      }
-      console.error('Error fetching goal:', error);
-      throw new Error(`Failed to fetch goal: ${error.message}`);
+    for (const row of stale) {
+      await this.adapter.update(this.tableName, row.id, { search_text: searchText(row) });
     }
 
-    return data;
+    return stale.length;
   }
 
   /**
-   * Update goal
+   * Get goal by ID
+   * @returns {Promise<object|null>} The goal, or null when not found or owned by someone else
    */
-  async updateGoal(id, updates) {
-    const updateData = {};
+  async getGoalById(id, userId) {
+    this.initialize();
 
-    // Only include fields that exist in the schema
-    if (updates.refined_goal !== undefined) {
-      updateData.refined_goal = updates.refined_goal;
-    }
-    if (updates.key_results !== undefined) {
-      updateData.key_results = updates.key_results;
-    }
-    if (updates.confidence_score !== undefined) {
-      updateData.confidence_score = updates.confidence_score;
+    try {
+      const row = await this.adapter.findById(this.tableName, id);
+      return row && this.isOwner(row, userId) ? this.toGoal(row) : null;
+    } catch (error) {
+      console.error('Error fetching goal:', error);
+      throw new Error(`Failed to fetch goal: ${error.message}`);
     }
+  }
 
-    const { data, error } = await this.supabase
-      .from(this.tableName)
-      .update(updateData)
-      .eq('id', id)
-      .select();
+  /**
+   * Update goal. The write only succeeds while the goal is still at the
+   * `version` it was read at; when another request changed it in between, the
+   * goal is read again and the updates are applied to that, so neither
+   * request's changes are lost.
+   * @param {object|Function} updates - Fields to change, or a function of the
+   *   stored goal returning them, for changes that build on its current state
+   * @returns {Promise<object|null>} The updated goal, or null when not found or owned by someone else
+   */
+  async updateGoal(id, updates, userId) {
+    this.initialize();
 
-    if (error) {
-      console.error('Error updating goal:', error);
-      throw new Error(`Failed to update goal: ${error.message}`);
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const existing = await this.getGoalById(id, userId);
+      if (!existing) {
+        return null;
+      }
+
+      const updateData = goalChanges(existing, typeof updates === 'function' ? updates(existing) : updates);
+
+      try {
+        // Goals saved by the file driver before versions existed have none,
+        // which the filter matches as long as nobody has set one since
+        const row = await this.adapter.update(this.tableName, id, { ...updateData, version: (existing.version || 0) + 1 }, {
+          filters: [{ column: 'version', op: 'eq', value: existing.version }],
+        });
+        if (row) {
+          return this.toGoal(row);
+        }
+      } catch (error) {
+        console.error('Error updating goal:', error);
+        throw new Error(`Failed to update goal: ${error.message}`);
+      }
     }
 
-    if (!data || data.length === 0) {
-      throw new Error(`Goal with ID ${id} not found`);
+    throw new Error('Failed to update goal: it kept being changed by other requests, please try again');
+  }
+
+  /**
+   * Shape a stored row for API responses: key results as tracked objects with
+   * their progress, plus the goal's overall completion (both 0-100)
+   */
+  toGoal(row) {
+    if (!row) {
+      return null;
     }
 
-    return data[0];
+    const keyResults = (row.key_results || []).map((kr, index) => {
+      const keyResult = normalizeKeyResult(kr, `kr-${index + 1}`);
+      return { ...keyResult, progress: keyResultProgress(keyResult) };
+    });
+
+    const { search_text: _searchText, ...fields } = row;
+
+    return {
+      ...fields,
+      // Goals saved before classification have no category or tags
+      category: row.category ?? null,
+      tags: row.tags || [],
+      key_results: keyResults,
+      completion: goalCompletion(keyResults),
+    };
   }
 
   /**
    * Delete goal
+   * @returns {Promise<boolean>} false when not found or owned by someone else
    */
-  async deleteGoal(id) {
+  async deleteGoal(id, userId) {
     this.initialize();
 
-    const { error } = await this.supabase
-      .from(this.tableName)
-      .delete()
-      .eq('id', id);
+    if (!(await this.getGoalById(id, userId))) {
+      return false;
+    }
 
-    if (error) {
+    try {
+      await this.adapter.remove(this.tableName, id);
+      return true;
+    } catch (error) {
       console.error('Error deleting goal:', error);
       throw new Error(`Failed to delete goal: ${error.message}`);
     }
   }
+
+  isOwner(row, userId) {
+    return userId !== undefined && userId !== null && String(row.user_id) === String(userId);
+  }
+}
+
+/**
+ * Storage filters for the goal query options
+ */
+function goalFilters(userId, { category, tag, search, min_confidence, max_confidence, from, to }) {
+  const filters = [];
+  const add = (column, op, value) => {
+    if (value !== undefined && value !== null) filters.push({ column, op, value });
+  };
+
+  add('user_id', 'eq', userId);
+  add('category', 'in', category?.length ? category : null);
+  add('tags', 'contains', tag?.length ? tag : null);
+  add('confidence_score', 'gte', min_confidence);
+  add('confidence_score', 'lte', max_confidence);
+  add('created_at', 'gte', from ? new Date(from).toISOString() : null);
+  add('created_at', 'lt', to ? new Date(to).toISOString() : null);
+
+  // Every word of the search has to appear in the input, goal or key results
+  for (const term of (search || '').split(/\s+/).filter(Boolean)) {
+    add('search_text', 'ilike', term);
+  }
+
+  return filters;
+}
+
+/**
+ * Stored columns for goal updates; only fields that exist in the schema are kept
+ */
+function goalChanges(existing, updates) {
+  const changes = {};
+
+  if (updates.refined_goal !== undefined) {
+    changes.refined_goal = updates.refined_goal;
+  }
+  if (updates.key_results !== undefined) {
+    // Keep progress and check-ins of key results that are carried over
+    changes.key_results = mergeKeyResults(existing.key_results, updates.key_results);
+  }
+  if (updates.confidence_score !== undefined) {
+    changes.confidence_score = updates.confidence_score;
+  }
+  if (updates.category !== undefined) {
+    changes.category = updates.category;
+  }
+  if (updates.tags !== undefined) {
+    changes.tags = updates.tags;
+  }
+  if (changes.refined_goal !== undefined || changes.key_results !== undefined) {
+    changes.search_text = searchText({ ...existing, ...changes });
+  }
+
+  return changes;
+}
+
+/**
+ * The text goal searches match against
+ */
+function searchText(goal) {
+  const keyResults = (goal.key_results || []).map(kr => (typeof kr === 'string' ? kr : kr.title));
+  return [goal.original_input, goal.refined_goal, ...keyResults].filter(Boolean).join('\n');
+}
+
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
 }
 
 export default new StorageService();
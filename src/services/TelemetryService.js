@@ -1,34 +1,75 @@
-import { createClient } from '@supabase/supabase-js';
+import { createHash } from 'crypto';
+import { getStorageAdapter } from './storage/index.js';
+import { encodeCursor } from '../utils/cursor.js';
+import PricingService from './PricingService.js';
+import {
+  emptyHistogram,
+  bucketIndex,
+  mergeHistogram,
+  histogramPercentile,
+} from '../utils/latencyHistogram.js';
 
-const supabaseUrl = 'https://xmssmnivkkqgbijsjzku.supabase.co';
-const supabaseKey = process.env.SUPABASE_API_KEY;
+const HOUR_MS = 60 * 60 * 1000;
 
+// Timeseries bucket sizes
+const INTERVALS = {
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS,
+};
+
+// Longest range a timeseries of each interval covers, so a series has at most
+// a month of hourly or a year of daily buckets
+const MAX_TIMESERIES_RANGES = {
+  hour: 31 * 24 * HOUR_MS,
+  day: 366 * 24 * HOUR_MS,
+};
+
+// Named windows accepted by getSummary() and getTimeseries(), in hours
+const WINDOWS = {
+  '24h': 24,
+  '7d': 7 * 24,
+  '30d': 30 * 24,
+};
+
+/**
+ * AI call telemetry
+ * Every model call is logged in full to `ai_call_logs`. Alongside it,
+ * `ai_call_rollups` keeps one row per user, model and hour with running
+ * counts, token and cost totals and a latency histogram, so summaries only
+ * read the rollups for the requested window instead of every logged call.
+ *
+ * Rollups are updated read-modify-write, serialized per row within this
+ * process only. Run a single server instance against one storage backend:
+ * two instances updating the same rollup can lose counts. The logs stay
+ * complete either way, and `npm run telemetry:rebuild` recomputes the rollups
+ * from them.
+ */
 class TelemetryService {
   constructor() {
-    this.supabase = null;
+    this.adapter = null;
     this.tableName = 'ai_call_logs';
+    this.rollupTableName = 'ai_call_rollups';
+    // Rollup updates in flight, by rollup ID, so this process's updates to one
+    // row never interleave (other processes are not coordinated with)
+    this.pendingRollups = new Map();
     this.initialized = false;
   }
 
   initialize() {
     if (this.initialized) return;
 
-    const supabaseUrl = 'https://xmssmnivkkqgbijsjzku.supabase.co';
-    const supabaseKey = process.env.SUPABASE_API_KEY;
-
-    if (!supabaseKey) {
-      throw new Error(
-        'SUPABASE_API_KEY environment variable is not set. Please add it to your .env file.'
-      );
-    }
-
-    this.supabase = createClient(supabaseUrl, supabaseKey);
+    this.adapter = getStorageAdapter();
     this.initialized = true;
   }
 
   /**
    * Log AI API call with full telemetry
-   * @param {Object} telemetryData - Telemetry data object
+   * @param {Object} telemetryData - Telemetry data object. promptTokens and
+   *   completionTokens are the totals over every attempt, failed ones
+   *   included; usageEstimated marks totals that were (partly) estimated
+   *   rather than reported by the provider. guardrails holds each guardrail
+   *   rule's verdict on the input and output. purpose is 'refinement' for
+   *   goal coaching calls and 'judge' for eval rubric scoring.
    */
   async logAICall(telemetryData) {
     this.initialize();
@@ -42,56 +83,137 @@ class TelemetryService {
       model,
       timestamp = new Date().toISOString(),
       success = true,
+      outcome = success ? 'success' : 'error',
       errorMessage = null,
+      errorClass = null,
+      cacheHit = false,
+      usageEstimated = false,
+      guardrails = [],
+      promptVersion = null,
+      userId = null,
+      attempts = [],
+      purpose = 'refinement',
     } = telemetryData;
 
     const totalTokens = (promptTokens || 0) + (completionTokens || 0);
-    
-    // Estimate cost (Gemini 1.5 Flash pricing: ~$0.075/M input, ~$0.3/M output)
-    const inputCost = (promptTokens || 0) / 1000000 * 0.075;
-    const outputCost = (completionTokens || 0) / 1000000 * 0.3;
-    const totalCost = inputCost + outputCost;
+    const { inputCost, outputCost, totalCost } = PricingService.cost(model, {
+      promptTokens: promptTokens || 0,
+      completionTokens: completionTokens || 0,
+    });
 
     const logEntry = {
       timestamp,
+      user_id: userId,
       model,
+      purpose, // refinement, or judge for eval rubric scoring
+      prompt_version: promptVersion,
       success,
+      outcome, // success, error, blocked by a guardrail, rejected as not a goal, or cancelled when the client went away mid-call
       latency_ms: latencyMs,
       prompt_tokens: promptTokens || 0,
       completion_tokens: completionTokens || 0,
       total_tokens: totalTokens,
+      usage_estimated: usageEstimated,
       input_cost: inputCost,
       completion_cost: outputCost,
       total_cost: totalCost,
       input: userInput,
       output: aiOutput,
       error_message: errorMessage,
+      error_class: errorClass,
+      cache_hit: cacheHit, // served from the response cache, no model call made
+      // One entry per guardrail rule run: { rule, stage (input or output), verdict
+      // (pass, flag, redact or block), detail }
+      guardrails,
+      // One entry per model attempt: { attempt, started_at, latency_ms, success, error_class,
+      // error_message, retry_delay_ms, prompt_tokens, completion_tokens, usage_estimated }
+      attempt_count: attempts.length,
+      attempts,
     };
 
     try {
-      const { data, error } = await this.supabase
-        .from('ai_call_logs')
-        .insert([logEntry])
-        .select();
-
-      if (error) {
-        console.error('Error inserting telemetry data:', error);
-        throw error;
-      }
+      const data = await this.adapter.insert(this.tableName, logEntry);
+      await this.recordRollup(logEntry);
 
       this.logToConsole(logEntry);
-      return data[0];
+      return data;
     } catch (error) {
-      console.error('Failed to log AI call to Supabase:', error);
+      console.error(`Failed to log AI call to ${this.adapter.name} storage:`, error);
       throw error;
     }
   }
 
+  /**
+   * Add a logged call to its hourly rollup. A failure is logged rather than
+   * thrown, since the call itself is already stored; `npm run
+   * telemetry:rebuild` recomputes the rollups from the logs.
+   */
+  async recordRollup(logEntry) {
+    const key = rollupKey(logEntry);
+    const id = rollupId(key);
+
+    const apply = async () => {
+      const existing = await this.adapter.findById(this.rollupTableName, id);
+      const rollup = addToRollup(existing || emptyRollup(key), logEntry);
+
+      if (existing) {
+        await this.adapter.update(this.rollupTableName, id, rollup);
+      } else {
+        await this.adapter.insert(this.rollupTableName, { id, ...rollup });
+      }
+    };
+
+    const pending = (this.pendingRollups.get(id) || Promise.resolve()).then(apply, apply);
+    this.pendingRollups.set(id, pending);
+
+    try {
+      await pending;
+    } catch (error) {
+      console.error(`Failed to update telemetry rollup ${key.bucket_start}:`, error);
+    } finally {
+      if (this.pendingRollups.get(id) === pending) {
+        this.pendingRollups.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Recompute every rollup from ai_call_logs, e.g. to backfill calls logged
+   * before rollups existed. Reads the whole log table, so it is meant to be run
+   * offline rather than per request.
+   * @returns {Promise<{logs: number, rollups: number}>}
+   */
+  async rebuildRollups() {
+    this.initialize();
+
+    const rollups = new Map();
+    const logs = await this.adapter.find(this.tableName, {
+      orderBy: { column: 'timestamp', ascending: true },
+    });
+
+    for (const log of logs) {
+      const key = rollupKey(log);
+      const id = rollupId(key);
+      rollups.set(id, addToRollup(rollups.get(id) || emptyRollup(key), log));
+    }
+
+    for (const { id } of await this.adapter.find(this.rollupTableName)) {
+      await this.adapter.remove(this.rollupTableName, id);
+    }
+
+    for (const [id, rollup] of rollups) {
+      await this.adapter.insert(this.rollupTableName, { id, ...rollup });
+    }
+
+    return { logs: logs.length, rollups: rollups.size };
+  }
+
   logToConsole(telemetryData) {
     const {
       timestamp,
       model,
       success,
+      outcome,
       latency_ms,
       latencyMs,
       total_tokens,
@@ -105,7 +227,7 @@ class TelemetryService {
     const cost = total_cost || 0;
     const error = error_message || errorMessage;
 
-    const status = success ? '✓' : '✗';
+    const status = success ? '✓' : outcome === 'cancelled' || outcome === 'blocked' ? '⊘' : '✗';
     const errorStr = error ? ` | Error: ${error}` : '';
 
     console.log(
@@ -116,108 +238,329 @@ class TelemetryService {
   }
 
   /**
-   * Get all logs or logs for a specific date
-   * @param {string} date - Optional date in YYYY-MM-DD format
+   * Get one page of a user's logged calls. Pages are keyset-paginated on the
+   * sort column with the row ID as tie-breaker, so rows logged while paging
+   * never shift later pages.
+   * @param {string} userId - Optional user whose calls to return
+   * @param {Object} query - As validated by telemetryLogsSchema: { limit,
+   *   cursor, sort, order, success, model, purpose, min_latency_ms, max_latency_ms,
+   *   min_cost, max_cost, search, date, from, to }
+   * @returns {Promise<{logs: Array<Object>, nextCursor: string|null}>}
    */
-  async getLogs(date = null) {
+  async listLogs(userId = null, query = {}) {
     this.initialize();
 
+    const { limit = 25, cursor = null, sort = 'timestamp', order = 'desc' } = query;
+    const ascending = order === 'asc';
+    const after = ascending ? 'gt' : 'lt';
+    const filters = logFilters(userId, query);
+
     try {
-      console.log('[DEBUG] Fetching logs from Supabase...');
-      console.log('[DEBUG] Supabase client initialized:', !!this.supabase);
-      
-      // First test: try to get table info
-      console.log('[DEBUG] Testing table access...');
-      const { data: tableTest, error: tableError } = await this.supabase
-        .from('ai_call_logs')
-        .select('count', { count: 'exact', head: true });
-      
-      console.log('[DEBUG] Table test result:', { 
-        count: tableTest, 
-        error: tableError?.message || null 
-      });
-
-      let query = this.supabase
-        .from('ai_call_logs')
-        .select('*')
-        .order('timestamp', { ascending: false });
-
-      console.log('[DEBUG] Base query built');
-
-      if (date) {
-        const startDate = `${date}T00:00:00.000Z`;
-        const endDate = `${date}T23:59:59.999Z`;
-        query = query.gte('timestamp', startDate).lte('timestamp', endDate);
-        console.log('[DEBUG] Date filter applied:', { startDate, endDate });
-      }
+      // Rows tied with the cursor row on the sort column come first...
+      const tied = cursor
+        ? await this.adapter.find(this.tableName, {
+          filters: [
+            ...filters,
+            { column: sort, op: 'eq', value: cursor.value },
+            { column: 'id', op: after, value: cursor.id },
+          ],
+          orderBy: { column: 'id', ascending },
+          limit: limit + 1,
+        })
+        : [];
 
-      console.log('[DEBUG] Executing query...');
-      const { data, error } = await query;
-      
-      console.log('[DEBUG] Query result:', { 
-        dataLength: data?.length || 0, 
-        error: error?.message || null,
-        errorDetails: error || null,
-        data: data?.slice(0, 2) || [] // Show first 2 results
-      });
-
-      if (error) {
-        console.error('Error fetching logs:', error);
-        throw error;
-      }
+      // ...then the rows past it
+      const rest = tied.length > limit
+        ? []
+        : await this.adapter.find(this.tableName, {
+          filters: cursor ? [...filters, { column: sort, op: after, value: cursor.value }] : filters,
+          orderBy: [{ column: sort, ascending }, { column: 'id', ascending }],
+          limit: limit + 1 - tied.length,
+        });
+
+      const rows = [...tied, ...rest];
+      const logs = rows.slice(0, limit);
+      const last = logs[logs.length - 1];
 
-      return data || [];
+      return {
+        logs,
+        nextCursor: rows.length > limit ? encodeCursor({ sort, order, value: last[sort], id: last.id }) : null,
+      };
     } catch (error) {
-      console.error('Failed to get logs from Supabase:', error);
-      return [];
+      console.error(`Failed to get logs from ${this.adapter.name} storage:`, error);
+      throw new Error(`Failed to fetch telemetry logs: ${error.message}`);
     }
   }
 
   /**
-   * Get telemetry summary
+   * Get telemetry summary, computed from the hourly rollups
+   * @param {string} userId - Optional user whose calls to summarize
+   * @param {Object} options - { window } ('24h', '7d', '30d' or 'all'), or
+   *   { from, to } dates; windows are widened to whole hours
+   * @returns {Promise<Object>} Totals, latency percentiles and a per-model breakdown
    */
-  async getSummary() {
+  async getSummary(userId = null, { window = 'all', from = null, to = null } = {}) {
     this.initialize();
 
+    const range = resolveWindow({ window, from, to });
+    const windowInfo = {
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null,
+    };
+
     try {
-      const logs = await this.getLogs();
-      
-      if (logs.length === 0) {
-        return {
-          totalCalls: 0,
-          successfulCalls: 0,
-          failedCalls: 0,
-          averageLatencyMs: 0,
-          totalTokens: 0,
-          totalCost: 0,
-        };
-      }
+      const rollups = await this.findRollups(userId, range);
 
-      const totalTokens = logs.reduce((sum, log) => sum + log.total_tokens, 0);
-      const totalCost = logs.reduce((sum, log) => sum + parseFloat(log.total_cost), 0);
-      const averageLatency = logs.reduce((sum, log) => sum + log.latency_ms, 0) / logs.length;
-      const successCount = logs.filter(log => log.success).length;
+      const models = [...new Set(rollups.map(rollup => rollup.model))]
+        .map(model => ({ model, ...summarizeRollups(rollups.filter(rollup => rollup.model === model)) }))
+        .sort((a, b) => b.totalCalls - a.totalCalls);
 
       return {
-        totalCalls: logs.length,
-        successfulCalls: successCount,
-        failedCalls: logs.length - successCount,
-        averageLatencyMs: Math.round(averageLatency),
-        totalTokens,
-        totalCost: totalCost.toFixed(6),
+        window: windowInfo,
+        ...summarizeRollups(rollups),
+        models,
       };
     } catch (error) {
-      console.error('Failed to get summary from Supabase:', error);
+      console.error(`Failed to get summary from ${this.adapter.name} storage:`, error);
+      throw new Error(`Failed to fetch telemetry summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Telemetry over time: the user's calls grouped into hourly or daily (UTC)
+   * buckets, each with the same statistics as the summary. Buckets without
+   * calls are included, so the series has no gaps.
+   * @param {string} userId - Optional user whose calls to include
+   * @param {Object} options - { window } ('24h', '7d' (default), '30d' or
+   *   'all'), or { from, to } dates; { interval } 'hour' or 'day' (default
+   *   'hour' for ranges up to 3 days). Ranges longer than 31 days of hourly
+   *   or 366 days of daily buckets, and 'all', are cut to the most recent ones.
+   * @returns {Promise<Object>} { interval, window, buckets }
+   */
+  async getTimeseries(userId = null, { window = '7d', from = null, to = null, interval } = {}) {
+    this.initialize();
+
+    const range = resolveWindow({ window, from, to });
+    const end = range.to || new Date();
+    const oldest = new Date(end - MAX_TIMESERIES_RANGES[interval || 'day']);
+    const rangeStart = range.from && (range.from < oldest ? oldest : range.from);
+
+    try {
+      const rollups = await this.findRollups(userId, { from: rangeStart || oldest, to: range.to });
+      const start = rangeStart || rollups.reduce(
+        (earliest, rollup) => (new Date(rollup.bucket_start) < earliest ? new Date(rollup.bucket_start) : earliest),
+        end
+      );
+      const bucketInterval = interval || (end - start <= 3 * 24 * HOUR_MS ? 'hour' : 'day');
+      const bucketMs = INTERVALS[bucketInterval];
+
+      const grouped = new Map();
+      for (const rollup of rollups) {
+        const key = floorTo(new Date(rollup.bucket_start), bucketMs).toISOString();
+        grouped.set(key, [...(grouped.get(key) || []), rollup]);
+      }
+
+      const buckets = [];
+      for (let time = floorTo(start, bucketMs).getTime(); time < end.getTime(); time += bucketMs) {
+        const key = new Date(time).toISOString();
+        buckets.push({ start: key, ...summarizeRollups(grouped.get(key) || []) });
+      }
+
       return {
-        totalCalls: 0,
-        successfulCalls: 0,
-        failedCalls: 0,
-        averageLatencyMs: 0,
-        totalTokens: 0,
-        totalCost: 0,
+        interval: bucketInterval,
+        window: { from: start.toISOString(), to: end.toISOString() },
+        buckets,
       };
+    } catch (error) {
+      console.error(`Failed to get timeseries from ${this.adapter.name} storage:`, error);
+      throw new Error(`Failed to fetch telemetry timeseries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Total cost (USD) of a user's calls (all users' without one) since a time,
+   * read from the rollups, so `from` should fall on a whole hour
+   */
+  async getSpend(userId = null, from) {
+    this.initialize();
+
+    const rollups = await this.findRollups(userId, { from, to: null });
+    return rollups.reduce((total, rollup) => total + (Number(rollup.total_cost) || 0), 0);
+  }
+
+  /**
+   * Rollup rows of a user (all users without one) overlapping a range
+   */
+  async findRollups(userId, range) {
+    const filters = [];
+
+    if (range.from) {
+      filters.push({ column: 'bucket_start', op: 'gte', value: floorToHour(range.from).toISOString() });
     }
+    if (range.to) {
+      filters.push({ column: 'bucket_start', op: 'lt', value: range.to.toISOString() });
+    }
+    if (userId) {
+      filters.push({ column: 'user_id', op: 'eq', value: userId });
+    }
+
+    return this.adapter.find(this.rollupTableName, { filters });
   }
 }
 
+/**
+ * Storage filters for the log query options
+ */
+function logFilters(userId, { success, model, purpose, min_latency_ms, max_latency_ms, min_cost, max_cost, search, date, from, to }) {
+  const filters = [];
+  const add = (column, op, value) => {
+    if (value !== undefined && value !== null) filters.push({ column, op, value });
+  };
+
+  add('user_id', 'eq', userId);
+  add('success', 'eq', success);
+  add('model', 'in', model ? model.split(',').map(name => name.trim()).filter(Boolean) : null);
+  add('purpose', 'eq', purpose);
+  add('latency_ms', 'gte', min_latency_ms);
+  add('latency_ms', 'lte', max_latency_ms);
+  add('total_cost', 'gte', min_cost);
+  add('total_cost', 'lte', max_cost);
+
+  // Every word of the search has to appear in the input, matched literally by
+  // every driver (ilike escapes LIKE wildcards)
+  for (const term of (search || '').split(/\s+/).filter(Boolean)) {
+    add('input', 'ilike', term);
+  }
+
+  if (date) {
+    add('timestamp', 'gte', `${date}T00:00:00.000Z`);
+    add('timestamp', 'lte', `${date}T23:59:59.999Z`);
+  }
+  add('timestamp', 'gte', from ? new Date(from).toISOString() : null);
+  add('timestamp', 'lt', to ? new Date(to).toISOString() : null);
+
+  return filters;
+}
+
+/**
+ * Turn a named window or from/to dates into a { from, to } range of Dates
+ * (null for an open end)
+ */
+function resolveWindow({ window, from, to }) {
+  if (from || to) {
+    return { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+  }
+
+  const hours = WINDOWS[window];
+  return { from: hours ? new Date(Date.now() - hours * HOUR_MS) : null, to: null };
+}
+
+function floorTo(date, intervalMs) {
+  return new Date(Math.floor(date.getTime() / intervalMs) * intervalMs);
+}
+
+function floorToHour(date) {
+  return floorTo(date, HOUR_MS);
+}
+
+function rollupKey(log) {
+  return {
+    bucket_start: floorToHour(new Date(log.timestamp)).toISOString(),
+    user_id: log.user_id ?? null,
+    model: log.model || 'unknown',
+  };
+}
+
+/**
+ * Rollup rows get a deterministic UUID derived from their key, so a row can
+ * be found by ID in every storage driver
+ */
+function rollupId({ bucket_start, user_id, model }) {
+  const hex = createHash('sha256').update(`${bucket_start}|${user_id ?? ''}|${model}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+function emptyRollup(key) {
+  return {
+    ...key,
+    calls: 0,
+    successful: 0,
+    failed: 0,
+    cancelled: 0,
+    blocked: 0,
+    cache_hits: 0,
+    judge_calls: 0,
+    latency_sum: 0,
+    latency_min: null,
+    latency_max: null,
+    latency_histogram: emptyHistogram(),
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    total_cost: 0,
+  };
+}
+
+/**
+ * Rollup with one more logged call counted in
+ */
+function addToRollup(rollup, log) {
+  const latency = Number(log.latency_ms) || 0;
+  const outcome = log.outcome || (log.success ? 'success' : 'error');
+  const histogram = [...rollup.latency_histogram];
+  histogram[bucketIndex(latency)] += 1;
+
+  return {
+    ...rollup,
+    calls: rollup.calls + 1,
+    successful: rollup.successful + (log.success ? 1 : 0),
+    failed: rollup.failed + (outcome === 'error' ? 1 : 0),
+    cancelled: rollup.cancelled + (outcome === 'cancelled' ? 1 : 0),
+    blocked: (rollup.blocked || 0) + (outcome === 'blocked' ? 1 : 0),
+    cache_hits: rollup.cache_hits + (log.cache_hit ? 1 : 0),
+    judge_calls: (rollup.judge_calls || 0) + (log.purpose === 'judge' ? 1 : 0),
+    latency_sum: rollup.latency_sum + latency,
+    latency_min: rollup.latency_min === null ? latency : Math.min(rollup.latency_min, latency),
+    latency_max: rollup.latency_max === null ? latency : Math.max(rollup.latency_max, latency),
+    latency_histogram: histogram,
+    prompt_tokens: rollup.prompt_tokens + (log.prompt_tokens || 0),
+    completion_tokens: rollup.completion_tokens + (log.completion_tokens || 0),
+    total_tokens: rollup.total_tokens + (log.total_tokens || 0),
+    total_cost: rollup.total_cost + (parseFloat(log.total_cost) || 0),
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Summary statistics of a set of rollup rows
+ */
+function summarizeRollups(rollups) {
+  const sum = column => rollups.reduce((total, rollup) => total + (Number(rollup[column]) || 0), 0);
+  const totalCalls = sum('calls');
+  const histogram = rollups.reduce((merged, rollup) => mergeHistogram(merged, rollup.latency_histogram), emptyHistogram());
+  const seen = rollups.filter(rollup => rollup.latency_max !== null);
+  const bounds = {
+    min: seen.length > 0 ? Math.min(...seen.map(rollup => rollup.latency_min)) : 0,
+    max: seen.length > 0 ? Math.max(...seen.map(rollup => rollup.latency_max)) : null,
+  };
+
+  return {
+    totalCalls,
+    successfulCalls: sum('successful'),
+    failedCalls: sum('failed'),
+    cancelledCalls: sum('cancelled'),
+    blockedCalls: sum('blocked'),
+    cacheHits: sum('cache_hits'),
+    judgeCalls: sum('judge_calls'),
+    averageLatencyMs: totalCalls > 0 ? Math.round(sum('latency_sum') / totalCalls) : 0,
+    latencyPercentiles: {
+      p50: histogramPercentile(histogram, 50, bounds),
+      p95: histogramPercentile(histogram, 95, bounds),
+      p99: histogramPercentile(histogram, 99, bounds),
+    },
+    totalTokens: sum('total_tokens'),
+    totalCost: sum('total_cost').toFixed(6),
+  };
+}
+
 export default new TelemetryService();
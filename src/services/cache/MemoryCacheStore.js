@@ -0,0 +1,40 @@
+/**
+ * In-process cache store
+ * Fast and dependency-free, but emptied on restart and not shared between
+ * server instances. Holds at most maxEntries; the oldest entry is evicted first.
+ */
+export default class MemoryCacheStore {
+  constructor({ maxEntries = Number(process.env.CACHE_MAX_ENTRIES) || 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
@@ -0,0 +1,60 @@
+import { getStorageAdapter } from '../storage/index.js';
+
+/**
+ * Persistent cache store
+ * Keeps entries in the `response_cache` table of the configured storage
+ * adapter (Supabase or local JSON files), so cached responses survive restarts
+ * and are shared by every server using the same storage.
+ */
+export default class StorageCacheStore {
+  constructor({ adapter = getStorageAdapter(), tableName = 'response_cache' } = {}) {
+    this.name = 'storage';
+    this.adapter = adapter;
+    this.tableName = tableName;
+  }
+
+  async get(key) {
+    const row = await this.findRow(key);
+
+    if (!row) {
+      return null;
+    }
+
+    if (row.expires_at <= new Date().toISOString()) {
+      await this.adapter.remove(this.tableName, row.id);
+      return null;
+    }
+
+    return row.value;
+  }
+
+  async set(key, value, ttlMs) {
+    const entry = {
+      key,
+      value,
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+    };
+
+    const row = await this.findRow(key);
+    if (row) {
+      await this.adapter.update(this.tableName, row.id, entry);
+    } else {
+      await this.adapter.insert(this.tableName, entry);
+    }
+  }
+
+  async delete(key) {
+    const row = await this.findRow(key);
+    if (row) {
+      await this.adapter.remove(this.tableName, row.id);
+    }
+  }
+
+  async findRow(key) {
+    const [row] = await this.adapter.find(this.tableName, {
+      filters: [{ column: 'key', op: 'eq', value: key }],
+      limit: 1,
+    });
+    return row || null;
+  }
+}
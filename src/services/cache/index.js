@@ -0,0 +1,33 @@
+import MemoryCacheStore from './MemoryCacheStore.js';
+import StorageCacheStore from './StorageCacheStore.js';
+
+const stores = {
+  memory: MemoryCacheStore,
+  storage: StorageCacheStore,
+};
+
+/**
+ * Create a response cache store. CACHE_DRIVER selects it (default: memory);
+ * `off` disables caching and returns null.
+ * @param {string} driver - 'memory', 'storage' or 'off'
+ * @param {object} options - Store-specific options
+ */
+export function createCacheStore(driver = process.env.CACHE_DRIVER || 'memory', options = {}) {
+  const name = driver.toLowerCase();
+
+  if (name === 'off') {
+    return null;
+  }
+
+  const Store = stores[name];
+
+  if (!Store) {
+    throw new Error(
+      `Unknown CACHE_DRIVER "${name}". Expected one of: ${[...Object.keys(stores), 'off'].join(', ')}`
+    );
+  }
+
+  return new Store(options);
+}
+
+export { MemoryCacheStore, StorageCacheStore };
@@ -0,0 +1,63 @@
+/**
+ * Guardrail pipeline around model calls
+ * Rules screen the user's input before it is put into a prompt and the
+ * model's goal before it is returned. A rule is
+ * `{ name, stage: 'input' | 'output', apply(value) }`, where input rules get
+ * the input text and output rules the validated goal, and `apply` returns a
+ * verdict:
+ * - `{ verdict: 'pass' }` - nothing found
+ * - `{ verdict: 'flag', detail }` - recorded, value unchanged
+ * - `{ verdict: 'redact', value, detail }` - later rules, the model, telemetry
+ *   and the caller get `value` instead
+ * - `{ verdict: 'block', detail }` - the refinement is refused
+ * Every rule of a stage runs, even after a block, so what gets logged has
+ * been redacted too.
+ */
+export default class GuardrailPipeline {
+  /**
+   * @param {Array<Object>} rules - Applied in order within each stage
+   */
+  constructor(rules = []) {
+    this.rules = [...rules];
+  }
+
+  /**
+   * Add a rule at the end of its stage
+   */
+  use(rule) {
+    this.rules.push(rule);
+    return this;
+  }
+
+  /**
+   * Screen the user's input text
+   * @returns {{value: string, verdicts: Array<Object>, blocked: Object|null}}
+   *   The redacted text, each rule's { rule, stage, verdict, detail }, and the
+   *   first blocking verdict if any
+   */
+  screenInput(text) {
+    return this.run('input', text);
+  }
+
+  /**
+   * Screen a validated goal from the model; same result as screenInput()
+   */
+  screenOutput(goal) {
+    return this.run('output', goal);
+  }
+
+  run(stage, value) {
+    const verdicts = [];
+
+    for (const rule of this.rules.filter(candidate => candidate.stage === stage)) {
+      const result = rule.apply(value);
+      verdicts.push({ rule: rule.name, stage, verdict: result.verdict, detail: result.detail ?? null });
+
+      if (result.verdict === 'redact') {
+        value = result.value;
+      }
+    }
+
+    return { value, verdicts, blocked: verdicts.find(verdict => verdict.verdict === 'block') || null };
+  }
+}
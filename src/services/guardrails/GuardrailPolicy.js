@@ -0,0 +1,74 @@
+/**
+ * Reasons a refinement can be rejected instead of returning a goal
+ */
+export const REJECTION_REASONS = {
+  EMPTY_INPUT: 'empty_input',
+  LOW_CONFIDENCE: 'low_confidence',
+  BLOCKED_INPUT: 'blocked_input',
+  BLOCKED_OUTPUT: 'blocked_output',
+};
+
+const MESSAGES = {
+  [REJECTION_REASONS.EMPTY_INPUT]: 'Please describe the goal you would like to refine.',
+  [REJECTION_REASONS.LOW_CONFIDENCE]: 'Input does not appear to be a valid goal. Please provide a clear goal statement.',
+  [REJECTION_REASONS.BLOCKED_INPUT]: 'This input cannot be refined. Please describe your goal in your own words.',
+  [REJECTION_REASONS.BLOCKED_OUTPUT]: 'The answer for this input was withheld by a content check. Please rephrase your goal.',
+};
+
+/**
+ * Guardrail policy
+ * The one place that decides whether a refinement is accepted: the service
+ * applies it to every model answer and the controllers, session service and
+ * evals only ask isRejection(). Answers below GUARDRAIL_MIN_CONFIDENCE (default
+ * 4) are rejected. A rejection is returned in place of the goal:
+ * `{ rejected: true, reason, message, confidence_score, suggestions,
+ * guardrail, prompt_version }`, where `reason` is one of REJECTION_REASONS,
+ * `suggestions` are the model's rephrasings of the input as a goal, and
+ * `guardrail` names the guardrail rule that blocked the input or answer.
+ */
+class GuardrailPolicy {
+  get minConfidence() {
+    const value = Number(process.env.GUARDRAIL_MIN_CONFIDENCE);
+    return process.env.GUARDRAIL_MIN_CONFIDENCE !== undefined && Number.isFinite(value) ? value : 4;
+  }
+
+  /**
+   * Review a validated answer from the model
+   * @returns {Object|null} A low-confidence rejection, or null when the goal is accepted
+   */
+  review(goal, { promptVersion = null } = {}) {
+    if (goal.confidence_score >= this.minConfidence) {
+      return null;
+    }
+
+    return this.reject(REJECTION_REASONS.LOW_CONFIDENCE, {
+      confidenceScore: goal.confidence_score,
+      suggestions: goal.suggestions,
+      promptVersion,
+    });
+  }
+
+  /**
+   * Build a rejection result
+   * @param {string} reason - One of REJECTION_REASONS
+   * @param {Object} details - { confidenceScore, suggestions, guardrail ({ rule,
+   *   stage, reason }), promptVersion }
+   */
+  reject(reason, { confidenceScore = null, suggestions = [], guardrail = null, promptVersion = null } = {}) {
+    return {
+      rejected: true,
+      reason,
+      message: MESSAGES[reason],
+      confidence_score: confidenceScore,
+      suggestions: suggestions || [],
+      guardrail,
+      prompt_version: promptVersion,
+    };
+  }
+
+  isRejection(result) {
+    return Boolean(result?.rejected);
+  }
+}
+
+export default new GuardrailPolicy();
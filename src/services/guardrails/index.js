@@ -0,0 +1,38 @@
+import GuardrailPipeline from './GuardrailPipeline.js';
+import { injectionRule, delimiterRule, piiRule, outputPiiRule, outputLeakRule } from './rules.js';
+
+const rules = {
+  injection: () => injectionRule({ action: process.env.GUARDRAIL_INJECTION_ACTION || 'block' }),
+  delimiters: delimiterRule,
+  pii: piiRule,
+  'output-pii': outputPiiRule,
+  'output-leak': outputLeakRule,
+};
+
+export const GUARDRAIL_RULES = Object.keys(rules);
+
+/**
+ * Create the guardrail pipeline. GUARDRAILS selects the rules as a
+ * comma-separated list (default: all of them, in the order above); `off`
+ * disables them. GUARDRAIL_INJECTION_ACTION set to `flag` records injection
+ * attempts instead of refusing them.
+ * @param {string} names - Comma-separated rule names, or 'off'
+ */
+export function createGuardrailPipeline(names = process.env.GUARDRAILS || GUARDRAIL_RULES.join(',')) {
+  if (names.trim().toLowerCase() === 'off') {
+    return new GuardrailPipeline();
+  }
+
+  return new GuardrailPipeline(names.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+    const createRule = rules[name];
+
+    if (!createRule) {
+      throw new Error(`Unknown guardrail "${name}". Expected one of: ${GUARDRAIL_RULES.join(', ')}, or off`);
+    }
+
+    return createRule();
+  }));
+}
+
+export { GuardrailPipeline };
+export { default as GuardrailPolicy, REJECTION_REASONS } from './GuardrailPolicy.js';
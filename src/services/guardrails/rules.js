@@ -0,0 +1,192 @@
+/**
+ * Built-in guardrail rules (see GuardrailPipeline for the rule contract)
+ */
+
+// Attempts to override the coaching prompt or make the model act otherwise
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|system|your|all|these|those)\b[^.\n]{0,20}\b(instructions?|prompts?|rules|directions|guidelines|context)\b/i,
+  /\b(reveal|show|print|repeat|output|leak)\b[^.\n]{0,30}\b(system prompt|(your|the) (instructions|prompt|rules))\b/i,
+  /\b(?:(?:you are now|from now on,? you|developer mode|jailbreak|do anything now)\b|new instructions?\s*:)/i,
+  /<\/?\s*(system|assistant|instructions?)\s*>/i,
+  /^\s*(system|assistant)\s*:/im,
+];
+
+// Answers that echo the prompt or show the model following injected instructions
+const OUTPUT_LEAK_PATTERNS = [
+  /\bsystem prompt\b/i,
+  /\bexpert goal-setting coach\b/i,
+  /\breturn only valid json\b/i,
+  /\bas an ai (language )?model\b/i,
+  ...INJECTION_PATTERNS,
+];
+
+// Personal data, most specific first, so card numbers are not taken for phone numbers
+const PII_PATTERNS = [
+  { type: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, test: match => luhnValid(match.replace(/\D/g, '')) },
+  { type: 'ID', pattern: /\b\d{3}-\d{2}-\d{4}\b/g }, // US social security number
+  { type: 'ID', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g }, // IBAN
+  {
+    type: 'PHONE',
+    pattern: /(?<![\w+])\+?\(?\d[\d\s().-]{7,}\d(?!\w)/g,
+    test: match => /^\+|[\s().-]/.test(match) && countDigits(match) >= 10 && countDigits(match) <= 15,
+  },
+];
+
+/**
+ * Detect prompt-injection attempts in the input
+ * @param {Object} options - { action } 'block' (default) refuses the input,
+ *   'flag' only records it
+ */
+export function injectionRule({ action = 'block' } = {}) {
+  return {
+    name: 'injection',
+    stage: 'input',
+    apply(text) {
+      const match = firstMatch(text, INJECTION_PATTERNS);
+      return match ? { verdict: action, detail: `Matched "${truncate(match)}"` } : { verdict: 'pass' };
+    },
+  };
+}
+
+/**
+ * Keep the input from breaking out of the quotes it is placed in by the
+ * prompt: double quotes become single quotes, and control characters and
+ * template braces are dropped
+ */
+export function delimiterRule() {
+  return {
+    name: 'delimiters',
+    stage: 'input',
+    apply(text) {
+      const cleaned = text
+        .replace(/"/g, '\'')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .replace(/\{\{|\}\}/g, '');
+
+      return cleaned === text
+        ? { verdict: 'pass' }
+        : { verdict: 'redact', value: cleaned, detail: 'Escaped quotes, control characters or template braces' };
+    },
+  };
+}
+
+/**
+ * Replace emails, phone numbers, card numbers and ID numbers in the input
+ * with placeholders such as [EMAIL] before it reaches the model or the logs
+ */
+export function piiRule() {
+  return {
+    name: 'pii',
+    stage: 'input',
+    apply(text) {
+      const { value, found } = redactPii(text);
+      return found.length > 0 ? { verdict: 'redact', value, detail: `Redacted ${found.join(', ')}` } : { verdict: 'pass' };
+    },
+  };
+}
+
+/**
+ * Redact personal data the model put into any text of its answer: the
+ * refined goal, key results, category, tags and suggestions
+ */
+export function outputPiiRule() {
+  return {
+    name: 'output-pii',
+    stage: 'output',
+    apply(goal) {
+      const found = [];
+      const value = mapStrings(goal, text => {
+        const result = redactPii(text);
+        found.push(...result.found);
+        return result.value;
+      });
+
+      return found.length > 0
+        ? { verdict: 'redact', value, detail: `Redacted ${[...new Set(found)].join(', ')}` }
+        : { verdict: 'pass' };
+    },
+  };
+}
+
+/**
+ * Withhold answers that repeat the prompt or follow injected instructions in
+ * any of their text
+ */
+export function outputLeakRule() {
+  return {
+    name: 'output-leak',
+    stage: 'output',
+    apply(goal) {
+      const match = firstMatch(collectStrings(goal).join('\n'), OUTPUT_LEAK_PATTERNS);
+      return match ? { verdict: 'block', detail: `Matched "${truncate(match)}"` } : { verdict: 'pass' };
+    },
+  };
+}
+
+/**
+ * @returns {{value: string, found: Array<string>}} The text with personal data
+ *   replaced, and the kinds found (e.g. ['EMAIL', 'PHONE'])
+ */
+export function redactPii(text) {
+  const found = new Set();
+  let value = text;
+
+  for (const { type, pattern, test } of PII_PATTERNS) {
+    value = value.replace(pattern, match => {
+      if (test && !test(match)) return match;
+      found.add(type);
+      return `[${type}]`;
+    });
+  }
+
+  return { value, found: [...found] };
+}
+
+/**
+ * Apply fn to every string field of a model answer, including the strings
+ * of array fields; other values are kept as they are
+ */
+function mapStrings(goal, fn) {
+  return Object.fromEntries(Object.entries(goal).map(([key, value]) => {
+    if (typeof value === 'string') return [key, fn(value)];
+    if (Array.isArray(value)) return [key, value.map(item => (typeof item === 'string' ? fn(item) : item))];
+    return [key, value];
+  }));
+}
+
+function collectStrings(goal) {
+  const strings = [];
+  mapStrings(goal, text => strings.push(text));
+  return strings;
+}
+
+function firstMatch(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function truncate(text, length = 60) {
+  const trimmed = text.trim();
+  return trimmed.length > length ? `${trimmed.slice(0, length)}...` : trimmed;
+}
+
+function countDigits(text) {
+  return text.replace(/\D/g, '').length;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,142 @@
+import LLMProvider from './LLMProvider.js';
+import ProviderError, { parseRetryAfter } from './ProviderError.js';
+
+/**
+ * Google Gemini (generativelanguage.googleapis.com) provider
+ */
+export default class GeminiProvider extends LLMProvider {
+  constructor({ model = process.env.LLM_MODEL || 'gemini-2.5-flash', apiKey } = {}) {
+    super('gemini', model);
+    this._apiKey = apiKey || null;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+  }
+
+  get apiKey() {
+    if (!this._apiKey) {
+      this._apiKey = process.env.GOOGLE_API_KEY;
+    }
+    return this._apiKey;
+  }
+
+  buildRequestBody(messages, { responseSchema } = {}) {
+    return {
+      contents: messages.map(message => ({
+        role: message.role,
+        parts: [
+          {
+            text: message.content,
+          },
+        ],
+      })),
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+        responseMimeType: 'application/json',
+        responseSchema,
+      },
+    };
+  }
+
+  /**
+   * Call real Google Gemini API
+   */
+  async call(requestBody, { signal } = {}) {
+    try {
+      const response = await this.post('generateContent', requestBody, '', signal);
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      throw ProviderError.wrap(error, 'Failed to call Gemini API');
+    }
+  }
+
+  /**
+   * Call Gemini's streaming endpoint, reporting text as it is generated
+   */
+  async callStream(requestBody, onText, { signal } = {}) {
+    try {
+      const response = await this.post('streamGenerateContent', requestBody, 'alt=sse&', signal);
+
+      let text = '';
+      let usageMetadata;
+      for await (const data of this.readEventStream(response.body)) {
+        const event = JSON.parse(data);
+        const chunk = event.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        if (chunk) {
+          text += chunk;
+          onText(chunk);
+        }
+        // Every chunk carries the usage so far; the last one has the totals
+        usageMetadata = event.usageMetadata || usageMetadata;
+      }
+
+      // Same shape as a generateContent response, so parseResponse() applies
+      return { candidates: [{ content: { parts: [{ text }] } }], usageMetadata };
+    } catch (error) {
+      throw ProviderError.wrap(error, 'Failed to call Gemini API');
+    }
+  }
+
+  /**
+   * POST to a Gemini model method, throwing a ProviderError on error responses
+   */
+  async post(method, requestBody, query = '', signal) {
+    if (!this.apiKey) {
+      throw new ProviderError('GOOGLE_API_KEY environment variable is not set', { errorClass: 'auth' });
+    }
+
+    const url = `${this.baseUrl}/${this.model}:${method}?${query}key=${this.apiKey}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error?.message || response.statusText;
+      // Quota errors say how long to back off in a RetryInfo detail, e.g. "7s"
+      const retryDelay = errorData.error?.details?.find(detail => detail.retryDelay)?.retryDelay;
+
+      throw new ProviderError(`Gemini API error (${response.status}): ${message}`, {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+          ?? (retryDelay ? parseFloat(retryDelay) * 1000 : null),
+        // An invalid key is reported as 400 INVALID_ARGUMENT
+        errorClass: response.status === 400 && /api key/i.test(message) ? 'auth' : null,
+      });
+    }
+
+    return response;
+  }
+
+  parseResponse(apiResponse) {
+    const textContent = apiResponse.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!textContent) {
+      console.error('[DEBUG] Full API response:', JSON.stringify(apiResponse, null, 2));
+      throw new ProviderError('Failed to parse API response: Invalid API response structure', { errorClass: 'schema' });
+    }
+
+    return this.extractJson(textContent);
+  }
+
+  /**
+   * Thinking tokens (2.5 models) are billed as output tokens
+   */
+  parseUsage(apiResponse) {
+    const usage = apiResponse.usageMetadata;
+    if (!usage || usage.promptTokenCount === undefined) return null;
+
+    return {
+      promptTokens: usage.promptTokenCount,
+      completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+    };
+  }
+}
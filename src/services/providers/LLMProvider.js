@@ -0,0 +1,111 @@
+import ProviderError from './ProviderError.js';
+
+/**
+ * LLM provider contract
+ *
+ * GeminiService owns prompting, retries, schema validation and telemetry; a
+ * provider only translates between that and one model API:
+ *   buildRequestBody(messages, { responseSchema }) -> provider-specific payload
+ *   call(requestBody, { signal })                 -> raw API response
+ *   callStream(requestBody, onText, { signal })   -> same, reporting text chunks as they arrive
+ *   parseResponse(apiResponse)                    -> plain object for goalSchema
+ *   parseUsage(apiResponse)                       -> { promptTokens, completionTokens } billed, or null
+ *
+ * `messages` is the conversation so far, oldest first:
+ *   [{ role: 'user' | 'model', content: string }]
+ *
+ * Failed calls throw a ProviderError so the retry policy can tell auth, quota,
+ * server and malformed-output failures apart. `signal` is an AbortSignal that
+ * fires on timeout or when the client goes away; pass it on to fetch().
+ */
+export default class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  buildRequestBody(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement buildRequestBody()`);
+  }
+
+  async call(requestBody, options = {}) {
+    throw new Error(`${this.name} provider does not implement call()`);
+  }
+
+  /**
+   * Streaming variant of call(). Resolves to the same response shape as call()
+   * so parseResponse() works unchanged; providers without streaming support
+   * fall back to a single call and report no partial text.
+   * @param {Object} requestBody - Payload from buildRequestBody()
+   * @param {Function} onText - Called with each text chunk as it arrives
+   * @param {Object} options - { signal }
+   */
+  async callStream(requestBody, onText, options = {}) {
+    return this.call(requestBody, options);
+  }
+
+  parseResponse(apiResponse) {
+    throw new Error(`${this.name} provider does not implement parseResponse()`);
+  }
+
+  /**
+   * Token usage the API reported for a call. Providers whose API reports none
+   * return null, and GeminiService estimates the usage instead.
+   * @returns {{promptTokens: number, completionTokens: number}|null}
+   */
+  parseUsage(apiResponse) {
+    return null;
+  }
+
+  /**
+   * Read a Server-Sent Events response body, yielding each event's data
+   */
+  async *readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trimStart())
+          .join('\n');
+
+        if (data) {
+          yield data;
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse JSON out of model text (handles markdown code blocks if present)
+   */
+  extractJson(textContent) {
+    try {
+      console.log('[DEBUG] Raw text content:', textContent);
+
+      let jsonStr = textContent;
+      const jsonMatch = textContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+      if (jsonMatch) {
+        jsonStr = jsonMatch[1];
+        console.log('[DEBUG] Extracted from code block:', jsonStr);
+      }
+
+      const trimmed = jsonStr.trim();
+      console.log('[DEBUG] Trimmed JSON string:', trimmed);
+
+      return JSON.parse(trimmed);
+    } catch (error) {
+      console.error('[DEBUG] Parse error:', error.message);
+      throw new ProviderError(`Failed to parse API response: ${error.message}`, { errorClass: 'schema' });
+    }
+  }
+}
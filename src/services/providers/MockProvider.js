@@ -0,0 +1,96 @@
+import { readFileSync } from 'fs';
+import { setTimeout } from 'timers/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LLMProvider from './LLMProvider.js';
+import ProviderError from './ProviderError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures/mock-responses.json');
+
+/**
+ * Deterministic fixture-based provider for offline development, CI and evals.
+ * The first fixture whose keywords appear in the user input wins; otherwise
+ * the input gets the default goal when it contains a goal keyword and the
+ * low-confidence response when it does not. Requests for another response
+ * schema (`schemaName`, e.g. the eval judge's) get that schema's fixture from
+ * `schemaResponses`. No network, same input -> same output. Usage is
+ * reported like a real API would, at about 4 characters per token.
+ * MOCK_LATENCY_MS delays each call, to exercise timeouts and cancellation.
+ */
+export default class MockProvider extends LLMProvider {
+  constructor({
+    model = 'mock-goal-coach',
+    fixturesPath = process.env.MOCK_FIXTURES_PATH || DEFAULT_FIXTURES_PATH,
+    latencyMs = Number(process.env.MOCK_LATENCY_MS) || 0,
+  } = {}) {
+    super('mock', model);
+    this.fixtures = JSON.parse(readFileSync(fixturesPath, 'utf8'));
+    this.latencyMs = latencyMs;
+  }
+
+  buildRequestBody(messages, { userInput = '', schemaName = null } = {}) {
+    return { messages, userInput, schemaName };
+  }
+
+  async call(requestBody, { signal } = {}) {
+    if (this.latencyMs > 0) {
+      await setTimeout(this.latencyMs, undefined, { signal });
+    }
+    const response = requestBody.schemaName
+      ? this.fixtures.schemaResponses?.[requestBody.schemaName]
+      : this.pickResponse(requestBody.userInput);
+
+    if (!response) {
+      throw new ProviderError(`Mock provider has no fixture for schema "${requestBody.schemaName}"`, { errorClass: 'bad_request' });
+    }
+
+    const text = JSON.stringify(response);
+    const promptText = requestBody.messages.map(message => message.content).join('\n');
+
+    return {
+      text,
+      usage: { prompt_tokens: Math.ceil(promptText.length / 4), completion_tokens: Math.ceil(text.length / 4) },
+    };
+  }
+
+  /**
+   * Replays the canned response in a few chunks, like a streaming model would
+   */
+  async callStream(requestBody, onText, options = {}) {
+    const response = await this.call(requestBody, options);
+    const chunkSize = Math.ceil(response.text.length / 4);
+
+    for (let i = 0; i < response.text.length; i += chunkSize) {
+      onText(response.text.slice(i, i + chunkSize));
+    }
+
+    return response;
+  }
+
+  parseResponse(apiResponse) {
+    return this.extractJson(apiResponse.text);
+  }
+
+  parseUsage(apiResponse) {
+    return {
+      promptTokens: apiResponse.usage.prompt_tokens,
+      completionTokens: apiResponse.usage.completion_tokens,
+    };
+  }
+
+  pickResponse(userInput) {
+    const input = (userInput || '').toLowerCase();
+    const fixture = this.fixtures.fixtures.find(f =>
+      f.match.some(keyword => input.includes(keyword.toLowerCase()))
+    );
+
+    if (fixture) {
+      return fixture.response;
+    }
+
+    const words = input.split(/\W+/);
+    const looksLikeGoal = this.fixtures.goalKeywords.some(keyword => words.includes(keyword));
+    return looksLikeGoal ? this.fixtures.defaultGoal : this.fixtures.nonGoal;
+  }
+}
@@ -0,0 +1,123 @@
+import LLMProvider from './LLMProvider.js';
+import ProviderError, { parseRetryAfter } from './ProviderError.js';
+
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with any server exposing POST /chat/completions, e.g. a local
+ * Ollama (http://localhost:11434/v1) or llama.cpp server.
+ */
+export default class OpenAICompatibleProvider extends LLMProvider {
+  constructor({
+    model = process.env.LLM_MODEL || 'llama3.1',
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+  } = {}) {
+    super('openai', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+  }
+
+  buildRequestBody(messages, { responseSchema, schemaName = 'refined_goal' } = {}) {
+    return {
+      model: this.model,
+      messages: messages.map(message => ({
+        role: message.role === 'model' ? 'assistant' : 'user',
+        content: message.content,
+      })),
+      temperature: 0.7,
+      top_p: 0.95,
+      max_tokens: 1024,
+      response_format: responseSchema
+        ? {
+          type: 'json_schema',
+          json_schema: { name: schemaName, schema: responseSchema },
+        }
+        : { type: 'json_object' },
+    };
+  }
+
+  async call(requestBody, { signal } = {}) {
+    try {
+      const response = await this.post(requestBody, signal);
+      return await response.json();
+    } catch (error) {
+      throw ProviderError.wrap(error, 'Failed to call OpenAI-compatible API');
+    }
+  }
+
+  async callStream(requestBody, onText, { signal } = {}) {
+    try {
+      // include_usage adds a final chunk with the token usage and no choices
+      const response = await this.post({ ...requestBody, stream: true, stream_options: { include_usage: true } }, signal);
+
+      let content = '';
+      let usage;
+      for await (const data of this.readEventStream(response.body)) {
+        if (data === '[DONE]') break;
+
+        const event = JSON.parse(data);
+        const chunk = event.choices?.[0]?.delta?.content || '';
+        if (chunk) {
+          content += chunk;
+          onText(chunk);
+        }
+        usage = event.usage || usage;
+      }
+
+      // Same shape as a non-streaming completion, so parseResponse() applies
+      return { choices: [{ message: { content } }], usage };
+    } catch (error) {
+      throw ProviderError.wrap(error, 'Failed to call OpenAI-compatible API');
+    }
+  }
+
+  /**
+   * POST to /chat/completions, throwing a ProviderError on error responses
+   */
+  async post(requestBody, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ProviderError(
+        `OpenAI-compatible API error (${response.status}): ${
+          errorData.error?.message || response.statusText
+        }`,
+        { status: response.status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+      );
+    }
+
+    return response;
+  }
+
+  parseResponse(apiResponse) {
+    const textContent = apiResponse.choices?.[0]?.message?.content;
+
+    if (!textContent) {
+      console.error('[DEBUG] Full API response:', JSON.stringify(apiResponse, null, 2));
+      throw new ProviderError('Failed to parse API response: Invalid API response structure', { errorClass: 'schema' });
+    }
+
+    return this.extractJson(textContent);
+  }
+
+  parseUsage(apiResponse) {
+    const { usage } = apiResponse;
+    if (!usage || usage.prompt_tokens === undefined) return null;
+
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens || 0,
+    };
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Error thrown by providers for failed model calls. Carries what the retry
+ * policy needs to classify the failure: the HTTP status, how long the API
+ * asked us to wait (Retry-After), or an explicit error class.
+ */
+export default class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { status, retryAfterMs, errorClass, cause }
+   */
+  constructor(message, { status = null, retryAfterMs = null, errorClass = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.errorClass = errorClass;
+  }
+
+  /**
+   * Prefix an error's message while keeping its status, Retry-After and class
+   */
+  static wrap(error, prefix) {
+    return new ProviderError(`${prefix}: ${error.message}`, {
+      status: error.status ?? null,
+      retryAfterMs: error.retryAfterMs ?? null,
+      errorClass: error.errorClass ?? null,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
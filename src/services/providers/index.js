@@ -0,0 +1,31 @@
+import GeminiProvider from './GeminiProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import MockProvider from './MockProvider.js';
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Create an LLM provider by name. LLM_PROVIDER selects it per environment
+ * (default: gemini) and LLM_MODEL overrides the provider's default model.
+ * @param {string} name - 'gemini', 'openai' or 'mock'
+ * @param {object} options - Provider-specific options
+ */
+export function createProvider(name = process.env.LLM_PROVIDER || 'gemini', options = {}) {
+  const Provider = providers[name.toLowerCase()];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`
+    );
+  }
+
+  return new Provider(options);
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, MockProvider };
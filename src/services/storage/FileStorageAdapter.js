@@ -0,0 +1,193 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import StorageAdapter, { DuplicateRowError } from './StorageAdapter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../../data');
+
+/**
+ * Local JSON-file storage driver
+ * Keeps one `<table>.json` file per table under the data directory, so the app
+ * runs offline, in CI or on a laptop without cloud credentials.
+ */
+export default class FileStorageAdapter extends StorageAdapter {
+  constructor({ dataDir = process.env.STORAGE_DATA_DIR || DEFAULT_DATA_DIR } = {}) {
+    super('file');
+    this.dataDir = dataDir;
+    this.tables = new Map();
+    this.loads = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async insert(table, record, { unique = [] } = {}) {
+    const rows = await this.load(table);
+
+    // Nothing awaits between this check and the push, so concurrent inserts
+    // of the same value cannot both pass it
+    const taken = unique.filter(column =>
+      record[column] != null && rows.some(row => matchesFilter(row, { column, op: 'eq', value: record[column] }))
+    );
+    if (taken.length > 0) {
+      throw new DuplicateRowError(table, taken);
+    }
+
+    const row = {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      ...record,
+    };
+
+    rows.push(row);
+    await this.persist(table);
+    return clone(row);
+  }
+
+  async find(table, { filters = [], orderBy, limit } = {}) {
+    let rows = (await this.load(table)).filter(row =>
+      filters.every(filter => matchesFilter(row, filter))
+    );
+
+    if (orderBy) {
+      const orderings = [].concat(orderBy);
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending } of orderings) {
+          const order = compareValues(a[column], b[column]);
+          if (order !== 0) return ascending === false ? -order : order;
+        }
+        return 0;
+      });
+    }
+
+    if (limit) {
+      rows = rows.slice(0, limit);
+    }
+
+    return rows.map(clone);
+  }
+
+  async findById(table, id) {
+    const rows = await this.load(table);
+    const row = rows.find(r => String(r.id) === String(id));
+    return row ? clone(row) : null;
+  }
+
+  async update(table, id, changes, { filters = [] } = {}) {
+    const rows = await this.load(table);
+    // Nothing awaits between the match and the change, so two conditional
+    // updates of one row cannot both pass the filters
+    const row = rows.find(r => String(r.id) === String(id) && filters.every(filter => matchesFilter(r, filter)));
+
+    if (!row) {
+      return null;
+    }
+
+    Object.assign(row, changes);
+    await this.persist(table);
+    return clone(row);
+  }
+
+  async remove(table, id) {
+    const rows = await this.load(table);
+    const index = rows.findIndex(r => String(r.id) === String(id));
+
+    if (index !== -1) {
+      rows.splice(index, 1);
+      await this.persist(table);
+    }
+  }
+
+  /**
+   * Load a table into memory on first use. Concurrent first reads share one
+   * in-flight read, so every caller gets the same rows array; a failed read
+   * is retried on the next call.
+   */
+  load(table) {
+    if (!this.loads.has(table)) {
+      const loading = this.read(table).then(rows => {
+        this.tables.set(table, rows);
+        return rows;
+      });
+      loading.catch(() => this.loads.delete(table));
+      this.loads.set(table, loading);
+    }
+    return this.loads.get(table);
+  }
+
+  async read(table) {
+    try {
+      const contents = await fs.readFile(this.filePath(table), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${table} data file: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write a table back to disk. Writes are serialized and go through a temp
+   * file so a crash mid-write never leaves a truncated JSON file behind.
+   */
+  persist(table) {
+    const write = async () => {
+      const target = this.filePath(table);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.writeFile(temp, JSON.stringify(this.tables.get(table), null, 2));
+      await fs.rename(temp, target);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  filePath(table) {
+    return path.join(this.dataDir, `${table}.json`);
+  }
+}
+
+function matchesFilter(row, { column, op, value }) {
+  const actual = row[column];
+
+  switch (op) {
+    case 'eq':
+      return actual === value;
+    case 'neq':
+      return actual !== value;
+    case 'gt':
+      return actual != null && compareValues(actual, value) > 0;
+    case 'gte':
+      return actual != null && compareValues(actual, value) >= 0;
+    case 'lt':
+      return actual != null && compareValues(actual, value) < 0;
+    case 'lte':
+      return actual != null && compareValues(actual, value) <= 0;
+    case 'in':
+      return value.includes(actual);
+    case 'ilike': {
+      const haystack = typeof actual === 'string' ? actual : JSON.stringify(actual ?? '');
+      return haystack.toLowerCase().includes(String(value).toLowerCase());
+    }
+    case 'contains':
+      return Array.isArray(actual) && value.every(item => actual.includes(item));
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function clone(row) {
+  return JSON.parse(JSON.stringify(row));
+}
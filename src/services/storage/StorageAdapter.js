@@ -0,0 +1,90 @@
+/**
+ * Storage adapter contract
+ *
+ * Services talk to persistence only through these methods, so a driver just
+ * has to map them onto its backend. Rows are plain objects; every driver
+ * assigns `id` and `created_at` on insert when the caller does not.
+ *
+ * Queries passed to find() look like:
+ *   {
+ *     filters: [{ column: 'success', op: 'eq', value: true }],
+ *     orderBy: { column: 'created_at', ascending: false },
+ *     limit: 50,
+ *   }
+ *
+ * Supported filter ops: eq, neq, gt, gte, lt, lte, in, ilike (case-insensitive
+ * substring match; `%`, `_` and `\` in the value match themselves), contains (an array column holding
+ * every value of the given array). orderBy may also be an array of
+ * orderings, later ones breaking ties between rows equal on earlier ones.
+ */
+export const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'ilike', 'contains'];
+
+/**
+ * Thrown by insert() when the row would repeat the value of a unique column
+ */
+export class DuplicateRowError extends Error {
+  constructor(table, columns) {
+    super(`A ${table} row with the same ${columns.join(', ')} already exists`);
+    this.name = 'DuplicateRowError';
+    this.table = table;
+    this.columns = columns;
+  }
+}
+
+export default class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Insert a row and return it as stored. Columns listed in `unique` must not
+   * repeat an existing row's value; the check and the insert are one atomic
+   * step (drivers backed by a database rely on its unique constraint).
+   * @param {string} table - Table/collection name
+   * @param {object} record - Row to insert
+   * @param {object} options - { unique } columns
+   * @returns {Promise<object>}
+   * @throws {DuplicateRowError} When a unique column's value is taken
+   */
+  async insert(table, record, options = {}) {
+    throw new Error(`${this.name} storage adapter does not implement insert()`);
+  }
+
+  /**
+   * Find rows matching a query
+   * @param {string} table - Table/collection name
+   * @param {object} query - { filters, orderBy, limit }
+   * @returns {Promise<object[]>}
+   */
+  async find(table, query = {}) {
+    throw new Error(`${this.name} storage adapter does not implement find()`);
+  }
+
+  /**
+   * Find a single row by ID
+   * @returns {Promise<object|null>} The row, or null when it does not exist
+   */
+  async findById(table, id) {
+    throw new Error(`${this.name} storage adapter does not implement findById()`);
+  }
+
+  /**
+   * Apply changes to a row by ID. With `filters` (as in find()), the row is
+   * only changed when it also matches them, checked and written in one atomic
+   * step, e.g. to update a row only while it is still at the version read.
+   * @param {object} options - { filters }
+   * @returns {Promise<object|null>} The updated row, or null when it does not
+   *   exist or does not match the filters
+   */
+  async update(table, id, changes, options = {}) {
+    throw new Error(`${this.name} storage adapter does not implement update()`);
+  }
+
+  /**
+   * Delete a row by ID
+   * @returns {Promise<void>}
+   */
+  async remove(table, id) {
+    throw new Error(`${this.name} storage adapter does not implement remove()`);
+  }
+}
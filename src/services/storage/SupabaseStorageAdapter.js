@@ -0,0 +1,126 @@
+import { createClient } from '@supabase/supabase-js';
+import StorageAdapter, { DuplicateRowError } from './StorageAdapter.js';
+
+const DEFAULT_SUPABASE_URL = 'https://xmssmnivkkqgbijsjzku.supabase.co';
+
+// PostgreSQL unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Supabase (PostgreSQL) storage driver
+ */
+export default class SupabaseStorageAdapter extends StorageAdapter {
+  constructor({ url = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL, apiKey = process.env.SUPABASE_API_KEY } = {}) {
+    super('supabase');
+
+    if (!apiKey) {
+      throw new Error(
+        'SUPABASE_API_KEY environment variable is not set. Please add it to your .env file.'
+      );
+    }
+
+    this.supabase = createClient(url, apiKey);
+  }
+
+  /**
+   * `unique` columns are enforced by the table's unique constraints (see the
+   * schema in the README), which reject the second of two concurrent inserts
+   */
+  async insert(table, record, { unique = [] } = {}) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .insert([record])
+      .select();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new DuplicateRowError(table, unique);
+      }
+      throw new Error(error.message);
+    }
+
+    return data ? data[0] : record;
+  }
+
+  async find(table, { filters = [], orderBy, limit } = {}) {
+    let query = applyFilters(this.supabase.from(table).select('*'), filters);
+
+    for (const { column, ascending } of [].concat(orderBy || [])) {
+      query = query.order(column, { ascending: ascending !== false });
+    }
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return data || [];
+  }
+
+  async findById(table, id) {
+    const { data, error } = await this.supabase
+      .from(table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * The filters become part of the UPDATE's WHERE clause, so the database
+   * checks them and applies the change atomically
+   */
+  async update(table, id, changes, { filters = [] } = {}) {
+    const { data, error } = await applyFilters(
+      this.supabase.from(table).update(changes).eq('id', id),
+      filters
+    ).select();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async remove(table, id) {
+    const { error } = await this.supabase
+      .from(table)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  }
+}
+
+/**
+ * Add storage filters to a select or update query
+ */
+function applyFilters(query, filters) {
+  for (const { column, op, value } of filters) {
+    query = op === 'ilike'
+      ? query.ilike(column, `%${escapeLike(value)}%`)
+      : query[op](column, value);
+  }
+  return query;
+}
+
+/**
+ * Escape LIKE wildcards and the escape character itself, so ilike matches the
+ * value literally as the file driver does
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
@@ -0,0 +1,43 @@
+import SupabaseStorageAdapter from './SupabaseStorageAdapter.js';
+import FileStorageAdapter from './FileStorageAdapter.js';
+
+const drivers = {
+  supabase: SupabaseStorageAdapter,
+  file: FileStorageAdapter,
+};
+
+let sharedAdapter = null;
+
+/**
+ * Create a storage adapter for the given driver name.
+ * STORAGE_DRIVER selects the driver; without it we use Supabase when a key is
+ * configured and fall back to local JSON files otherwise.
+ * @param {string} driver - 'supabase' or 'file'
+ * @param {object} options - Driver-specific options
+ */
+export function createStorageAdapter(driver = process.env.STORAGE_DRIVER, options = {}) {
+  const name = (driver || (process.env.SUPABASE_API_KEY ? 'supabase' : 'file')).toLowerCase();
+  const Adapter = drivers[name];
+
+  if (!Adapter) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`
+    );
+  }
+
+  return new Adapter(options);
+}
+
+/**
+ * Process-wide adapter shared by all services. Created lazily so that
+ * environment variables loaded by dotenv in server.js are picked up.
+ */
+export function getStorageAdapter() {
+  if (!sharedAdapter) {
+    sharedAdapter = createStorageAdapter();
+    console.log(`Using "${sharedAdapter.name}" storage driver`);
+  }
+  return sharedAdapter;
+}
+
+export { SupabaseStorageAdapter, FileStorageAdapter };
@@ -0,0 +1,19 @@
+/**
+ * Request cancellation helpers
+ */
+
+/**
+ * AbortSignal that fires when the client disconnects before the response is
+ * complete, so model calls made on its behalf can be cancelled
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  return controller.signal;
+}
@@ -0,0 +1,21 @@
+/**
+ * Opaque pagination cursors
+ * A cursor holds the sort value and ID of the last row of a page, encoded as
+ * base64url JSON so clients pass it back verbatim.
+ */
+
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @returns {Object|null} The cursor's payload, or null when it is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Fixed-bucket latency histograms
+ * Counts are kept per bucket rather than per call, so histograms from any
+ * number of rollup rows can be merged by adding them up and percentiles read
+ * off the merged counts.
+ */
+
+/**
+ * Upper bounds (ms) of the histogram buckets; a final bucket holds everything
+ * slower than the last bound
+ */
+export const LATENCY_BUCKETS_MS = [
+  10, 25, 50, 75, 100, 150, 200, 300, 400, 500, 750, 1000, 1500, 2000,
+  3000, 4000, 5000, 7500, 10000, 15000, 20000, 30000, 45000, 60000,
+];
+
+export function emptyHistogram() {
+  return new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+}
+
+/**
+ * Index of the bucket a latency falls into
+ */
+export function bucketIndex(latencyMs) {
+  const index = LATENCY_BUCKETS_MS.findIndex(bound => latencyMs <= bound);
+  return index === -1 ? LATENCY_BUCKETS_MS.length : index;
+}
+
+/**
+ * Add histogram counts into `target` (in place) and return it
+ */
+export function mergeHistogram(target, histogram = []) {
+  histogram.forEach((count, index) => {
+    target[index] = (target[index] || 0) + (count || 0);
+  });
+  return target;
+}
+
+/**
+ * Estimate a percentile from histogram counts, interpolating linearly within
+ * the bucket it falls into. `max` caps the estimate (and stands in for the
+ * upper bound of the open-ended last bucket).
+ * @param {Array<number>} histogram - Bucket counts
+ * @param {number} percentile - 0-100, e.g. 95
+ * @param {Object} bounds - { min, max } latencies seen, when known
+ * @returns {number|null} Latency in ms, or null for an empty histogram
+ */
+export function histogramPercentile(histogram, percentile, { min = 0, max = null } = {}) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const rank = (percentile / 100) * total;
+  let seen = 0;
+
+  for (let index = 0; index < histogram.length; index++) {
+    const count = histogram[index];
+    if (count === 0 || seen + count < rank) {
+      seen += count;
+      continue;
+    }
+
+    const lower = Math.max(index === 0 ? 0 : LATENCY_BUCKETS_MS[index - 1], min);
+    const upper = Math.min(LATENCY_BUCKETS_MS[index] ?? max ?? lower, max ?? Infinity);
+    const estimate = lower + (upper - lower) * ((rank - seen) / count);
+    return Math.round(Math.max(lower, Math.min(estimate, upper)));
+  }
+
+  return max;
+}
@@ -0,0 +1,30 @@
+/**
+ * Server-Sent Events helpers for streaming refinement progress
+ */
+
+/**
+ * Whether the client asked for a Server-Sent Events response
+ */
+export function wantsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @returns {Function} send(event, data) - Writes one event with a JSON payload
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Budget Tests
+ * Exercises BudgetService and the enforceBudget middleware: spend read from
+ * the telemetry rollups, per-user, per-account and global limits, period
+ * resets, warnings, the 402 answer, and the 503 when spend cannot be read.
+ * Calls are logged to a temporary file storage directory with made-up prices;
+ * no model or server is used.
+ *
+ * Usage:
+ *   node test_budget.js
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+const MODEL = 'budget-test-model';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Budgets and prices are read on first use, so they are set up before the services load
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-budget-'));
+await fs.writeFile(path.join(tempDir, 'pricing.json'), JSON.stringify({
+    // One prompt token costs $0.50
+    [MODEL]: { input: 500000, output: 0 }
+}));
+await fs.writeFile(path.join(tempDir, 'budgets.json'), JSON.stringify({
+    warnAt: [0.5],
+    global: { daily: 10, monthly: null },
+    perUser: { daily: 2, monthly: 5 },
+    users: { vip: { daily: 4 }, frozen: { daily: 0 } }
+}));
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DATA_DIR: path.join(tempDir, 'data'),
+    LLM_PRICING_PATH: path.join(tempDir, 'pricing.json'),
+    LLM_BUDGETS_PATH: path.join(tempDir, 'budgets.json')
+});
+
+const { default: BudgetService } = await import('./src/services/BudgetService.js');
+const { default: TelemetryService } = await import('./src/services/TelemetryService.js');
+const { enforceBudget } = await import('./src/middleware/budget.js');
+
+// ============ HELPER FUNCTIONS ============
+
+function user(username) {
+    return { id: `id-${username}`, username };
+}
+
+/**
+ * Log a call that cost `dollars`, now or at `timestamp`
+ */
+async function spend(account, dollars, timestamp = new Date()) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        await TelemetryService.logAICall({
+            userInput: 'budget test',
+            aiOutput: null,
+            latencyMs: 10,
+            promptTokens: dollars * 2,
+            completionTokens: 0,
+            model: MODEL,
+            timestamp: timestamp.toISOString(),
+            userId: account.id
+        });
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Run enforceBudget for a user
+ * @returns {Promise<{passed: boolean, status: number, headers: Object, body: Object|null}>}
+ */
+async function request(account) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    await enforceBudget({ user: account }, res, () => { passed = true; });
+    return { passed, status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+/**
+ * Collect console.warn output while fn runs
+ */
+async function captureWarnings(fn) {
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        await fn();
+    } finally {
+        console.warn = originalWarn;
+    }
+    return warnings;
+}
+
+/**
+ * Run fn while reading spend from telemetry storage fails
+ */
+async function withStorageDown(fn) {
+    const originalGetSpend = TelemetryService.getSpend;
+    const originalError = console.error;
+    TelemetryService.getSpend = async () => { throw new Error('storage is down'); };
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        TelemetryService.getSpend = originalGetSpend;
+        console.error = originalError;
+    }
+}
+
+// ============ TESTS ============
+
+async function testUserBudgets() {
+    section('USER BUDGETS');
+    const alice = user('alice');
+
+    await runTest('user', 'lets calls through under the limit', async () => {
+        await spend(alice, 1.5);
+        assert(await BudgetService.check(alice) === null, 'alice should still be under budget');
+        const response = await request(alice);
+        assert(response.passed && response.status === 200, `expected to pass, got ${response.status}`);
+    });
+
+    await runTest('user', 'reports spend and what is left', async () => {
+        const status = await BudgetService.getStatus(alice);
+        const daily = status.find(budget => budget.scope === 'user' && budget.period === 'daily');
+        assert(daily.spent === 1.5 && daily.limit === 2 && daily.remaining === 0.5, `unexpected status: ${JSON.stringify(daily)}`);
+        const unlimited = status.find(budget => budget.scope === 'global' && budget.period === 'monthly');
+        assert(unlimited.limit === null && unlimited.remaining === null, 'a null limit should have no remaining amount');
+    });
+
+    await runTest('user', 'refuses with 402 once the daily budget is used up', async () => {
+        await spend(alice, 0.5);
+        const exceeded = await BudgetService.check(alice);
+        assert(exceeded && exceeded.scope === 'user' && exceeded.period === 'daily', `unexpected budget: ${JSON.stringify(exceeded)}`);
+
+        const response = await request(alice);
+        assert(!response.passed && response.status === 402, `expected 402, got ${response.status}`);
+        assert(response.body.success === false, 'success should be false');
+        assert(/^Your daily AI budget has been used up/.test(response.body.error), `unexpected error: ${response.body.error}`);
+        assert(response.body.budget.spent === 2 && response.body.budget.remaining === 0, 'the exhausted budget should be returned');
+    });
+
+    await runTest('user', 'Retry-After counts down to the next UTC midnight', async () => {
+        const response = await request(alice);
+        const retryAfter = Number(response.headers['Retry-After']);
+        const expected = Math.ceil((new Date(response.body.budget.resets_at) - Date.now()) / 1000);
+        assert(retryAfter >= 1 && retryAfter <= 86400, `Retry-After out of range: ${retryAfter}`);
+        assert(Math.abs(retryAfter - expected) <= 1, `expected about ${expected}s, got ${retryAfter}`);
+        const reset = new Date(response.body.budget.resets_at);
+        assert(reset.getUTCHours() === 0 && reset.getUTCMinutes() === 0, `reset is not at midnight: ${reset.toISOString()}`);
+    });
+
+    await runTest('user', 'one user\'s spend does not limit another', async () => {
+        const response = await request(user('bob'));
+        assert(response.passed, `bob should not be limited, got ${response.status}`);
+    });
+
+    await runTest('user', 'per-account overrides replace the per-user limit', async () => {
+        const vip = user('vip');
+        await spend(vip, 3);
+        assert((await request(vip)).passed, 'vip should be allowed 4 a day');
+        await spend(vip, 1);
+        const response = await request(vip);
+        assert(response.status === 402 && response.body.budget.limit === 4, `expected the vip limit, got ${JSON.stringify(response.body)}`);
+    });
+
+    await runTest('user', 'a zero limit refuses every call', async () => {
+        const response = await request(user('frozen'));
+        assert(response.status === 402 && response.body.budget.limit === 0, `expected 402, got ${response.status}`);
+    });
+
+    await runTest('user', 'spend from an earlier day or month does not count', async () => {
+        const hank = user('hank');
+        await spend(hank, 2, new Date(Date.now() - DAY_MS));
+        await spend(hank, 5, new Date(Date.now() - 40 * DAY_MS));
+        assert(await BudgetService.check(hank) === null, 'old spend should not exhaust hank\'s budgets');
+    });
+}
+
+async function testWarnings() {
+    section('WARNINGS');
+
+    await runTest('warn', 'warns once per threshold and period', async () => {
+        const ivy = user('ivy');
+        await spend(ivy, 1);
+        const first = await captureWarnings(() => BudgetService.check(ivy));
+        const second = await captureWarnings(() => BudgetService.check(ivy));
+        assert(first.length === 1 && /User "ivy" daily budget at 50%/.test(first[0]), `unexpected warnings: ${first}`);
+        assert(second.length === 0, `should not warn again: ${second}`);
+    });
+}
+
+async function testGlobalBudget() {
+    section('GLOBAL BUDGET');
+
+    await runTest('global', 'refuses everyone once all users together reach the limit', async () => {
+        // alice 2, vip 4 and ivy 1 were spent today already
+        await spend(user('jack'), 1.5);
+        await spend(user('kate'), 1);
+        const newcomer = user('newcomer');
+        assert((await request(newcomer)).passed, 'global spend of 9.5 should be under the limit');
+
+        await spend(user('liam'), 0.5);
+        const response = await request(newcomer);
+        assert(response.status === 402, `expected 402, got ${response.status}`);
+        assert(response.body.budget.scope === 'global', `expected the global budget, got ${response.body.budget.scope}`);
+        assert(/^The service's daily AI budget has been used up/.test(response.body.error), `unexpected error: ${response.body.error}`);
+    });
+
+    await runTest('global', 'refuses with 503 when spend cannot be read', async () => {
+        const response = await withStorageDown(() => request(user('newcomer')));
+        assert(!response.passed && response.status === 503, `expected 503, got ${response.status}`);
+        assert(response.body.success === false, 'success should be false');
+    });
+
+    await runTest('global', 'lets calls through when spend cannot be read and failOpen is set', async () => {
+        BudgetService.config.failOpen = true;
+        try {
+            const response = await withStorageDown(() => request(user('newcomer')));
+            assert(response.passed, `expected to pass, got ${response.status}`);
+        } finally {
+            BudgetService.config.failOpen = false;
+        }
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Budget Tests', async () => {
+    // Budget warnings are only checked where the test captures them
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    try {
+        await testUserBudgets();
+        await testWarnings();
+        await testGlobalBudget();
+    } finally {
+        console.warn = originalWarn;
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+});
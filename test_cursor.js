@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Cursor Tests
+ * Exercises the opaque pagination cursors: encoding and decoding, the cursor
+ * query parameter of the goal and telemetry list schemas, the rejection of a
+ * cursor issued for another sort, and paging through goals with next_cursor
+ * on a temporary file storage directory. No model or server is used.
+ *
+ * Usage:
+ *   node test_cursor.js
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { encodeCursor, decodeCursor } from './src/utils/cursor.js';
+import { cursorSchema } from './src/schemas/paginationSchema.js';
+import { goalListSchema } from './src/schemas/goalSchema.js';
+import { telemetryLogsSchema } from './src/schemas/telemetrySchema.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+
+// The storage adapter is picked on first use, so the directory is set up before the service loads
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-cursor-'));
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DATA_DIR: tempDir
+});
+
+const { default: StorageService } = await import('./src/services/StorageService.js');
+
+// ============ HELPER FUNCTIONS ============
+
+function issueMessages(result) {
+    return result.success ? [] : result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+}
+
+/**
+ * Save goals with the given confidence scores for a user
+ */
+async function saveGoals(userId, scores) {
+    for (const [index, score] of scores.entries()) {
+        await StorageService.saveGoal(`goal ${index}`, {
+            refined_goal: `Refined goal ${index}`,
+            key_results: ['First result', 'Second result', 'Third result'],
+            confidence_score: score,
+            category: 'other',
+            tags: []
+        }, userId);
+    }
+}
+
+/**
+ * Follow next_cursor through every page, parsing each query as the API does
+ * @returns {Promise<Array<Array<object>>>} The goals of each page
+ */
+async function allPages(userId, query) {
+    const pages = [];
+    let cursor;
+    do {
+        const parsed = goalListSchema.parse({ ...query, ...(cursor && { cursor }) });
+        const { goals, nextCursor } = await StorageService.listGoals(userId, parsed);
+        pages.push(goals);
+        cursor = nextCursor;
+    } while (cursor && pages.length < 20);
+    return pages;
+}
+
+function compareBy(sort, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    return (a, b) => {
+        if (a[sort] !== b[sort]) return (a[sort] < b[sort] ? -1 : 1) * direction;
+        return (a.id < b.id ? -1 : 1) * direction;
+    };
+}
+
+// ============ TESTS ============
+
+async function testEncoding() {
+    section('ENCODING');
+
+    await runTest('encode', 'decodes to the payload it was encoded from', async () => {
+        const payload = { sort: 'confidence_score', order: 'asc', value: 7, id: 'goal-1' };
+        const decoded = decodeCursor(encodeCursor(payload));
+        assert(JSON.stringify(decoded) === JSON.stringify(payload), `unexpected payload: ${JSON.stringify(decoded)}`);
+    });
+
+    await runTest('encode', 'cursors are URL safe', async () => {
+        const cursor = encodeCursor({ sort: 'created_at', order: 'desc', value: '2026-01-01T00:00:00.000Z', id: '??>>~~' });
+        assert(/^[A-Za-z0-9_-]+$/.test(cursor), `cursor has characters to escape: ${cursor}`);
+    });
+
+    await runTest('encode', 'malformed cursors decode to null', async () => {
+        for (const cursor of ['not json', encodeCursor([1, 2]), encodeCursor('text'), encodeCursor(null), '']) {
+            assert(decodeCursor(cursor) === null, `expected null for ${JSON.stringify(cursor)}`);
+        }
+    });
+}
+
+async function testSchemas() {
+    section('QUERY SCHEMAS');
+
+    await runTest('schema', 'the cursor parameter is decoded', async () => {
+        const payload = { sort: 'created_at', order: 'desc', value: '2026-01-01T00:00:00.000Z', id: 'goal-1' };
+        const result = goalListSchema.safeParse({ cursor: encodeCursor(payload) });
+        assert(result.success, `unexpected issues: ${issueMessages(result)}`);
+        assert(result.data.cursor.id === 'goal-1' && result.data.cursor.value === payload.value, 'the cursor should be decoded');
+    });
+
+    await runTest('schema', 'a cursor without a value or ID is not valid', async () => {
+        for (const payload of [{ sort: 'created_at', order: 'desc', id: 'goal-1' }, { sort: 'created_at', order: 'desc', value: 1 }]) {
+            const result = cursorSchema.safeParse(encodeCursor(payload));
+            assert(!result.success && issueMessages(result)[0] === ': cursor is not valid', `expected a rejection for ${JSON.stringify(payload)}`);
+        }
+        const garbage = goalListSchema.safeParse({ cursor: 'not-a-cursor' });
+        assert(issueMessages(garbage).includes('cursor: cursor is not valid'), `unexpected issues: ${issueMessages(garbage)}`);
+    });
+
+    await runTest('schema', 'goals reject a cursor issued for a different sort', async () => {
+        const cursor = encodeCursor({ sort: 'created_at', order: 'desc', value: '2026-01-01T00:00:00.000Z', id: 'goal-1' });
+        const result = goalListSchema.safeParse({ cursor, sort: 'confidence_score' });
+        assert(issueMessages(result).includes('cursor: cursor was issued for a different sort'), `unexpected issues: ${issueMessages(result)}`);
+    });
+
+    await runTest('schema', 'goals reject a cursor issued for a different order', async () => {
+        const cursor = encodeCursor({ sort: 'created_at', order: 'desc', value: '2026-01-01T00:00:00.000Z', id: 'goal-1' });
+        const result = goalListSchema.safeParse({ cursor, order: 'asc' });
+        assert(issueMessages(result).includes('cursor: cursor was issued for a different sort'), `unexpected issues: ${issueMessages(result)}`);
+    });
+
+    await runTest('schema', 'telemetry logs reject a cursor issued for a different sort', async () => {
+        const cursor = encodeCursor({ sort: 'timestamp', order: 'desc', value: '2026-01-01T00:00:00.000Z', id: 'log-1' });
+        assert(telemetryLogsSchema.safeParse({ cursor }).success, 'a cursor for the default sort should be accepted');
+        const result = telemetryLogsSchema.safeParse({ cursor, sort: 'latency_ms' });
+        assert(issueMessages(result).includes('cursor: cursor was issued for a different sort'), `unexpected issues: ${issueMessages(result)}`);
+    });
+
+    await runTest('schema', 'a goal cursor is not accepted for telemetry logs', async () => {
+        const cursor = encodeCursor({ sort: 'confidence_score', order: 'desc', value: 7, id: 'goal-1' });
+        const result = telemetryLogsSchema.safeParse({ cursor });
+        assert(!result.success, 'a cursor for a goal sort should be rejected');
+    });
+}
+
+async function testPaging() {
+    section('KEYSET PAGING');
+    const userId = 'cursor-user';
+    // Repeated scores put page boundaries inside runs of tied rows
+    await saveGoals(userId, [5, 7, 5, 5, 9, 7, 5, 1, 5]);
+    await saveGoals('other-user', [5, 5]);
+
+    for (const sort of ['confidence_score', 'created_at']) {
+        for (const order of ['desc', 'asc']) {
+            await runTest('paging', `follows next_cursor through every goal by ${sort} ${order}`, async () => {
+                const pages = await allPages(userId, { limit: '2', sort, order });
+                const goals = pages.flat();
+                const ids = goals.map(goal => goal.id);
+                assert(pages.length === 5, `expected 5 pages, got ${pages.length}`);
+                assert(goals.length === 9 && new Set(ids).size === 9, `expected each of 9 goals once, got ${ids.length} (${new Set(ids).size} distinct)`);
+                const sorted = [...goals].sort(compareBy(sort, order));
+                assert(sorted.every((goal, i) => goal.id === ids[i]), 'pages are out of order');
+            });
+        }
+    }
+
+    await runTest('paging', 'the last page has no next_cursor', async () => {
+        const { goals, nextCursor } = await StorageService.listGoals(userId, goalListSchema.parse({ limit: '9' }));
+        assert(goals.length === 9 && nextCursor === null, `expected 9 goals and no cursor, got ${goals.length} and ${nextCursor}`);
+    });
+
+    await runTest('paging', 'next_cursor names the sort it was issued for', async () => {
+        const { nextCursor } = await StorageService.listGoals(userId, goalListSchema.parse({ limit: '2', sort: 'confidence_score', order: 'asc' }));
+        const cursor = decodeCursor(nextCursor);
+        assert(cursor.sort === 'confidence_score' && cursor.order === 'asc', `unexpected cursor: ${JSON.stringify(cursor)}`);
+        const result = goalListSchema.safeParse({ cursor: nextCursor, sort: 'confidence_score', order: 'desc' });
+        assert(!result.success, 'the cursor should be rejected for the opposite order');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Cursor Tests', async () => {
+    try {
+        await testEncoding();
+        await testSchemas();
+        await testPaging();
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+});
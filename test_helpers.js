@@ -0,0 +1,80 @@
+/**
+ * AI Goal Coach - Shared Test Harness
+ * Output colors, assertions and result bookkeeping for the test_*.js suites.
+ * A suite groups its tests in functions calling runTest() and hands them to
+ * runSuite(), which prints the totals and exits with status 1 on a failure.
+ */
+
+const TEST_RESULTS = {
+    passed: 0,
+    failed: 0,
+    tests: []
+};
+
+export function colored(text, color) {
+    const colors = {
+        green: '\x1b[92m',
+        red: '\x1b[91m',
+        yellow: '\x1b[93m',
+        blue: '\x1b[94m',
+        reset: '\x1b[0m'
+    };
+    return `${colors[color] || ''}${text}${colors.reset}`;
+}
+
+export function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Print the heading of a group of tests
+ */
+export function section(title) {
+    console.log(colored(`\n▶ ${title}`, 'blue'));
+}
+
+/**
+ * Run one test and record whether it passed, as "[group] name"
+ */
+export async function runTest(group, testName, fn) {
+    const name = `[${group}] ${testName}`;
+    try {
+        await fn();
+        console.log(`${colored('✓', 'green')} ${name}`);
+        TEST_RESULTS.passed++;
+        TEST_RESULTS.tests.push({ name, passed: true });
+    } catch (error) {
+        console.log(`${colored('✗', 'red')} ${name} - ${error.message}`);
+        TEST_RESULTS.failed++;
+        TEST_RESULTS.tests.push({ name, passed: false, error: error.message });
+    }
+}
+
+/**
+ * Run a suite's tests under a title, print the totals and exit, with status 1
+ * when a test failed or the suite was interrupted by an error
+ */
+export async function runSuite(title, fn) {
+    console.log(`\n${'═'.repeat(60)}`);
+    console.log(colored(`  AI Goal Coach - ${title}`, 'blue'));
+    console.log(`${'═'.repeat(60)}`);
+
+    try {
+        await fn();
+    } catch (error) {
+        console.log(`\n${colored('Test interrupted by error', 'yellow')}`);
+        console.log(error.message);
+        process.exit(1);
+    }
+
+    const total = TEST_RESULTS.passed + TEST_RESULTS.failed;
+    console.log(`\n${'═'.repeat(60)}`);
+    console.log(`Total Tests: ${total}`);
+    console.log(colored(`Passed: ${TEST_RESULTS.passed}`, 'green'));
+    console.log(colored(`Failed: ${TEST_RESULTS.failed}`, TEST_RESULTS.failed > 0 ? 'red' : 'green'));
+    console.log(`${'═'.repeat(60)}\n`);
+
+    process.exit(TEST_RESULTS.failed > 0 ? 1 : 0);
+}
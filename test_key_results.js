@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Key Result Tests
+ * Exercises key result progress on a temporary file storage directory:
+ * check-ins and status changes, goal versions, and that check-ins and edits
+ * made at the same time on one goal are all kept. No model or server is used.
+ *
+ * Usage:
+ *   node test_key_results.js
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+
+// The storage adapter is picked on first use, so the directory is set up before the service loads
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-key-results-'));
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DATA_DIR: tempDir
+});
+
+const { default: StorageService } = await import('./src/services/StorageService.js');
+const { default: KeyResultService } = await import('./src/services/KeyResultService.js');
+
+const USER_ID = 'key-result-user';
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Save a goal whose key results each have a target of 10
+ */
+async function saveGoal() {
+    const goal = await StorageService.saveGoal('get fit', {
+        refined_goal: 'Run a 10k race within 6 months',
+        key_results: ['Run 3 times per week', 'Finish a 5k by month 3', 'Finish a 10k by month 6'],
+        confidence_score: 8,
+        category: 'health',
+        tags: []
+    }, USER_ID);
+    const keyResults = goal.key_results.map(kr => ({ id: kr.id, title: kr.title, target: 10 }));
+    return StorageService.updateGoal(goal.id, { key_results: keyResults }, USER_ID);
+}
+
+function keyResult(goal, index) {
+    return goal.key_results[index];
+}
+
+// ============ TESTS ============
+
+async function testCheckIns() {
+    section('CHECK-INS');
+
+    await runTest('check-in', 'sets the current value, records it and moves the status', async () => {
+        const goal = await saveGoal();
+        const { id } = keyResult(goal, 0);
+        let updated = await KeyResultService.addCheckIn(goal, id, { value: 4, note: 'Halfway through' });
+        assert(keyResult(updated, 0).current === 4 && keyResult(updated, 0).status === 'in_progress', `unexpected key result: ${JSON.stringify(keyResult(updated, 0))}`);
+        assert(keyResult(updated, 0).check_ins[0].note === 'Halfway through', 'the check-in should be recorded');
+
+        updated = await KeyResultService.addCheckIn(updated, id, { value: 10 });
+        assert(keyResult(updated, 0).status === 'done' && keyResult(updated, 0).check_ins.length === 2, 'reaching the target should mark it done');
+        assert(keyResult(updated, 1).current === 0, 'other key results should not change');
+    });
+
+    await runTest('check-in', 'a key result update re-derives the status from current', async () => {
+        const goal = await saveGoal();
+        const updated = await KeyResultService.updateKeyResult(goal, keyResult(goal, 1).id, { current: 10 });
+        assert(keyResult(updated, 1).status === 'done', `expected done, got ${keyResult(updated, 1).status}`);
+    });
+
+    await runTest('check-in', 'a deleted goal gets no check-in', async () => {
+        const goal = await saveGoal();
+        await StorageService.deleteGoal(goal.id, USER_ID);
+        assert(await KeyResultService.addCheckIn(goal, keyResult(goal, 0).id, { value: 1 }) === null, 'expected null for a deleted goal');
+    });
+}
+
+async function testConcurrency() {
+    section('CONCURRENT CHANGES');
+
+    await runTest('version', 'every change increments the goal version', async () => {
+        const goal = await saveGoal();
+        const updated = await KeyResultService.addCheckIn(goal, keyResult(goal, 0).id, { value: 1 });
+        assert(updated.version === goal.version + 1, `expected version ${goal.version + 1}, got ${updated.version}`);
+    });
+
+    await runTest('concurrent', 'check-ins on different key results are all kept', async () => {
+        const goal = await saveGoal();
+        // Every request read the goal before any of them wrote it
+        await Promise.all(goal.key_results.map((kr, index) =>
+            KeyResultService.addCheckIn(goal, kr.id, { value: index + 1 })
+        ));
+        const stored = await StorageService.getGoalById(goal.id, USER_ID);
+        const values = stored.key_results.map(kr => kr.current);
+        assert(JSON.stringify(values) === '[1,2,3]', `expected every check-in to be kept, got ${JSON.stringify(values)}`);
+        assert(stored.key_results.every(kr => kr.check_ins.length === 1), 'each key result should have its check-in');
+        assert(stored.version === goal.version + 3, `expected 3 more versions, got ${stored.version - goal.version}`);
+    });
+
+    await runTest('concurrent', 'check-ins on the same key result are all kept', async () => {
+        const goal = await saveGoal();
+        const { id } = keyResult(goal, 2);
+        await Promise.all([2, 5, 7].map(value => KeyResultService.addCheckIn(goal, id, { value })));
+        const stored = keyResult(await StorageService.getGoalById(goal.id, USER_ID), 2);
+        const recorded = stored.check_ins.map(checkIn => checkIn.value).sort();
+        assert(JSON.stringify(recorded) === '[2,5,7]', `expected three check-ins, got ${JSON.stringify(recorded)}`);
+        assert(stored.current === stored.check_ins[2].value, 'current should be the last check-in');
+    });
+
+    await runTest('concurrent', 'a goal edit and a check-in are both kept', async () => {
+        const goal = await saveGoal();
+        const titles = goal.key_results.map(kr => ({ id: kr.id, title: `${kr.title} (revised)` }));
+        await Promise.all([
+            StorageService.updateGoal(goal.id, { refined_goal: 'Run a 10k race within 4 months', key_results: titles }, USER_ID),
+            KeyResultService.addCheckIn(goal, keyResult(goal, 0).id, { value: 3 })
+        ]);
+        const stored = await StorageService.getGoalById(goal.id, USER_ID);
+        assert(stored.refined_goal === 'Run a 10k race within 4 months', 'the edit should be kept');
+        assert(keyResult(stored, 0).title.endsWith('(revised)'), 'the new titles should be kept');
+        assert(keyResult(stored, 0).current === 3 && keyResult(stored, 0).check_ins.length === 1, 'the check-in should be kept');
+    });
+
+    await runTest('concurrent', 'an update that keeps losing to other writers gives up', async () => {
+        const goal = await saveGoal();
+        const update = StorageService.adapter.update;
+        let attempts = 0;
+        StorageService.adapter.update = async () => {
+            attempts++;
+            return null;
+        };
+        try {
+            await KeyResultService.addCheckIn(goal, keyResult(goal, 0).id, { value: 1 });
+        } catch (error) {
+            assert(/try again/.test(error.message), `unexpected message: ${error.message}`);
+            assert(attempts === 5, `expected 5 attempts, got ${attempts}`);
+            return;
+        } finally {
+            StorageService.adapter.update = update;
+        }
+        throw new Error('the update should fail');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Key Result Tests', async () => {
+    try {
+        await testCheckIns();
+        await testConcurrency();
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - LLM Provider Tests
+ * Exercises provider selection, the OpenAI-compatible provider against a
+ * local stand-in for /chat/completions (request shape, response and usage
+ * parsing, streaming, and the ProviderError each kind of failure becomes),
+ * and the fixture-based mock provider. No model or outside network is used.
+ *
+ * Usage:
+ *   node test_providers.js
+ */
+
+import http from 'http';
+import { createProvider, PROVIDER_NAMES, GeminiProvider, OpenAICompatibleProvider, MockProvider } from './src/services/providers/index.js';
+import ProviderError from './src/services/providers/ProviderError.js';
+import RetryPolicy, { ERROR_CLASSES } from './src/services/RetryPolicy.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+const GOAL = {
+    refined_goal: 'Run a 10k race within 6 months by training 3 times per week',
+    key_results: ['Run 3 times per week', 'Finish a 5k by month 3', 'Finish a 10k by month 6'],
+    confidence_score: 8
+};
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Local stand-in for an OpenAI-compatible server. `respond(req, res, body)`
+ * answers each request; the last request is kept in `received`.
+ */
+async function startServer() {
+    const server = {
+        respond: null,
+        received: null
+    };
+    server.http = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            server.received = { method: req.method, url: req.url, headers: req.headers, body };
+            server.respond(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+    server.baseUrl = `http://127.0.0.1:${server.http.address().port}/v1`;
+    return server;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function completion(content, usage = { prompt_tokens: 120, completion_tokens: 45 }) {
+    return { choices: [{ message: { role: 'assistant', content } }], usage };
+}
+
+/**
+ * Run fn without the providers' debug logging
+ */
+async function quietly(fn) {
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+}
+
+/**
+ * The ProviderError a promise rejects with
+ */
+async function expectProviderError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error instanceof ProviderError, `expected a ProviderError, got ${error.name}: ${error.message}`);
+        return error;
+    }
+    throw new Error('expected the call to fail');
+}
+
+const classify = error => new RetryPolicy().classify(error);
+
+// ============ TESTS ============
+
+async function testSelection() {
+    section('PROVIDER SELECTION');
+
+    await runTest('select', 'creates each provider by name, in any case', async () => {
+        assert(createProvider('mock') instanceof MockProvider, 'mock should be a MockProvider');
+        assert(createProvider('OpenAI') instanceof OpenAICompatibleProvider, 'OpenAI should be an OpenAICompatibleProvider');
+        assert(createProvider('gemini', { apiKey: 'test-key' }) instanceof GeminiProvider, 'gemini should be a GeminiProvider');
+        assert(JSON.stringify(PROVIDER_NAMES) === '["gemini","openai","mock"]', `unexpected names: ${PROVIDER_NAMES}`);
+    });
+
+    await runTest('select', 'defaults to LLM_PROVIDER', async () => {
+        const original = process.env.LLM_PROVIDER;
+        process.env.LLM_PROVIDER = 'mock';
+        try {
+            assert(createProvider() instanceof MockProvider, 'LLM_PROVIDER=mock should select the mock provider');
+        } finally {
+            if (original === undefined) delete process.env.LLM_PROVIDER;
+            else process.env.LLM_PROVIDER = original;
+        }
+    });
+
+    await runTest('select', 'LLM_MODEL overrides the default model', async () => {
+        const original = process.env.LLM_MODEL;
+        process.env.LLM_MODEL = 'qwen2.5';
+        try {
+            assert(createProvider('openai').model === 'qwen2.5', 'LLM_MODEL should be used');
+            assert(createProvider('openai', { model: 'phi3' }).model === 'phi3', 'an explicit model should win');
+        } finally {
+            if (original === undefined) delete process.env.LLM_MODEL;
+            else process.env.LLM_MODEL = original;
+        }
+    });
+
+    await runTest('select', 'an unknown name lists the providers', async () => {
+        try {
+            createProvider('claude-ish');
+        } catch (error) {
+            assert(/Unknown LLM_PROVIDER "claude-ish"\. Expected one of: gemini, openai, mock/.test(error.message), `unexpected message: ${error.message}`);
+            return;
+        }
+        throw new Error('an unknown provider should throw');
+    });
+}
+
+async function testOpenAI(server) {
+    section('OPENAI-COMPATIBLE PROVIDER');
+    const provider = new OpenAICompatibleProvider({ baseUrl: `${server.baseUrl}/`, apiKey: 'secret', model: 'llama3.1' });
+    const messages = [
+        { role: 'user', content: 'I want to run more' },
+        { role: 'model', content: '{"refined_goal":"..."}' },
+        { role: 'user', content: 'Make it a 10k' }
+    ];
+
+    await runTest('openai', 'posts the conversation to /chat/completions', async () => {
+        server.respond = (req, res) => sendJson(res, 200, completion(JSON.stringify(GOAL)));
+        const body = provider.buildRequestBody(messages, { responseSchema: { type: 'object' }, schemaName: 'refined_goal' });
+        await provider.call(body);
+
+        const { method, url, headers, body: sent } = server.received;
+        assert(method === 'POST' && url === '/v1/chat/completions', `unexpected request: ${method} ${url}`);
+        assert(headers.authorization === 'Bearer secret', `unexpected Authorization: ${headers.authorization}`);
+        assert(sent.model === 'llama3.1', `unexpected model: ${sent.model}`);
+        assert(JSON.stringify(sent.messages.map(m => m.role)) === '["user","assistant","user"]', 'model turns should be sent as assistant');
+        assert(sent.response_format.type === 'json_schema' && sent.response_format.json_schema.name === 'refined_goal', 'the schema should be requested');
+    });
+
+    await runTest('openai', 'asks for any JSON object without a schema, and sends no key when there is none', async () => {
+        server.respond = (req, res) => sendJson(res, 200, completion('{}'));
+        const keyless = new OpenAICompatibleProvider({ baseUrl: server.baseUrl, apiKey: '' });
+        await keyless.call(keyless.buildRequestBody(messages));
+        assert(server.received.body.response_format.type === 'json_object', 'expected json_object');
+        assert(server.received.headers.authorization === undefined, 'no Authorization header should be sent');
+    });
+
+    await runTest('openai', 'parses the answer and the reported usage', async () => {
+        server.respond = (req, res) => sendJson(res, 200, completion(JSON.stringify(GOAL)));
+        const response = await provider.call(provider.buildRequestBody(messages));
+        const goal = await quietly(() => provider.parseResponse(response));
+        assert(goal.refined_goal === GOAL.refined_goal && goal.confidence_score === 8, `unexpected goal: ${JSON.stringify(goal)}`);
+        const usage = provider.parseUsage(response);
+        assert(usage.promptTokens === 120 && usage.completionTokens === 45, `unexpected usage: ${JSON.stringify(usage)}`);
+    });
+
+    await runTest('openai', 'parses JSON wrapped in a markdown code block', async () => {
+        const goal = await quietly(() => provider.parseResponse(completion(`Here you go:\n\`\`\`json\n${JSON.stringify(GOAL)}\n\`\`\``)));
+        assert(goal.key_results.length === 3, `unexpected goal: ${JSON.stringify(goal)}`);
+    });
+
+    await runTest('openai', 'reports no usage when the server sends none', async () => {
+        assert(provider.parseUsage({ choices: [] }) === null, 'missing usage should be null');
+    });
+
+    await runTest('openai', 'an answer without content is a schema error', async () => {
+        const error = await expectProviderError(quietly(async () => provider.parseResponse({ choices: [] })));
+        assert(error.errorClass === ERROR_CLASSES.SCHEMA, `expected the schema class, got ${error.errorClass}`);
+    });
+
+    await runTest('openai', 'content that is not JSON is a schema error', async () => {
+        const error = await expectProviderError(quietly(async () => provider.parseResponse(completion('I cannot help with that'))));
+        assert(error.errorClass === ERROR_CLASSES.SCHEMA, `expected the schema class, got ${error.errorClass}`);
+    });
+
+    await runTest('openai', 'streams text chunks and returns the whole answer with usage', async () => {
+        const text = JSON.stringify(GOAL);
+        server.respond = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const part of [text.slice(0, 20), text.slice(20, 60), text.slice(60)]) {
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: part } }] })}\n\n`);
+            }
+            res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 30, completion_tokens: 12 } })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        };
+        const chunks = [];
+        const response = await provider.callStream(provider.buildRequestBody(messages), chunk => chunks.push(chunk));
+        assert(server.received.body.stream === true && server.received.body.stream_options.include_usage, 'streaming with usage should be requested');
+        assert(chunks.length === 3 && chunks.join('') === text, `unexpected chunks: ${JSON.stringify(chunks)}`);
+        const goal = await quietly(() => provider.parseResponse(response));
+        assert(goal.refined_goal === GOAL.refined_goal, 'the streamed answer should parse');
+        assert(provider.parseUsage(response).completionTokens === 12, 'usage from the last chunk should be kept');
+    });
+
+    const failures = [
+        { status: 401, expected: ERROR_CLASSES.AUTH },
+        { status: 429, expected: ERROR_CLASSES.QUOTA, headers: { 'Retry-After': '7' }, retryAfterMs: 7000 },
+        { status: 400, expected: ERROR_CLASSES.BAD_REQUEST },
+        { status: 503, expected: ERROR_CLASSES.SERVER }
+    ];
+    for (const { status, expected, headers, retryAfterMs = null } of failures) {
+        await runTest('openai', `classifies a ${status} answer as ${expected}`, async () => {
+            server.respond = (req, res) => sendJson(res, status, { error: { message: `upstream said ${status}` } }, headers);
+            const error = await expectProviderError(provider.call(provider.buildRequestBody(messages)));
+            assert(error.status === status, `expected status ${status}, got ${error.status}`);
+            assert(error.message.includes(`OpenAI-compatible API error (${status}): upstream said ${status}`), `unexpected message: ${error.message}`);
+            assert(error.retryAfterMs === retryAfterMs, `expected Retry-After ${retryAfterMs}, got ${error.retryAfterMs}`);
+            assert(classify(error) === expected, `expected ${expected}, got ${classify(error)}`);
+        });
+    }
+
+    await runTest('openai', 'an error body that is not JSON falls back to the status text', async () => {
+        server.respond = (req, res) => {
+            res.writeHead(502, 'Bad Gateway', { 'Content-Type': 'text/html' });
+            res.end('<html>bad gateway</html>');
+        };
+        const error = await expectProviderError(provider.call(provider.buildRequestBody(messages)));
+        assert(/\(502\): Bad Gateway/.test(error.message), `unexpected message: ${error.message}`);
+        assert(classify(error) === ERROR_CLASSES.SERVER, `expected the server class, got ${classify(error)}`);
+    });
+
+    await runTest('openai', 'a refused connection is a network error', async () => {
+        const closed = await startServer();
+        const unreachable = new OpenAICompatibleProvider({ baseUrl: closed.baseUrl });
+        await new Promise(resolve => closed.http.close(resolve));
+        const error = await expectProviderError(unreachable.call(unreachable.buildRequestBody(messages)));
+        assert(classify(error) === ERROR_CLASSES.NETWORK, `expected the network class, got ${classify(error)}`);
+    });
+
+    await runTest('openai', 'an aborted call is cancelled', async () => {
+        server.respond = () => {};
+        const controller = new AbortController();
+        const call = provider.call(provider.buildRequestBody(messages), { signal: controller.signal });
+        setTimeout(() => controller.abort(), 20);
+        const error = await expectProviderError(call);
+        assert(classify(error) === ERROR_CLASSES.CANCELLED, `expected the cancelled class, got ${classify(error)}`);
+        server.http.closeAllConnections();
+    });
+}
+
+async function testMock() {
+    section('MOCK PROVIDER');
+    const provider = new MockProvider({ latencyMs: 0 });
+    const ask = async (userInput, options = {}) => {
+        const body = provider.buildRequestBody([{ role: 'user', content: userInput }], { userInput, ...options });
+        const response = await provider.call(body);
+        return { response, answer: await quietly(() => provider.parseResponse(response)) };
+    };
+
+    await runTest('mock', 'answers the first fixture whose keyword is in the input', async () => {
+        const { answer } = await ask('I want better SALES numbers');
+        assert(/sales/i.test(answer.refined_goal), `unexpected goal: ${answer.refined_goal}`);
+    });
+
+    await runTest('mock', 'the same input always gets the same answer', async () => {
+        const first = await ask('I want to get fit');
+        const second = await ask('I want to get fit');
+        assert(JSON.stringify(first.answer) === JSON.stringify(second.answer), 'answers should be identical');
+    });
+
+    await runTest('mock', 'input that is not a goal gets a low confidence answer', async () => {
+        const { answer } = await ask('What is the weather like?');
+        assert(answer.confidence_score <= 3, `expected low confidence, got ${answer.confidence_score}`);
+    });
+
+    await runTest('mock', 'answers other schemas from their fixtures', async () => {
+        const { answer } = await ask('Score this answer', { schemaName: 'judge_score' });
+        assert(typeof answer.score === 'number', `unexpected judge answer: ${JSON.stringify(answer)}`);
+    });
+
+    await runTest('mock', 'a schema without a fixture is a bad request', async () => {
+        const error = await expectProviderError(ask('anything', { schemaName: 'no_such_schema' }));
+        assert(error.errorClass === ERROR_CLASSES.BAD_REQUEST, `expected the bad request class, got ${error.errorClass}`);
+    });
+
+    await runTest('mock', 'reports usage at about 4 characters per token', async () => {
+        const input = 'x'.repeat(400);
+        const { response } = await ask(input);
+        const usage = provider.parseUsage(response);
+        assert(usage.promptTokens === 100, `expected 100 prompt tokens, got ${usage.promptTokens}`);
+        assert(usage.completionTokens === Math.ceil(response.text.length / 4), 'completion tokens should follow the answer length');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('LLM Provider Tests', async () => {
+    const server = await startServer();
+    try {
+        await testSelection();
+        await testOpenAI(server);
+        await testMock();
+    } finally {
+        server.http.close();
+    }
+});
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Rate Limit Tests
+ * Exercises the RateLimiter token buckets on a fake clock, and the refinement,
+ * login, registration and eval job middleware (per-IP, per-user and
+ * per-username keys, RateLimit headers, 429 answers) with fake requests. No
+ * server is started.
+ *
+ * Usage:
+ *   node test_rate_limit.js
+ */
+
+import RateLimiter from './src/services/RateLimiter.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// The middleware reads its limits on first use
+Object.assign(process.env, {
+    RATE_LIMIT_IP_BURST: '3',
+    RATE_LIMIT_IP_PER_MINUTE: '1',
+    RATE_LIMIT_USER_BURST: '2',
+    RATE_LIMIT_USER_PER_MINUTE: '1',
+    RATE_LIMIT_LOGIN_BURST: '2',
+    RATE_LIMIT_LOGIN_PER_MINUTE: '1',
+    RATE_LIMIT_REGISTER_BURST: '2',
+    RATE_LIMIT_REGISTER_PER_MINUTE: '1',
+    RATE_LIMIT_EVAL_BURST: '2',
+    RATE_LIMIT_EVAL_PER_MINUTE: '1'
+});
+const { rateLimitRefinements, rateLimitLogins, rateLimitRegistrations, rateLimitEvalJobs } = await import('./src/middleware/rateLimit.js');
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Limiter on a clock the test moves forward by hand
+ */
+function fakeClockLimiter(options) {
+    const clock = { now: 1_000_000 };
+    const limiter = new RateLimiter({ ...options, now: () => clock.now });
+    return { limiter, clock };
+}
+
+function drain(limiter, key, count) {
+    for (let i = 0; i < count; i++) {
+        limiter.take(key);
+    }
+}
+
+/**
+ * Run a middleware against a fake request
+ * @returns {{passed: boolean, status: number, headers: Object, body: Object|null}}
+ */
+function send(middleware, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+// ============ TESTS ============
+
+async function testTokenBuckets() {
+    section('TOKEN BUCKETS');
+
+    await runTest('bucket', 'allows a burst up to the capacity', async () => {
+        const { limiter } = fakeClockLimiter({ capacity: 3, refillPerMinute: 60 });
+        assert(limiter.check('a').remaining === 3, 'a new key should have a full bucket');
+        drain(limiter, 'a', 3);
+        const state = limiter.check('a');
+        assert(state.remaining === 0, `expected 0 left, got ${state.remaining}`);
+        assert(state.retryAfterSeconds === 1, `expected to retry after 1s, got ${state.retryAfterSeconds}`);
+    });
+
+    await runTest('bucket', 'refills at the configured rate', async () => {
+        const { limiter, clock } = fakeClockLimiter({ capacity: 3, refillPerMinute: 60 });
+        drain(limiter, 'a', 3);
+        clock.now += 1500;
+        assert(limiter.check('a').remaining === 1, `expected 1 token after 1.5s, got ${limiter.check('a').remaining}`);
+        clock.now += 500;
+        assert(limiter.check('a').remaining === 2, `expected 2 tokens after 2s, got ${limiter.check('a').remaining}`);
+    });
+
+    await runTest('bucket', 'never refills past the capacity', async () => {
+        const { limiter, clock } = fakeClockLimiter({ capacity: 3, refillPerMinute: 60 });
+        limiter.take('a');
+        clock.now += 3_600_000;
+        assert(limiter.check('a').remaining === 3, `expected 3 tokens, got ${limiter.check('a').remaining}`);
+    });
+
+    await runTest('bucket', 'reports seconds until the bucket is full', async () => {
+        const { limiter } = fakeClockLimiter({ capacity: 4, refillPerMinute: 30 });
+        drain(limiter, 'a', 3);
+        const state = limiter.check('a');
+        assert(state.limit === 4, `expected limit 4, got ${state.limit}`);
+        assert(state.resetSeconds === 6, `expected a reset in 6s, got ${state.resetSeconds}`);
+        assert(state.retryAfterSeconds === 0, 'a request should still be allowed');
+    });
+
+    await runTest('bucket', 'keeps a separate bucket per key', async () => {
+        const { limiter } = fakeClockLimiter({ capacity: 2, refillPerMinute: 60 });
+        drain(limiter, 'a', 2);
+        assert(limiter.check('a').remaining === 0, 'key a should be used up');
+        assert(limiter.check('b').remaining === 2, 'key b should be untouched');
+    });
+
+    await runTest('bucket', 'forgets buckets that have refilled', async () => {
+        const { limiter, clock } = fakeClockLimiter({ capacity: 2, refillPerMinute: 60 });
+        limiter.take('a');
+        clock.now += 120_000;
+        limiter.check('b');
+        assert(!limiter.buckets.has('a'), 'a full bucket should be swept');
+    });
+
+    await runTest('bucket', 'a zero capacity or rate disables the limiter', async () => {
+        assert(!new RateLimiter({ capacity: 0, refillPerMinute: 10 }).enabled, 'capacity 0 should disable');
+        assert(!new RateLimiter({ capacity: 10, refillPerMinute: 0 }).enabled, 'rate 0 should disable');
+        assert(new RateLimiter({ capacity: 1, refillPerMinute: 1 }).enabled, 'positive limits should enable');
+    });
+}
+
+async function testRefinementMiddleware() {
+    section('REFINEMENT LIMITS');
+
+    await runTest('refine', 'sets RateLimit headers for the tighter limit', async () => {
+        const response = send(rateLimitRefinements, { ip: '10.0.0.1', user: { id: 'headers-user' } });
+        assert(response.passed, 'the first request should pass');
+        assert(response.headers['RateLimit-Limit'] === '2', `expected the user limit 2, got ${response.headers['RateLimit-Limit']}`);
+        assert(response.headers['RateLimit-Remaining'] === '1', `expected 1 left, got ${response.headers['RateLimit-Remaining']}`);
+        assert(Number(response.headers['RateLimit-Reset']) > 0, 'RateLimit-Reset should count down to a full bucket');
+    });
+
+    await runTest('refine', 'limits each user, whatever their IP', async () => {
+        const user = { id: 'busy-user' };
+        assert(send(rateLimitRefinements, { ip: '10.0.1.1', user }).passed, 'first request should pass');
+        assert(send(rateLimitRefinements, { ip: '10.0.1.2', user }).passed, 'second request should pass');
+        const blocked = send(rateLimitRefinements, { ip: '10.0.1.3', user });
+        assert(!blocked.passed && blocked.status === 429, `expected 429, got ${blocked.status}`);
+        assert(blocked.body.limit === 'user', `expected the user limit, got ${blocked.body.limit}`);
+        assert(Number(blocked.headers['Retry-After']) > 0, 'Retry-After should be set');
+        assert(blocked.headers['RateLimit-Remaining'] === '0', 'RateLimit-Remaining should be 0');
+
+        const other = send(rateLimitRefinements, { ip: '10.0.1.4', user: { id: 'other-user' } });
+        assert(other.passed, 'another user should not be limited');
+    });
+
+    await runTest('refine', 'limits each IP, whatever the user', async () => {
+        const ip = '10.0.2.1';
+        for (const id of ['ip-user-1', 'ip-user-2', 'ip-user-3']) {
+            assert(send(rateLimitRefinements, { ip, user: { id } }).passed, `request of ${id} should pass`);
+        }
+        const blocked = send(rateLimitRefinements, { ip, user: { id: 'ip-user-4' } });
+        assert(blocked.status === 429, `expected 429, got ${blocked.status}`);
+        assert(blocked.body.limit === 'ip', `expected the ip limit, got ${blocked.body.limit}`);
+    });
+
+    await runTest('refine', 'a refused request uses no tokens', async () => {
+        const user = { id: 'refused-user' };
+        const ip = '10.0.3.1';
+        send(rateLimitRefinements, { ip, user });
+        send(rateLimitRefinements, { ip, user });
+        send(rateLimitRefinements, { ip, user });
+        const next = send(rateLimitRefinements, { ip, user: { id: 'fresh-user' } });
+        assert(next.passed, 'the refused request should not have used the IP token');
+    });
+
+    await runTest('refine', 'anonymous requests are limited by IP only', async () => {
+        const response = send(rateLimitRefinements, { ip: '10.0.4.1' });
+        assert(response.passed, 'request should pass');
+        assert(response.headers['RateLimit-Limit'] === '3', `expected the ip limit 3, got ${response.headers['RateLimit-Limit']}`);
+    });
+}
+
+async function testLoginMiddleware() {
+    section('LOGIN LIMITS');
+
+    await runTest('login', 'limits attempts per username across IPs', async () => {
+        assert(send(rateLimitLogins, { ip: '10.1.0.1', body: { username: 'alice' } }).passed, 'first attempt should pass');
+        assert(send(rateLimitLogins, { ip: '10.1.0.2', body: { username: 'ALICE' } }).passed, 'second attempt should pass');
+        const blocked = send(rateLimitLogins, { ip: '10.1.0.3', body: { username: 'Alice' } });
+        assert(blocked.status === 429, `expected 429, got ${blocked.status}`);
+        assert(blocked.body.limit === 'username', `expected the username limit, got ${blocked.body.limit}`);
+        assert(/login attempts/.test(blocked.body.error), `unexpected message: ${blocked.body.error}`);
+    });
+
+    await runTest('login', 'limits attempts per IP across usernames', async () => {
+        const ip = '10.1.1.1';
+        assert(send(rateLimitLogins, { ip, body: { username: 'bob' } }).passed, 'first attempt should pass');
+        assert(send(rateLimitLogins, { ip, body: { username: 'carol' } }).passed, 'second attempt should pass');
+        const blocked = send(rateLimitLogins, { ip, body: { username: 'dave' } });
+        assert(blocked.status === 429 && blocked.body.limit === 'ip', `expected the ip limit, got ${blocked.body?.limit}`);
+    });
+
+    await runTest('login', 'a body without a username is limited by IP', async () => {
+        const response = send(rateLimitLogins, { ip: '10.1.2.1', body: {} });
+        assert(response.passed, 'request should pass');
+        assert(response.headers['RateLimit-Remaining'] === '1', `expected 1 left, got ${response.headers['RateLimit-Remaining']}`);
+    });
+}
+
+async function testRegistrationMiddleware() {
+    section('REGISTRATION LIMITS');
+
+    await runTest('register', 'limits sign-ups per IP, whatever the username', async () => {
+        const ip = '10.2.0.1';
+        assert(send(rateLimitRegistrations, { ip, body: { username: 'erin' } }).passed, 'first sign-up should pass');
+        assert(send(rateLimitRegistrations, { ip, body: { username: 'frank' } }).passed, 'second sign-up should pass');
+        const blocked = send(rateLimitRegistrations, { ip, body: { username: 'grace' } });
+        assert(blocked.status === 429 && blocked.body.limit === 'ip', `expected the ip limit, got ${blocked.status}`);
+        assert(/registrations/.test(blocked.body.error), `unexpected message: ${blocked.body.error}`);
+        assert(send(rateLimitRegistrations, { ip: '10.2.0.2', body: { username: 'grace' } }).passed, 'another IP should not be limited');
+    });
+}
+
+async function testEvalJobMiddleware() {
+    section('EVAL JOB LIMITS');
+
+    await runTest('eval', 'limits job submissions per user, whatever their IP', async () => {
+        const user = { id: 'eval-user' };
+        assert(send(rateLimitEvalJobs, { ip: '10.3.0.1', user }).passed, 'first job should pass');
+        assert(send(rateLimitEvalJobs, { ip: '10.3.0.2', user }).passed, 'second job should pass');
+        const blocked = send(rateLimitEvalJobs, { ip: '10.3.0.3', user });
+        assert(blocked.status === 429 && blocked.body.limit === 'user', `expected the user limit, got ${blocked.status}`);
+        assert(/eval jobs/.test(blocked.body.error), `unexpected message: ${blocked.body.error}`);
+        assert(send(rateLimitEvalJobs, { ip: '10.3.0.3', user: { id: 'other-eval-user' } }).passed, 'another user should not be limited');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Rate Limit Tests', async () => {
+    await testTokenBuckets();
+    await testRefinementMiddleware();
+    await testLoginMiddleware();
+    await testRegistrationMiddleware();
+    await testEvalJobMiddleware();
+});
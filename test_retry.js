@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Retry Policy & Cancellation Tests
+ * Exercises RetryPolicy (backoff and jitter, error classification, per-attempt
+ * timeouts, cancellation) and the request cancellation helpers without calling
+ * a model. Sleeps are injected, so the suite runs in well under a second.
+ *
+ * Usage:
+ *   node test_retry.js
+ */
+
+import { EventEmitter } from 'events';
+import { z } from 'zod';
+import RetryPolicy, { ERROR_CLASSES } from './src/services/RetryPolicy.js';
+import ProviderError from './src/services/providers/ProviderError.js';
+import { abortOnDisconnect } from './src/utils/cancellation.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Policy whose sleeps return at once and are recorded in `delays`
+ */
+function instantPolicy(options = {}) {
+    const delays = [];
+    const policy = new RetryPolicy({
+        maxAttempts: 3,
+        baseDelayMs: 100,
+        maxDelayMs: 1000,
+        deadlineMs: 60000,
+        attemptTimeoutMs: 1000,
+        random: () => 0.5,
+        sleep: async ms => { delays.push(ms); },
+        ...options
+    });
+    return { policy, delays };
+}
+
+async function expectRejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error('expected the call to fail');
+}
+
+/**
+ * Operation that only settles when its signal aborts. Its own timer keeps the
+ * process alive meanwhile (abort timeouts do not), and fails the test if the
+ * signal never fires.
+ */
+function hangUntilAborted(attempt, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('attempt was never aborted')), 5000);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+// ============ TESTS ============
+
+async function testBackoff() {
+    section('BACKOFF AND JITTER');
+
+    await runTest('backoff', 'doubles per attempt with equal jitter', async () => {
+        const low = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 10000, random: () => 0 });
+        const high = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 10000, random: () => 1 });
+        const lows = [1, 2, 3].map(attempt => low.delayFor(attempt));
+        const highs = [1, 2, 3].map(attempt => high.delayFor(attempt));
+        assert(JSON.stringify(lows) === '[50,100,200]', `unexpected lower bounds: ${lows}`);
+        assert(JSON.stringify(highs) === '[100,200,400]', `unexpected upper bounds: ${highs}`);
+    });
+
+    await runTest('backoff', 'is capped at maxDelayMs', async () => {
+        const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 4000, random: () => 1 });
+        assert(policy.delayFor(10) === 4000, `expected 4000, got ${policy.delayFor(10)}`);
+    });
+
+    await runTest('backoff', 'never waits less than Retry-After', async () => {
+        const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000, random: () => 0 });
+        const error = new ProviderError('Too many requests', { status: 429, retryAfterMs: 7000 });
+        assert(policy.delayFor(1, error) === 7000, `expected 7000, got ${policy.delayFor(1, error)}`);
+    });
+
+    await runTest('backoff', 'retries transient failures and records each attempt', async () => {
+        const { policy, delays } = instantPolicy();
+        let calls = 0;
+        const { result, attempts } = await policy.execute(async () => {
+            calls++;
+            if (calls < 3) throw new ProviderError('Service unavailable', { status: 503 });
+            return 'ok';
+        });
+        assert(result === 'ok', `unexpected result ${result}`);
+        assert(attempts.length === 3, `expected 3 attempts, got ${attempts.length}`);
+        assert(attempts[0].error_class === 'server' && !attempts[0].success, 'failed attempt not recorded');
+        assert(attempts[2].success, 'last attempt should succeed');
+        assert(JSON.stringify(delays) === '[75,150]', `unexpected delays: ${delays}`);
+        assert(attempts[0].retry_delay_ms === 75, 'retry delay not recorded on the attempt');
+    });
+
+    await runTest('backoff', 'gives up after maxAttempts', async () => {
+        const { policy } = instantPolicy();
+        const error = await expectRejection(policy.execute(async () => {
+            throw new ProviderError('Bad gateway', { status: 502 });
+        }));
+        assert(error.errorClass === 'server', `unexpected class ${error.errorClass}`);
+        assert(error.attempts.length === 3, `expected 3 attempts, got ${error.attempts.length}`);
+        assert(error.attempts[2].retry_delay_ms === null, 'the last attempt should not plan a retry');
+    });
+
+    await runTest('backoff', 'does not retry past the deadline', async () => {
+        const { policy, delays } = instantPolicy({ deadlineMs: 50, baseDelayMs: 1000 });
+        const error = await expectRejection(policy.execute(async () => {
+            throw new ProviderError('Service unavailable', { status: 503 });
+        }));
+        assert(error.attempts.length === 1, `expected 1 attempt, got ${error.attempts.length}`);
+        assert(delays.length === 0, 'should not have waited');
+    });
+}
+
+async function testClassification() {
+    section('ERROR CLASSIFICATION');
+    const policy = new RetryPolicy();
+
+    const cases = [
+        ['401', new ProviderError('Unauthorized', { status: 401 }), ERROR_CLASSES.AUTH],
+        ['403', new ProviderError('Forbidden', { status: 403 }), ERROR_CLASSES.AUTH],
+        ['429', new ProviderError('Too many requests', { status: 429 }), ERROR_CLASSES.QUOTA],
+        ['408', new ProviderError('Request timeout', { status: 408 }), ERROR_CLASSES.TIMEOUT],
+        ['504', new ProviderError('Gateway timeout', { status: 504 }), ERROR_CLASSES.TIMEOUT],
+        ['500', new ProviderError('Internal error', { status: 500 }), ERROR_CLASSES.SERVER],
+        ['400', new ProviderError('Bad request', { status: 400 }), ERROR_CLASSES.BAD_REQUEST],
+        ['explicit class', new ProviderError('No key', { errorClass: ERROR_CLASSES.AUTH }), ERROR_CLASSES.AUTH],
+        ['schema', z.object({ score: z.number() }).safeParse({}).error, ERROR_CLASSES.SCHEMA],
+        ['socket error', new TypeError('fetch failed', { cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) }), ERROR_CLASSES.NETWORK],
+        ['timeout abort', new Error('aborted', { cause: new DOMException('timed out', 'TimeoutError') }), ERROR_CLASSES.TIMEOUT],
+        ['abort', new DOMException('aborted', 'AbortError'), ERROR_CLASSES.CANCELLED],
+        ['anything else', new Error('Something odd'), ERROR_CLASSES.UNKNOWN],
+    ];
+
+    for (const [label, error, expected] of cases) {
+        await runTest('classify', `${label} is ${expected}`, async () => {
+            const actual = policy.classify(error);
+            assert(actual === expected, `expected ${expected}, got ${actual}`);
+        });
+    }
+
+    for (const errorClass of [ERROR_CLASSES.AUTH, ERROR_CLASSES.BAD_REQUEST]) {
+        await runTest('classify', `${errorClass} failures are not retried`, async () => {
+            const { policy: instant, delays } = instantPolicy();
+            let calls = 0;
+            const error = await expectRejection(instant.execute(async () => {
+                calls++;
+                throw new ProviderError('Rejected', { errorClass });
+            }));
+            assert(calls === 1, `expected 1 call, got ${calls}`);
+            assert(delays.length === 0, 'should not have waited');
+            assert(error.errorClass === errorClass, `unexpected class ${error.errorClass}`);
+        });
+    }
+}
+
+async function testTimeouts() {
+    section('PER-ATTEMPT TIMEOUT');
+
+    await runTest('timeout', 'a hung attempt is aborted and classified as timeout', async () => {
+        const { policy } = instantPolicy({ maxAttempts: 1, attemptTimeoutMs: 20 });
+        const startedAt = Date.now();
+        const error = await expectRejection(policy.execute(hangUntilAborted));
+        assert(error.errorClass === ERROR_CLASSES.TIMEOUT, `unexpected class ${error.errorClass}`);
+        assert(Date.now() - startedAt < 1000, 'the attempt was not cut off');
+    });
+
+    await runTest('timeout', 'timed-out attempts are retried with a fresh timeout', async () => {
+        const { policy } = instantPolicy({ attemptTimeoutMs: 20 });
+        let calls = 0;
+        const { result, attempts } = await policy.execute((attempt, signal) => {
+            calls++;
+            return attempt < 2 ? hangUntilAborted(attempt, signal) : Promise.resolve('ok');
+        });
+        assert(result === 'ok' && calls === 2, `expected success on the second call, got ${calls} calls`);
+        assert(attempts[0].error_class === ERROR_CLASSES.TIMEOUT, 'first attempt should have timed out');
+    });
+
+    await runTest('timeout', 'an attempt never outlives the deadline', async () => {
+        const { policy } = instantPolicy({ maxAttempts: 1, attemptTimeoutMs: 10000, deadlineMs: 20 });
+        const startedAt = Date.now();
+        const error = await expectRejection(policy.execute(hangUntilAborted));
+        assert(error.errorClass === ERROR_CLASSES.TIMEOUT, `unexpected class ${error.errorClass}`);
+        assert(Date.now() - startedAt < 1000, 'the attempt ran past the deadline');
+    });
+}
+
+async function testCancellation() {
+    section('CANCELLATION');
+
+    await runTest('cancel', 'an aborted caller signal aborts the running attempt', async () => {
+        const { policy, delays } = instantPolicy();
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 10);
+        const error = await expectRejection(policy.execute(hangUntilAborted, { signal: controller.signal }));
+        assert(error.errorClass === ERROR_CLASSES.CANCELLED, `unexpected class ${error.errorClass}`);
+        assert(error.attempts.length === 1, `expected 1 attempt, got ${error.attempts.length}`);
+        assert(delays.length === 0, 'a cancelled call should not be retried');
+    });
+
+    await runTest('cancel', 'an already aborted signal makes no attempt', async () => {
+        const { policy } = instantPolicy();
+        const controller = new AbortController();
+        controller.abort();
+        let calls = 0;
+        const error = await expectRejection(policy.execute(async () => { calls++; }, { signal: controller.signal }));
+        assert(calls === 0, `expected no calls, got ${calls}`);
+        assert(error.errorClass === ERROR_CLASSES.CANCELLED, `unexpected class ${error.errorClass}`);
+    });
+
+    await runTest('cancel', 'aborting during the backoff stops before the next attempt', async () => {
+        const controller = new AbortController();
+        const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000, deadlineMs: 600000 });
+        let calls = 0;
+        setTimeout(() => controller.abort(), 20);
+        const startedAt = Date.now();
+        const error = await expectRejection(policy.execute(async () => {
+            calls++;
+            throw new ProviderError('Service unavailable', { status: 503 });
+        }, { signal: controller.signal }));
+        assert(Date.now() - startedAt < 1000, 'the backoff sleep was not cut short');
+        assert(calls === 1, `expected 1 call, got ${calls}`);
+        assert(error.errorClass === ERROR_CLASSES.CANCELLED, `unexpected class ${error.errorClass}`);
+    });
+
+    await runTest('cancel', 'abortOnDisconnect fires when the client goes away', async () => {
+        const res = Object.assign(new EventEmitter(), { writableFinished: false });
+        const signal = abortOnDisconnect(res);
+        assert(!signal.aborted, 'signal aborted too early');
+        res.emit('close');
+        assert(signal.aborted, 'signal should abort when the connection closes early');
+    });
+
+    await runTest('cancel', 'abortOnDisconnect ignores a finished response', async () => {
+        const res = Object.assign(new EventEmitter(), { writableFinished: true });
+        const signal = abortOnDisconnect(res);
+        res.emit('close');
+        assert(!signal.aborted, 'a completed response should not abort');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Retry Policy & Cancellation Tests', async () => {
+    await testBackoff();
+    await testClassification();
+    await testTimeouts();
+    await testCancellation();
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Refinement Session Tests
+ * Exercises multi-turn refinement sessions with the mock provider on a
+ * temporary file storage directory: stored turns and versions, and that of
+ * two follow-ups refined at the same time only the first is stored while the
+ * second is answered with 409. No model or server is used.
+ *
+ * Usage:
+ *   node test_sessions.js
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+
+// Storage, the provider and the cache are picked on first use, so the environment is set before they load
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-sessions-'));
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DATA_DIR: tempDir,
+    LLM_PROVIDER: 'mock',
+    MOCK_LATENCY_MS: '0',
+    CACHE_DRIVER: 'off'
+});
+
+const { default: RefinementSessionService, SessionChangedError } = await import('./src/services/RefinementSessionService.js');
+const { default: RefinementSessionController } = await import('./src/controllers/RefinementSessionController.js');
+
+const USER_ID = 'session-user';
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Run fn without the services' console logging
+ */
+async function quietly(fn) {
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+}
+
+async function startSession() {
+    const { accepted, session } = await quietly(() => RefinementSessionService.createSession('I want to get better at sales', { userId: USER_ID }));
+    assert(accepted, 'the mock provider should accept the goal');
+    return session;
+}
+
+/**
+ * Send a follow-up through the controller, as POST .../messages does
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function postMessage(sessionId, message) {
+    const req = {
+        params: { sessionId },
+        body: { message },
+        user: { id: USER_ID },
+        get: () => ''
+    };
+    const res = Object.assign(new EventEmitter(), {
+        writableFinished: false,
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    });
+    await quietly(() => RefinementSessionController.addMessage(req, res));
+    return { status: res.statusCode, body: res.body };
+}
+
+// ============ TESTS ============
+
+async function testTurns() {
+    section('SESSION TURNS');
+
+    await runTest('turns', 'a new session stores the goal and the answer at version 0', async () => {
+        const session = await startSession();
+        assert(session.turns.length === 2 && session.turns[1].role === 'model', `unexpected turns: ${JSON.stringify(session.turns.map(turn => turn.role))}`);
+        assert(session.version === 0, `expected version 0, got ${session.version}`);
+    });
+
+    await runTest('turns', 'a follow-up appends its exchange and increments the version', async () => {
+        const session = await startSession();
+        const { accepted, session: updated } = await quietly(() => RefinementSessionService.addMessage(session, 'make it 3 months instead of 6'));
+        assert(accepted, 'the follow-up should be accepted');
+        assert(updated.turns.length === 4 && updated.turns[2].content === 'make it 3 months instead of 6', 'the exchange should be stored');
+        assert(updated.version === 1, `expected version 1, got ${updated.version}`);
+    });
+}
+
+async function testConcurrency() {
+    section('CONCURRENT FOLLOW-UPS');
+
+    await runTest('concurrent', 'a follow-up on turns that changed meanwhile is not stored', async () => {
+        const session = await startSession();
+        // Both follow-ups were refined on the session as first read
+        const results = await quietly(() => Promise.allSettled([
+            RefinementSessionService.addMessage(session, 'make it 3 months'),
+            RefinementSessionService.addMessage(session, 'focus on cold calls')
+        ]));
+        const stored = results.filter(result => result.status === 'fulfilled');
+        const rejected = results.filter(result => result.status === 'rejected');
+        assert(stored.length === 1, `expected one follow-up to be stored, got ${stored.length}`);
+        assert(rejected[0].reason instanceof SessionChangedError, `expected a SessionChangedError, got ${rejected[0].reason}`);
+
+        const saved = await RefinementSessionService.getSession(session.id, USER_ID);
+        assert(saved.turns.length === 4 && saved.version === 1, `expected 4 turns at version 1, got ${saved.turns.length} at ${saved.version}`);
+        assert(saved.turns[2].content === stored[0].value.session.turns[2].content, 'the stored follow-up should be the accepted one');
+    });
+
+    await runTest('concurrent', 'the losing request is answered with 409', async () => {
+        const session = await startSession();
+        const responses = await Promise.all([
+            postMessage(session.id, 'make it 3 months'),
+            postMessage(session.id, 'focus on cold calls')
+        ]);
+        const statuses = responses.map(response => response.status).sort();
+        assert(JSON.stringify(statuses) === '[200,409]', `expected 200 and 409, got ${statuses}`);
+        const conflict = responses.find(response => response.status === 409);
+        assert(/send the message again/.test(conflict.body.error), `unexpected error: ${conflict.body.error}`);
+    });
+
+    await runTest('concurrent', 'follow-ups sent one after the other are all stored', async () => {
+        const session = await startSession();
+        for (const message of ['make it 3 months', 'focus on cold calls']) {
+            const { status } = await postMessage(session.id, message);
+            assert(status === 200, `expected 200, got ${status}`);
+        }
+        const saved = await RefinementSessionService.getSession(session.id, USER_ID);
+        assert(saved.turns.length === 6 && saved.version === 2, `expected 6 turns at version 2, got ${saved.turns.length} at ${saved.version}`);
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Refinement Session Tests', async () => {
+    try {
+        await testTurns();
+        await testConcurrency();
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+});
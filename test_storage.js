@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Storage Adapter Contract Tests
+ * Runs the same contract against every storage driver so they stay interchangeable.
+ *
+ * Usage:
+ *   node test_storage.js              # file driver, plus supabase when SUPABASE_API_KEY is set
+ *   node test_storage.js file         # only the listed drivers
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createStorageAdapter } from './src/services/storage/index.js';
+import { DuplicateRowError } from './src/services/storage/StorageAdapter.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+dotenv.config();
+
+// ============ CONFIGURATION ============
+const TABLE = 'goals';
+
+// ============ HELPER FUNCTIONS ============
+
+function sampleGoal(overrides = {}) {
+    return {
+        original_input: 'contract test goal',
+        refined_goal: 'Run the storage contract suite against every driver',
+        key_results: ['Insert a row', 'Read it back', 'Delete it'],
+        confidence_score: 8,
+        ...overrides
+    };
+}
+
+// ============ CONTRACT ============
+
+async function runContract(driver, adapter) {
+    section(`${driver.toUpperCase()} DRIVER`);
+    const created = [];
+
+    await runTest(driver, 'concurrent first inserts are all kept', async () => {
+        const rows = await Promise.all([1, 2, 3].map(n =>
+            adapter.insert(TABLE, sampleGoal({ original_input: `contract concurrent ${n}` }))
+        ));
+        const ids = rows.map(row => row.id);
+        const stored = await adapter.find(TABLE, { filters: [{ column: 'id', op: 'in', value: ids }] });
+        for (const id of ids) {
+            await adapter.remove(TABLE, id);
+        }
+        assert(stored.length === 3, `expected 3 rows, got ${stored.length}`);
+    });
+
+    await runTest(driver, 'insert returns the stored row with id and created_at', async () => {
+        const row = await adapter.insert(TABLE, sampleGoal());
+        created.push(row.id);
+        assert(row.id !== undefined && row.id !== null, 'id was not assigned');
+        assert(typeof row.created_at === 'string', 'created_at was not assigned');
+        assert(row.refined_goal === sampleGoal().refined_goal, 'refined_goal was not stored');
+        assert(Array.isArray(row.key_results) && row.key_results.length === 3, 'key_results were not stored as an array');
+    });
+
+    await runTest(driver, 'findById returns the row, or null when missing', async () => {
+        const row = await adapter.findById(TABLE, created[0]);
+        assert(row && row.id === created[0], 'inserted row was not found');
+        const missing = await adapter.findById(TABLE, '00000000-0000-0000-0000-000000000000');
+        assert(missing === null, 'missing row should be null');
+    });
+
+    await runTest(driver, 'find applies filters, ordering and limit', async () => {
+        const low = await adapter.insert(TABLE, sampleGoal({ confidence_score: 2, original_input: 'contract low' }));
+        created.push(low.id);
+
+        const rows = await adapter.find(TABLE, {
+            filters: [
+                { column: 'original_input', op: 'ilike', value: 'CONTRACT' },
+                { column: 'confidence_score', op: 'gte', value: 5 }
+            ],
+            orderBy: { column: 'created_at', ascending: false }
+        });
+        assert(rows.some(r => r.id === created[0]), 'high-confidence row missing from filtered results');
+        assert(!rows.some(r => r.id === low.id), 'low-confidence row should be filtered out');
+
+        const limited = await adapter.find(TABLE, {
+            filters: [{ column: 'id', op: 'in', value: created }],
+            limit: 1
+        });
+        assert(limited.length === 1, `expected 1 row with limit, got ${limited.length}`);
+    });
+
+    await runTest(driver, 'ilike matches %, _ and \\ literally', async () => {
+        const rows = await Promise.all(['contract 100% done', 'contract 1000 done', 'contract a_b', 'contract axb', 'contract c\\d']
+            .map(input => adapter.insert(TABLE, sampleGoal({ original_input: input }))));
+        const ids = rows.map(row => row.id);
+        const matches = async value => (await adapter.find(TABLE, {
+            filters: [
+                { column: 'id', op: 'in', value: ids },
+                { column: 'original_input', op: 'ilike', value }
+            ]
+        })).map(row => row.original_input);
+        try {
+            const percent = await matches('100%');
+            const underscore = await matches('A_B');
+            const backslash = await matches('c\\d');
+            assert(JSON.stringify(percent) === '["contract 100% done"]', `100% matched ${JSON.stringify(percent)}`);
+            assert(JSON.stringify(underscore) === '["contract a_b"]', `A_B matched ${JSON.stringify(underscore)}`);
+            assert(JSON.stringify(backslash) === JSON.stringify(['contract c\\d']), `c\\d matched ${JSON.stringify(backslash)}`);
+        } finally {
+            for (const id of ids) {
+                await adapter.remove(TABLE, id);
+            }
+        }
+    });
+
+    await runTest(driver, 'find orders by several columns', async () => {
+        const tied = await adapter.insert(TABLE, sampleGoal({ confidence_score: 2, original_input: 'contract tied' }));
+        created.push(tied.id);
+
+        const rows = await adapter.find(TABLE, {
+            filters: [{ column: 'id', op: 'in', value: created }],
+            orderBy: [
+                { column: 'confidence_score', ascending: true },
+                { column: 'original_input', ascending: false }
+            ]
+        });
+        const order = rows.map(r => r.original_input);
+        assert(
+            JSON.stringify(order) === JSON.stringify(['contract tied', 'contract low', 'contract test goal']),
+            `unexpected order: ${order.join(', ')}`
+        );
+    });
+
+    await runTest(driver, 'find matches array columns with contains', async () => {
+        const tagged = await adapter.insert(TABLE, sampleGoal({ original_input: 'contract tagged', tags: ['sales', 'training'] }));
+        created.push(tagged.id);
+
+        const rows = await adapter.find(TABLE, {
+            filters: [
+                { column: 'id', op: 'in', value: created },
+                { column: 'tags', op: 'contains', value: ['training'] }
+            ]
+        });
+        assert(rows.length === 1 && rows[0].id === tagged.id, 'tagged row should be the only match');
+
+        const none = await adapter.find(TABLE, {
+            filters: [
+                { column: 'id', op: 'in', value: created },
+                { column: 'tags', op: 'contains', value: ['training', 'fitness'] }
+            ]
+        });
+        assert(none.length === 0, 'rows must hold every value to match');
+    });
+
+    await runTest(driver, 'insert rejects a repeated unique column atomically', async () => {
+        const username = `contract-${Date.now()}`;
+        const results = await Promise.allSettled([1, 2].map(n =>
+            adapter.insert('users', { username, password_hash: `hash-${n}` }, { unique: ['username'] })
+        ));
+        const inserted = results.filter(result => result.status === 'fulfilled');
+        const rejected = results.filter(result => result.status === 'rejected');
+        for (const { value } of inserted) {
+            await adapter.remove('users', value.id);
+        }
+        assert(inserted.length === 1, `expected 1 insert to succeed, got ${inserted.length}`);
+        assert(rejected[0].reason instanceof DuplicateRowError, `expected a DuplicateRowError, got ${rejected[0].reason}`);
+    });
+
+    await runTest(driver, 'update applies changes, or returns null when missing', async () => {
+        const updated = await adapter.update(TABLE, created[0], { refined_goal: 'Updated goal' });
+        assert(updated && updated.refined_goal === 'Updated goal', 'update was not applied');
+        assert(updated.confidence_score === 8, 'untouched fields should be kept');
+        const missing = await adapter.update(TABLE, '00000000-0000-0000-0000-000000000000', { refined_goal: 'x' });
+        assert(missing === null, 'updating a missing row should return null');
+    });
+
+    await runTest(driver, 'update with filters only changes a row that matches them', async () => {
+        const stale = [{ column: 'confidence_score', op: 'eq', value: 7 }];
+        assert(await adapter.update(TABLE, created[0], { refined_goal: 'Stale goal' }, { filters: stale }) === null, 'a row not matching the filters should not change');
+        assert((await adapter.findById(TABLE, created[0])).refined_goal === 'Updated goal', 'the row should be unchanged');
+
+        // Two writers that read the same confidence score: only the first may write
+        const current = [{ column: 'confidence_score', op: 'eq', value: 8 }];
+        const results = await Promise.all([9, 10].map(score =>
+            adapter.update(TABLE, created[0], { confidence_score: score }, { filters: current })
+        ));
+        const applied = results.filter(Boolean);
+        assert(applied.length === 1, `expected 1 update to apply, got ${applied.length}`);
+        const row = await adapter.findById(TABLE, created[0]);
+        assert(row.confidence_score === applied[0].confidence_score, `expected ${applied[0].confidence_score}, got ${row.confidence_score}`);
+    });
+
+    await runTest(driver, 'remove deletes the row', async () => {
+        for (const id of created) {
+            await adapter.remove(TABLE, id);
+        }
+        const row = await adapter.findById(TABLE, created[0]);
+        assert(row === null, 'row still exists after remove');
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Storage Contract Tests', async () => {
+    const requested = process.argv.slice(2);
+    const drivers = requested.length > 0
+        ? requested
+        : ['file', ...(process.env.SUPABASE_API_KEY ? ['supabase'] : [])];
+
+    for (const driver of drivers) {
+        let dataDir = null;
+        const options = {};
+
+        if (driver === 'file') {
+            dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-storage-'));
+            options.dataDir = dataDir;
+        }
+
+        try {
+            await runContract(driver, createStorageAdapter(driver, options));
+        } finally {
+            if (dataDir) {
+                await fs.rm(dataDir, { recursive: true, force: true });
+            }
+        }
+    }
+});
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * AI Goal Coach - Telemetry Tests
+ * Logs a few days of calls on a temporary file storage directory and checks
+ * that the summaries read from the hourly rollups match statistics computed
+ * from the raw logs: for all users and one, per model, and for a date range.
+ * Also covers concurrent logging into one rollup, rebuilding the rollups with
+ * TelemetryService.rebuildRollups() and `npm run telemetry:rebuild`, and
+ * literal matching in log search. No model or server is used.
+ *
+ * Usage:
+ *   node test_telemetry.js
+ */
+
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { LATENCY_BUCKETS_MS, bucketIndex } from './src/utils/latencyHistogram.js';
+import { assert, runSuite, runTest, section } from './test_helpers.js';
+
+// ============ CONFIGURATION ============
+
+// The storage adapter is picked on first use, so the directory is set up before the service loads
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'goal-coach-telemetry-'));
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    STORAGE_DATA_DIR: tempDir
+});
+
+const { default: TelemetryService } = await import('./src/services/TelemetryService.js');
+const { createStorageAdapter } = await import('./src/services/storage/index.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const USERS = ['telemetry-alice', 'telemetry-bob'];
+const MODELS = ['gemini-2.5-flash', 'llama3.1', 'mock-goal-coach'];
+const OUTCOMES = ['success', 'success', 'success', 'success', 'error', 'cancelled', 'blocked'];
+
+// Calls are spread over the 72 whole hours before the current one
+const BASE = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 72 * HOUR_MS;
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1), so every run logs the same calls
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Run fn without the service's per-call console logging
+ */
+async function quietly(fn) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Log `count` calls with varied users, models, outcomes, latencies and token counts
+ */
+async function logCalls(count) {
+    const random = seededRandom(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    for (let i = 0; i < count; i++) {
+        const outcome = pick(OUTCOMES);
+        const cacheHit = outcome === 'success' && random() < 0.2;
+        await TelemetryService.logAICall({
+            userInput: `goal number ${i}`,
+            aiOutput: null,
+            // Mostly fast calls, with a slow tail past the last histogram bound
+            latencyMs: Math.round(random() < 0.9 ? 50 + random() * 3000 : 20000 + random() * 70000),
+            promptTokens: cacheHit ? 0 : Math.round(100 + random() * 900),
+            completionTokens: cacheHit ? 0 : Math.round(random() * 400),
+            model: pick(MODELS),
+            timestamp: new Date(BASE + random() * 72 * HOUR_MS).toISOString(),
+            success: outcome === 'success',
+            outcome,
+            cacheHit,
+            purpose: random() < 0.15 ? 'judge' : 'refinement',
+            userId: pick(USERS)
+        });
+    }
+}
+
+/**
+ * Every logged call, optionally only a user's and in [from, to)
+ */
+async function rawLogs({ userId = null, from = null, to = null } = {}) {
+    const logs = await TelemetryService.adapter.find(TelemetryService.tableName);
+    return logs.filter(log =>
+        (!userId || log.user_id === userId) &&
+        (!from || log.timestamp >= from.toISOString()) &&
+        (!to || log.timestamp < to.toISOString())
+    );
+}
+
+/**
+ * The summary totals, computed directly from logged calls
+ */
+function summarizeLogs(logs) {
+    const count = predicate => logs.filter(predicate).length;
+    const sum = column => logs.reduce((total, log) => total + (Number(log[column]) || 0), 0);
+    return {
+        totalCalls: logs.length,
+        successfulCalls: count(log => log.success),
+        failedCalls: count(log => log.outcome === 'error'),
+        cancelledCalls: count(log => log.outcome === 'cancelled'),
+        blockedCalls: count(log => log.outcome === 'blocked'),
+        cacheHits: count(log => log.cache_hit),
+        judgeCalls: count(log => log.purpose === 'judge'),
+        averageLatencyMs: logs.length > 0 ? Math.round(sum('latency_ms') / logs.length) : 0,
+        totalTokens: sum('total_tokens'),
+        totalCost: sum('total_cost').toFixed(6)
+    };
+}
+
+/**
+ * Nearest-rank percentile of the logged latencies
+ */
+function exactPercentile(logs, percentile) {
+    const latencies = logs.map(log => log.latency_ms).sort((a, b) => a - b);
+    return latencies[Math.ceil((percentile / 100) * latencies.length) - 1];
+}
+
+/**
+ * Check a rollup summary against the raw logs. Totals match exactly;
+ * percentiles are estimated from histogram buckets, so each has to fall in
+ * the bucket of the exact value.
+ */
+function assertMatchesLogs(summary, logs, label) {
+    const expected = summarizeLogs(logs);
+    for (const [field, value] of Object.entries(expected)) {
+        assert(summary[field] === value, `${label}: ${field} is ${summary[field]}, expected ${value}`);
+    }
+
+    for (const percentile of [50, 95, 99]) {
+        const exact = exactPercentile(logs, percentile);
+        const index = bucketIndex(exact);
+        const lower = index === 0 ? 0 : LATENCY_BUCKETS_MS[index - 1];
+        const upper = LATENCY_BUCKETS_MS[index] ?? Math.max(...logs.map(log => log.latency_ms));
+        const estimate = summary.latencyPercentiles[`p${percentile}`];
+        assert(estimate >= lower && estimate <= upper, `${label}: p${percentile} is ${estimate}, expected ${exact} (between ${lower} and ${upper})`);
+    }
+}
+
+/**
+ * Rollup rows by ID as comparable JSON: without their write times, with
+ * sorted keys and with costs rounded, since a rebuild adds them up in
+ * another order
+ */
+async function rollupRows(adapter = TelemetryService.adapter) {
+    const rows = await adapter.find(TelemetryService.rollupTableName);
+    return Object.fromEntries(rows.map(({ created_at, updated_at, ...row }) => [
+        row.id,
+        JSON.stringify({ ...row, total_cost: row.total_cost.toFixed(9) }, Object.keys(row).sort())
+    ]));
+}
+
+// ============ TESTS ============
+
+async function testSummaries() {
+    section('ROLLUPS AGAINST RAW LOGS');
+    await quietly(() => logCalls(150));
+
+    await runTest('summary', 'the summary of every call matches the raw logs', async () => {
+        const summary = await TelemetryService.getSummary(null, { window: 'all' });
+        assertMatchesLogs(summary, await rawLogs(), 'all users');
+        assert(summary.failedCalls > 0 && summary.cancelledCalls > 0 && summary.blockedCalls > 0 && summary.cacheHits > 0 && summary.judgeCalls > 0,
+            'the seeded calls should cover every outcome');
+    });
+
+    await runTest('summary', "a user's summary matches their raw logs", async () => {
+        for (const userId of USERS) {
+            const summary = await TelemetryService.getSummary(userId, { window: 'all' });
+            assertMatchesLogs(summary, await rawLogs({ userId }), userId);
+        }
+    });
+
+    await runTest('summary', 'each model of the breakdown matches its raw logs', async () => {
+        const { models } = await TelemetryService.getSummary(USERS[0], { window: 'all' });
+        const logs = await rawLogs({ userId: USERS[0] });
+        assert(models.length === MODELS.length, `expected ${MODELS.length} models, got ${models.length}`);
+        for (const entry of models) {
+            assertMatchesLogs(entry, logs.filter(log => log.model === entry.model), entry.model);
+        }
+    });
+
+    await runTest('summary', 'an hour-aligned date range matches the raw logs in it', async () => {
+        const from = new Date(BASE + 24 * HOUR_MS);
+        const to = new Date(BASE + 48 * HOUR_MS);
+        const summary = await TelemetryService.getSummary(USERS[1], { from: from.toISOString(), to: to.toISOString() });
+        const logs = await rawLogs({ userId: USERS[1], from, to });
+        assert(logs.length > 0, 'the range should hold some calls');
+        assertMatchesLogs(summary, logs, 'range');
+    });
+
+    await runTest('summary', 'calls logged at once into one rollup are all counted', async () => {
+        const timestamp = new Date(BASE + 30 * 60 * 1000).toISOString();
+        const userId = 'telemetry-concurrent';
+        await quietly(() => Promise.all(Array.from({ length: 20 }, (_, i) => TelemetryService.logAICall({
+            userInput: `concurrent ${i}`,
+            latencyMs: 100 + i,
+            promptTokens: 10,
+            completionTokens: 5,
+            model: MODELS[0],
+            timestamp,
+            userId
+        }))));
+        const summary = await TelemetryService.getSummary(userId, { window: 'all' });
+        assert(summary.totalCalls === 20 && summary.totalTokens === 300, `expected 20 calls and 300 tokens, got ${summary.totalCalls} and ${summary.totalTokens}`);
+        assertMatchesLogs(summary, await rawLogs({ userId }), 'concurrent');
+    });
+}
+
+async function testRebuild() {
+    section('REBUILDING ROLLUPS');
+
+    await runTest('rebuild', 'rebuilding recreates the rollups the logged calls made', async () => {
+        const before = await rollupRows();
+        const logCount = (await rawLogs()).length;
+        const result = await TelemetryService.rebuildRollups();
+        assert(result.logs === logCount, `expected ${logCount} logs, got ${result.logs}`);
+        assert(result.rollups === Object.keys(before).length, `expected ${Object.keys(before).length} rollups, got ${result.rollups}`);
+        const after = await rollupRows();
+        assert(Object.keys(before).every(id => after[id] === before[id]), 'rebuilt rollups differ from the incremental ones');
+    });
+
+    await runTest('rebuild', 'rebuilding repairs wrong and missing rollups', async () => {
+        const [first, second] = await TelemetryService.adapter.find(TelemetryService.rollupTableName);
+        await TelemetryService.adapter.update(TelemetryService.rollupTableName, first.id, { calls: 999, total_cost: 42 });
+        await TelemetryService.adapter.remove(TelemetryService.rollupTableName, second.id);
+        const { id, ...orphan } = second;
+        await TelemetryService.adapter.insert(TelemetryService.rollupTableName, { ...orphan, user_id: 'nobody' });
+
+        await TelemetryService.rebuildRollups();
+        assertMatchesLogs(await TelemetryService.getSummary(null, { window: 'all' }), await rawLogs(), 'after rebuild');
+        const rows = await TelemetryService.adapter.find(TelemetryService.rollupTableName);
+        assert(!rows.some(row => row.user_id === 'nobody'), 'rollups without logs should be removed');
+    });
+
+    await runTest('rebuild', 'npm run telemetry:rebuild rebuilds the rollups of the configured storage', async () => {
+        const expected = await rollupRows();
+        const logCount = (await rawLogs()).length;
+        await TelemetryService.adapter.update(TelemetryService.rollupTableName, Object.keys(expected)[0], { calls: 999 });
+
+        const { stdout } = await promisify(execFile)(process.execPath, ['scripts/rebuild_telemetry_rollups.js'], {
+            env: { ...process.env, STORAGE_DRIVER: 'file', STORAGE_DATA_DIR: tempDir },
+            timeout: 60_000
+        });
+        const count = Object.keys(expected).length;
+        assert(stdout.includes(`Rebuilt ${count} telemetry rollup(s) from ${logCount} logged call(s)`), `unexpected output: ${stdout.trim()}`);
+
+        // The script wrote the files; a fresh adapter reads them rather than this process's cached tables
+        const rebuilt = await rollupRows(createStorageAdapter('file', { dataDir: tempDir }));
+        assert(Object.keys(expected).every(id => rebuilt[id] === expected[id]), 'the script should restore the rollups');
+    });
+}
+
+async function testSearch() {
+    section('LOG SEARCH');
+    const userId = 'telemetry-search';
+    await quietly(async () => {
+        for (const userInput of ['Save 100% of my bonus', 'Save 1000 dollars', 'Learn snake_case', 'Learn snakexcase']) {
+            await TelemetryService.logAICall({ userInput, latencyMs: 100, promptTokens: 1, completionTokens: 1, model: MODELS[0], userId });
+        }
+    });
+    const search = async term => (await TelemetryService.listLogs(userId, { search: term })).logs.map(log => log.input);
+
+    await runTest('search', 'LIKE wildcards in a search match literally', async () => {
+        const percent = await search('100%');
+        assert(percent.length === 1 && percent[0] === 'Save 100% of my bonus', `unexpected matches for 100%: ${percent}`);
+        const underscore = await search('snake_case');
+        assert(underscore.length === 1 && underscore[0] === 'Learn snake_case', `unexpected matches for snake_case: ${underscore}`);
+    });
+
+    await runTest('search', 'every word of a search has to match, in any case', async () => {
+        const matches = await search('SAVE dollars');
+        assert(matches.length === 1 && matches[0] === 'Save 1000 dollars', `unexpected matches: ${matches}`);
+    });
+}
+
+// ============ MAIN ============
+
+runSuite('Telemetry Tests', async () => {
+    try {
+        await testSummaries();
+        await testRebuild();
+        await testSearch();
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+});